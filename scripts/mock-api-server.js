@@ -0,0 +1,470 @@
+// scripts/mock-api-server.js - Local stand-in for the translation API
+//
+// Serves the endpoints the frontend needs to exercise uploads and job progress
+// without the real backend. Runs on port 8000 so the Vite /api proxy reaches it.
+//
+//   npm run mock-api
+//   MOCK_FAIL_RATE=0.3 npm run mock-api   # drop 30% of chunk uploads mid-request
+//   MOCK_EVENTS=off npm run mock-api       # no status stream, so the frontend polls
+//   MOCK_PAGE_FAIL_RATE=0.2 npm run mock-api  # fail 20% of pages during translation
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT || 8000);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+const PAGE_FAIL_RATE = Number(process.env.MOCK_PAGE_FAIL_RATE || 0);
+const SECONDS_PER_PAGE = Number(process.env.MOCK_SECONDS_PER_PAGE || 3);
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+const EVENTS_ENABLED = process.env.MOCK_EVENTS !== 'off';
+const EVENT_HEARTBEAT_MS = 10000; // Repeat the status at least this often so clients know the job is alive
+
+const uploads = new Map();
+const jobs = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Just enough multipart parsing for the text fields of the translate request
+const parseMultipartFields = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) return {};
+
+  const fields = {};
+  const parts = body.toString('latin1').split(`--${boundary[1] || boundary[2]}`);
+  for (const part of parts) {
+    const match = /name="([^"]+)"(?!; filename)[^\r\n]*\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*)\r\n$/.exec(part);
+    if (match) {
+      fields[match[1]] = Buffer.from(match[2], 'latin1').toString('utf8');
+    }
+  }
+  return fields;
+};
+
+// A page retry takes the same time per page as the first run; afterwards its outcome replaces the old failures
+const getRetryStatus = (job) => {
+  const { pages, failAgain, startedAt } = job.retry;
+  const retriedCount = Math.min(pages.length, Math.floor((Date.now() - startedAt) / 1000 / SECONDS_PER_PAGE));
+  if (retriedCount < pages.length) {
+    return {
+      processId: job.processId,
+      status: 'in_progress',
+      progress: Math.round((retriedCount / pages.length) * 100),
+      currentPage: job.totalPages,
+      totalPages: job.totalPages,
+      retryingPages: pages.slice(retriedCount),
+      fileName: job.fileName
+    };
+  }
+
+  pages.forEach(pageNumber => {
+    if (!failAgain.has(pageNumber)) job.failedPages.delete(pageNumber);
+  });
+  job.retry = null;
+  // The re-translated document replaces any edits, which stay available as earlier versions
+  addVersion(job, { kind: 'retranslation', content: buildResultHtml(buildResultPages(job, job.totalPages)) });
+  job.editedHtml = null;
+  return null;
+};
+
+// Progress is derived from elapsed time, frozen at the moment a job was cancelled
+const getJobStatus = (job) => {
+  const retryStatus = job.retry && getRetryStatus(job);
+  if (retryStatus) return retryStatus;
+
+  const elapsedSeconds = ((job.cancelledAt || Date.now()) - job.startedAt) / 1000;
+  const currentPage = Math.min(job.totalPages, Math.floor(elapsedSeconds / SECONDS_PER_PAGE));
+  const isDone = currentPage >= job.totalPages;
+
+  return {
+    processId: job.processId,
+    status: job.cancelledAt ? 'cancelled' : isDone ? 'completed' : currentPage === 0 ? 'pending' : 'in_progress',
+    progress: Math.round((currentPage / job.totalPages) * 100),
+    currentPage,
+    totalPages: job.totalPages,
+    fileName: job.fileName,
+    ...(job.detectedLanguage && { detectedLanguage: job.detectedLanguage })
+  };
+};
+
+const buildPageHtml = (job, pageNumber) => (
+  `<div class="page" data-page-number="${pageNumber}"><h2>Page ${pageNumber}</h2>` +
+  `<p>Translated text of ${job.fileName} (${job.detectedLanguage || job.fromLang} → ${job.toLang}), page ${pageNumber}.</p></div>`
+);
+
+// The original page as the history returns it next to the translation
+const buildSourcePageHtml = (job, pageNumber) => (
+  `<div class="page" data-page-number="${pageNumber}"><h2>Page ${pageNumber}</h2>` +
+  `<p>Original text of ${job.fileName}, page ${pageNumber}.</p></div>`
+);
+
+// Finished pages with their outcome; failed pages carry an error instead of HTML
+const buildResultPages = (job, pageCount) => Array.from({ length: pageCount }, (_, index) => {
+  const pageNumber = index + 1;
+  return job.failedPages.has(pageNumber)
+    ? { pageNumber, status: 'failed', error: 'The page could not be translated.' }
+    : { pageNumber, status: 'done', html: buildPageHtml(job, pageNumber) };
+});
+
+const buildResultHtml = (pages) => pages.filter(page => page.status === 'done').map(page => page.html).join('\n');
+
+const MOCK_AUTHOR = { id: 'mock-user', name: 'Mock User' };
+
+// Versions start with the machine output once the job has finished
+const getVersions = (job) => {
+  if (!job.versions) {
+    job.versions = [];
+    if (getJobStatus(job).status === 'completed') {
+      job.versions.push({
+        versionId: randomUUID(),
+        number: 1,
+        kind: 'machine',
+        author: null,
+        createdAt: new Date(job.startedAt + job.totalPages * SECONDS_PER_PAGE * 1000).toISOString(),
+        content: buildResultHtml(buildResultPages(job, job.totalPages))
+      });
+    }
+  }
+  return job.versions;
+};
+
+const addVersion = (job, { kind, content, author = null, restoredFrom = null }) => {
+  const versions = getVersions(job);
+  const version = {
+    versionId: randomUUID(),
+    number: versions.length + 1,
+    kind,
+    author,
+    createdAt: new Date().toISOString(),
+    content,
+    ...(restoredFrom && { restoredFrom })
+  };
+  versions.push(version);
+  return version;
+};
+
+const writeEvent = (res, type, data, id) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const routes = [
+  ['POST', /^\/documents\/uploads$/, async (req, res) => {
+    const { fileName, fileSize, fileType, chunkSize } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!fileName || !Number.isFinite(fileSize)) {
+      return sendJson(res, 400, { detail: 'fileName and fileSize are required' });
+    }
+
+    const uploadId = randomUUID();
+    uploads.set(uploadId, {
+      uploadId,
+      fileName,
+      fileSize,
+      fileType,
+      chunkSize: Math.min(chunkSize || MAX_CHUNK_SIZE, MAX_CHUNK_SIZE),
+      receivedBytes: 0
+    });
+    const upload = uploads.get(uploadId);
+    sendJson(res, 201, { uploadId, receivedBytes: 0, chunkSize: upload.chunkSize });
+  }],
+
+  ['GET', /^\/documents\/uploads\/([\w-]+)$/, async (req, res, [uploadId]) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) return sendJson(res, 404, { detail: 'Upload not found' });
+    sendJson(res, 200, upload);
+  }],
+
+  ['PUT', /^\/documents\/uploads\/([\w-]+)$/, async (req, res, [uploadId]) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) return sendJson(res, 404, { detail: 'Upload not found' });
+
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+    if (!range) return sendJson(res, 400, { detail: 'Content-Range header is required' });
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`💥 Dropping chunk ${range[1]}-${range[2]} of ${uploadId}`);
+      req.socket.destroy();
+      return;
+    }
+
+    const body = await readBody(req);
+    const start = Number(range[1]);
+    if (start !== upload.receivedBytes) {
+      // Out of order chunk; tell the client where to continue from
+      return sendJson(res, 409, { detail: 'Unexpected offset', receivedBytes: upload.receivedBytes });
+    }
+
+    upload.receivedBytes += body.length;
+    sendJson(res, 200, { uploadId, receivedBytes: upload.receivedBytes });
+  }],
+
+  ['POST', /^\/documents\/translate$/, async (req, res) => {
+    const fields = parseMultipartFields(await readBody(req), req.headers['content-type']);
+    const upload = uploads.get(fields.upload_id);
+    if (!upload) return sendJson(res, 400, { detail: 'upload_id does not reference an upload' });
+    if (upload.receivedBytes < upload.fileSize) {
+      return sendJson(res, 409, { detail: 'Upload is incomplete', receivedBytes: upload.receivedBytes });
+    }
+
+    const processId = randomUUID();
+    const totalPages = Math.max(1, Math.ceil(upload.fileSize / (100 * 1024)));
+    jobs.set(processId, {
+      processId,
+      fileName: upload.fileName,
+      fromLang: fields.from_lang,
+      toLang: fields.to_lang,
+      // The stand-in cannot read documents, so auto-detect always "finds" English
+      detectedLanguage: fields.from_lang === 'auto' ? 'en' : null,
+      fileHash: fields.file_hash || null,
+      pageRange: fields.page_range || null,
+      totalPages,
+      failedPages: new Set(Array.from({ length: totalPages }, (_, index) => index + 1).filter(() => Math.random() < PAGE_FAIL_RATE)),
+      startedAt: Date.now()
+    });
+    sendJson(res, 200, { success: true, processId, status: 'pending' });
+  }],
+
+  // Newest job matching the file hash (or name) and, when given, the language pair, the
+  // page range (empty for whole-document jobs) and a minimum creation time
+  ['GET', /^\/documents\/find$/, async (req, res, params, query) => {
+    const fileHash = query.get('file_hash');
+    const fileName = query.get('file_name');
+    const fromLang = query.get('from_lang');
+    const toLang = query.get('to_lang');
+    const createdAfter = query.has('created_after') ? Date.parse(query.get('created_after')) : 0;
+
+    const match = [...jobs.values()]
+      .filter(job => fileHash ? job.fileHash === fileHash : job.fileName === fileName)
+      .filter(job => (!fromLang || job.fromLang === fromLang) && (!toLang || job.toLang === toLang))
+      .filter(job => !query.has('page_range') || job.pageRange === (query.get('page_range') || null))
+      .filter(job => job.startedAt >= createdAfter)
+      .sort((a, b) => b.startedAt - a.startedAt)[0];
+
+    if (!match) return sendJson(res, 404, { detail: 'No translation found for this file' });
+    sendJson(res, 200, {
+      ...getJobStatus(match),
+      fromLang: match.fromLang,
+      toLang: match.toLang,
+      createdAt: new Date(match.startedAt).toISOString()
+    });
+  }],
+
+  ['GET', /^\/documents\/status\/([\w-]+)$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+    sendJson(res, 200, getJobStatus(job));
+  }],
+
+  // Server-sent events: a status event on every change (and as a heartbeat) and a
+  // partial event for each finished page (its HTML, or an error), resuming after Last-Event-ID
+  ['GET', /^\/documents\/events\/([\w-]+)$/, async (req, res, [processId]) => {
+    if (!EVENTS_ENABLED) return sendJson(res, 404, { detail: 'Status streaming is disabled' });
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+
+    let sentPages = Number(req.headers['last-event-id']) || 0;
+    let lastStatus = null;
+    let lastStatusAt = 0;
+
+    const sendUpdates = () => {
+      const status = getJobStatus(job);
+      const pages = buildResultPages(job, status.currentPage);
+      while (sentPages < status.currentPage) {
+        sentPages += 1;
+        writeEvent(res, 'partial', { ...pages[sentPages - 1], totalPages: job.totalPages }, sentPages);
+      }
+
+      const statusJson = JSON.stringify(status);
+      if (statusJson !== lastStatus || Date.now() - lastStatusAt >= EVENT_HEARTBEAT_MS) {
+        writeEvent(res, 'status', status);
+        lastStatus = statusJson;
+        lastStatusAt = Date.now();
+      }
+
+      if (status.status === 'completed' || status.status === 'cancelled') {
+        clearInterval(timer);
+        res.end();
+      }
+    };
+
+    const timer = setInterval(sendUpdates, 500);
+    req.on('close', () => clearInterval(timer));
+    sendUpdates();
+  }],
+
+  // Pages finished before the cancellation are billed; the rest are not
+  ['POST', /^\/documents\/cancel\/([\w-]+)$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+
+    const status = getJobStatus(job);
+    if (status.status === 'completed') {
+      return sendJson(res, 409, { detail: 'The translation has already completed.' });
+    }
+
+    job.cancelledAt = job.cancelledAt || Date.now();
+    const { currentPage } = getJobStatus(job);
+    sendJson(res, 200, {
+      processId,
+      status: 'cancelled',
+      pagesProcessed: currentPage,
+      pagesBilled: currentPage,
+      totalPages: job.totalPages
+    });
+  }],
+
+  // Translate failed pages of a completed job again
+  ['POST', /^\/documents\/retry\/([\w-]+)$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+    if (getJobStatus(job).status !== 'completed') {
+      return sendJson(res, 409, { detail: 'Pages can only be retried once the translation has finished.' });
+    }
+
+    const { pages } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!Array.isArray(pages) || pages.length === 0 || !pages.every(pageNumber => job.failedPages.has(pageNumber))) {
+      return sendJson(res, 400, { detail: 'Only failed pages can be retried.' });
+    }
+
+    getVersions(job); // The output before the retry becomes the first version
+    job.retry = {
+      pages: [...pages].sort((a, b) => a - b),
+      failAgain: new Set(pages.filter(() => Math.random() < PAGE_FAIL_RATE)),
+      startedAt: Date.now()
+    };
+    sendJson(res, 200, getJobStatus(job));
+  }],
+
+  ['GET', /^\/documents\/result\/([\w-]+)$/, async (req, res, [processId], query) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+
+    const status = getJobStatus(job);
+    if (status.status !== 'completed' && query.get('partial') !== 'true') {
+      return sendJson(res, 400, { detail: 'Translation is not complete' });
+    }
+    const pages = buildResultPages(job, status.currentPage);
+    sendJson(res, 200, {
+      translatedText: buildResultHtml(pages),
+      pages,
+      metadata: { ...status, fileName: job.fileName }
+    });
+  }],
+
+  // What the history shows for a finished job: its pages, or the edited HTML once an edit was saved
+  ['GET', /^\/history\/history\/([\w-]+)\/content$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+
+    const status = getJobStatus(job);
+    const combinedContent = job.editedHtml || buildResultHtml(buildResultPages(job, status.currentPage));
+    const chunks = combinedContent.split(/(?=<div class="page" data-page-number=")/).map((content, index) => {
+      const pageNumber = Number(/data-page-number="(\d+)"/.exec(content)?.[1]) || index + 1;
+      return { pageNumber, content, sourceContent: buildSourcePageHtml(job, pageNumber) };
+    });
+    sendJson(res, 200, {
+      processId,
+      chunks,
+      combinedContent,
+      hasContent: chunks.length > 0,
+      metadata: {
+        fileName: job.fileName,
+        fromLang: job.detectedLanguage || job.fromLang,
+        toLang: job.toLang,
+        totalPages: job.totalPages,
+        status: status.status,
+        createdAt: new Date(job.startedAt).toISOString(),
+        completedAt: new Date(job.startedAt + job.totalPages * SECONDS_PER_PAGE * 1000).toISOString(),
+        direction: ['ar', 'fa'].includes(job.toLang) ? 'rtl' : 'ltr'
+      }
+    });
+  }],
+
+  ['PUT', /^\/history\/history\/([\w-]+)\/content$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+
+    const { content } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (typeof content !== 'string' || !content.trim()) {
+      return sendJson(res, 400, { detail: 'content must be the edited HTML' });
+    }
+    job.editedHtml = content;
+    const version = addVersion(job, { kind: 'edit', content, author: MOCK_AUTHOR });
+    sendJson(res, 200, { processId, updatedAt: version.createdAt, version });
+  }],
+
+  // Every version of a job's content, oldest first
+  ['GET', /^\/history\/history\/([\w-]+)\/versions$/, async (req, res, [processId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+    sendJson(res, 200, { processId, versions: getVersions(job) });
+  }],
+
+  // Make an earlier version current again, recorded as a new version
+  ['POST', /^\/history\/history\/([\w-]+)\/versions\/([\w-]+)\/restore$/, async (req, res, [processId, versionId]) => {
+    const job = jobs.get(processId);
+    if (!job) return sendJson(res, 404, { detail: 'Translation not found' });
+    const restored = getVersions(job).find(version => version.versionId === versionId);
+    if (!restored) return sendJson(res, 404, { detail: 'Version not found' });
+
+    job.editedHtml = restored.content;
+    const version = addVersion(job, {
+      kind: 'restore',
+      content: restored.content,
+      author: MOCK_AUTHOR,
+      restoredFrom: restored.number
+    });
+    sendJson(res, 200, { processId, version });
+  }],
+
+  ['GET', /^\/balance\/me\/balance$/, async (req, res) => {
+    sendJson(res, 200, { userId: 'mock-user', pagesBalance: 500, pagesUsed: 0 });
+  }],
+
+  ['GET', /^\/health$/, async (req, res) => {
+    sendJson(res, 200, { status: 'ok' });
+  }]
+];
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/^\/api/, '');
+
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && pattern.exec(path);
+    if (match) {
+      try {
+        await handler(req, res, match.slice(1), url.searchParams);
+      } catch (error) {
+        console.error(`❌ ${req.method} ${path} failed:`, error);
+        sendJson(res, 500, { detail: error.message });
+      }
+      return;
+    }
+  }
+
+  sendJson(res, 404, { detail: `No mock route for ${req.method} ${path}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Mock API listening on http://localhost:${PORT} (chunk fail rate ${FAIL_RATE})`);
+});
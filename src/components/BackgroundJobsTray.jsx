@@ -0,0 +1,274 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useUser } from '@clerk/clerk-react';
+import { useAtomValue, useSetAtom } from 'jotai';
+import { Bell, ChevronDown, ChevronUp, ExternalLink, Loader2, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { trackTranslationJob } from '../services/translationJobs';
+import { jobReducer, initialJobState } from '../services/jobStateMachine';
+import {
+  ACTIVE_JOB_STATUSES,
+  backgroundJobsAtom,
+  foregroundJobIdsAtom,
+  saveJobAtom,
+  toStoredJob,
+  dismissJobAtom,
+  clearFinishedJobsAtom
+} from '../store/backgroundJobs';
+import { getLanguageLabel } from '../constants/languages';
+import {
+  getNotificationPermission,
+  requestNotificationPermission,
+  isNotificationPromptDismissed,
+  dismissNotificationPrompt,
+  showNotification,
+  showTabBadge
+} from '../utils/notifications';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'Translating',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Translation jobs of the signed-in user, shown on every route. Jobs no page is
+ * tracking are tracked here, including ones restored from storage after a reload.
+ * Finished jobs are announced with a desktop notification and a tab badge.
+ */
+export default function BackgroundJobsTray() {
+  const { user } = useUser();
+  const navigate = useNavigate();
+  const jobs = useAtomValue(backgroundJobsAtom);
+  const foregroundJobIds = useAtomValue(foregroundJobIdsAtom);
+  const saveJob = useSetAtom(saveJobAtom);
+  const dismissJob = useSetAtom(dismissJobAtom);
+  const clearFinishedJobs = useSetAtom(clearFinishedJobsAtom);
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [showNotificationPrompt, setShowNotificationPrompt] = useState(
+    () => getNotificationPermission() === 'default' && !isNotificationPromptDismissed()
+  );
+  const trackersRef = useRef(new Map());
+  // Status of each job at the last render, to spot the moment a job finishes
+  const lastStatusesRef = useRef(null);
+
+  const userJobs = useMemo(() => jobs.filter(job => job.userId === user?.id), [jobs, user?.id]);
+  const activeCount = userJobs.filter(job => ACTIVE_JOB_STATUSES.includes(job.status)).length;
+  const backgroundJobs = useMemo(() => userJobs.filter(job =>
+    ACTIVE_JOB_STATUSES.includes(job.status) && !foregroundJobIds.includes(job.processId)
+  ), [userJobs, foregroundJobIds]);
+
+  // Start trackers for jobs that lost their page, and stop those a page took over.
+  // Runs on every store change, so it only acts on jobs whose tracker is missing or no longer needed.
+  useEffect(() => {
+    const trackers = trackersRef.current;
+    const processIds = backgroundJobs.map(job => job.processId);
+
+    trackers.forEach((stop, processId) => {
+      if (!processIds.includes(processId)) {
+        stop();
+        trackers.delete(processId);
+      }
+    });
+
+    backgroundJobs
+      .filter(job => !trackers.has(job.processId))
+      .forEach(({ processId, fileName, status, progress, currentPage, totalPages }) => {
+        console.log(`📡 Tracking ${fileName} in the background: ${processId}`);
+
+        // Reduced with the same events as on the translate page, so late updates cannot reopen a finished job
+        let job = jobReducer(initialJobState, { type: 'jobAttached', job: { processId, status, progress, currentPage, totalPages } });
+        const apply = (event) => {
+          const next = jobReducer(job, { ...event, processId });
+          if (next === job) return false;
+          job = next;
+          saveJob(toStoredJob(job));
+          return true;
+        };
+
+        trackers.set(processId, trackTranslationJob(processId, {
+          onUpdate: (statusData) => apply({ type: 'statusReceived', statusData }),
+          onComplete: (result) => {
+            trackers.delete(processId);
+            if (!apply({ type: 'resultReceived', result, pages: [] })) return;
+            toast.success(`${fileName} has been translated`, {
+              action: { label: 'Open', onClick: () => navigate(`/view/${processId}`) }
+            });
+          },
+          onError: (error) => {
+            trackers.delete(processId);
+            apply(error.isCancelled
+              ? { type: 'cancelled' }
+              : { type: 'failed', error: error.message || 'Translation failed', isServerFailure: true });
+          }
+        }));
+      });
+  }, [backgroundJobs, navigate, saveJob]);
+
+  // Jobs from every source pass through the store, so finishes are announced here
+  useEffect(() => {
+    const previous = lastStatusesRef.current;
+    lastStatusesRef.current = new Map(userJobs.map(job => [job.processId, job.status]));
+    if (!previous) return;
+
+    userJobs
+      .filter(job => ['completed', 'failed'].includes(job.status) && ACTIVE_JOB_STATUSES.includes(previous.get(job.processId)))
+      .forEach(job => {
+        showTabBadge(job.status);
+        if (!document.hidden) return;
+
+        const succeeded = job.status === 'completed';
+        showNotification(succeeded ? 'Translation complete' : 'Translation failed', {
+          body: succeeded
+            ? `${job.fileName} is ready in ${getLanguageLabel(job.toLang)}.`
+            : `${job.fileName}: ${job.error || 'the translation could not be finished.'}`,
+          tag: job.processId,
+          status: job.status,
+          onClick: () => {
+            // The translate page shows its own job's result; anything else opens in the viewer
+            const isShownOnPage = job.source === 'translate' && window.location.pathname === '/';
+            if (succeeded && !isShownOnPage) {
+              navigate(`/view/${job.processId}`);
+            }
+          }
+        });
+      });
+  }, [userJobs, navigate]);
+
+  const handleEnableNotifications = async () => {
+    const permission = await requestNotificationPermission();
+    setShowNotificationPrompt(false);
+    if (permission === 'granted') {
+      toast.success("You'll be notified when translations finish");
+    } else {
+      dismissNotificationPrompt();
+    }
+  };
+
+  const handleDismissNotificationPrompt = () => {
+    dismissNotificationPrompt();
+    setShowNotificationPrompt(false);
+  };
+
+  useEffect(() => {
+    const trackers = trackersRef.current;
+    return () => {
+      trackers.forEach(stop => stop());
+      trackers.clear();
+    };
+  }, []);
+
+  if (userJobs.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between bg-gradient-to-r from-indigo-600 to-indigo-800 px-4 py-2 text-white text-sm font-medium"
+      >
+        <span className="flex items-center">
+          {activeCount > 0 && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          {activeCount > 0 ? `${activeCount} translation${activeCount === 1 ? '' : 's'} running` : 'Translations'}
+        </span>
+        {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronUp className="h-4 w-4" />}
+      </button>
+
+      {isExpanded && (
+        <>
+          {showNotificationPrompt && activeCount > 0 && (
+            <div className="px-4 py-3 bg-indigo-50 border-b border-indigo-100 flex items-start gap-2">
+              <Bell className="h-4 w-4 text-indigo-600 shrink-0 mt-0.5" />
+              <div className="flex-1 text-xs text-indigo-900">
+                <p>Get a desktop notification when a translation finishes, even in another tab.</p>
+                <div className="mt-2 flex gap-3">
+                  <button
+                    type="button"
+                    onClick={handleEnableNotifications}
+                    className="font-medium text-indigo-700 hover:text-indigo-900"
+                  >
+                    Enable notifications
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleDismissNotificationPrompt}
+                    className="text-indigo-500 hover:text-indigo-700"
+                  >
+                    No thanks
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+            {userJobs.map(job => (
+              <li key={job.processId} className="px-4 py-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800 truncate" title={job.fileName}>{job.fileName}</p>
+                    <p className="text-xs text-gray-500">
+                      {getLanguageLabel(job.fromLang)} → {getLanguageLabel(job.toLang)} • {STATUS_LABELS[job.status] || job.status}
+                    </p>
+                  </div>
+                  {job.status === 'completed' && (
+                    <Link
+                      to={`/view/${job.processId}`}
+                      className="inline-flex items-center text-xs text-indigo-600 hover:text-indigo-800 shrink-0"
+                    >
+                      Open <ExternalLink className="h-3 w-3 ml-1" />
+                    </Link>
+                  )}
+                  {!ACTIVE_JOB_STATUSES.includes(job.status) && (
+                    <button
+                      type="button"
+                      onClick={() => dismissJob(job.processId)}
+                      className="p-0.5 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100 shrink-0"
+                      title="Dismiss"
+                    >
+                      <X className="h-3.5 w-3.5" />
+                    </button>
+                  )}
+                </div>
+
+                {ACTIVE_JOB_STATUSES.includes(job.status) && (
+                  <div className="mt-2">
+                    <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-indigo-600 transition-all duration-300 ease-out"
+                        style={{ width: `${job.progress || 0}%` }}
+                      />
+                    </div>
+                    {job.totalPages > 0 && (
+                      <p className="mt-1 text-xs text-gray-500 text-right">
+                        Page {job.currentPage} of {job.totalPages}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {job.error && job.status === 'failed' && (
+                  <p className="mt-1 text-xs text-red-600">{job.error}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {activeCount < userJobs.length && (
+            <div className="px-4 py-2 border-t border-gray-100 text-right">
+              <button
+                type="button"
+                onClick={() => clearFinishedJobs(user.id)}
+                className="text-xs text-gray-500 hover:text-gray-700"
+              >
+                Clear finished
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
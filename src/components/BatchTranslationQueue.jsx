@@ -0,0 +1,609 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useUser } from '@clerk/clerk-react';
+import { useSetAtom } from 'jotai';
+import { FileText, Loader2, Play, Pause, Plus, RotateCcw, Trash2, X, ExternalLink, Check } from 'lucide-react';
+import { toast } from 'sonner';
+import { documentService } from '../services/api';
+import { trackTranslationJob } from '../services/translationJobs';
+import { jobReducer, initialJobState, getDisplayProgress } from '../services/jobStateMachine';
+import { LANGUAGE_OPTIONS, SOURCE_LANGUAGE_OPTIONS, AUTO_DETECT_LANGUAGE, getLanguageLabel } from '../constants/languages';
+import { detectDocumentLanguage } from '../utils/languageDetection';
+import { isHeicFile, convertHeicToJpeg } from '../utils/imageProcessing';
+import TranslationPreflight from './TranslationPreflight';
+import { formatBytes, formatDuration } from '../utils/transferStats';
+import { getFileType } from '../utils/throughputStats';
+import { getResultPages } from '../utils/translatedPages';
+import { inspectFile, FILE_INPUT_ACCEPT } from '../utils/fileFormats';
+import { getUnattendedPdfError } from '../utils/pdfDocument';
+import { rememberSourceDocument } from '../utils/sourceDocuments';
+import { saveJobAtom, toStoredJob, useForegroundJobs } from '../store/backgroundJobs';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+const ACTIVE_STATUSES = ['uploading', 'pending', 'in_progress'];
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  uploading: 'bg-blue-100 text-blue-800',
+  pending: 'bg-blue-100 text-blue-800',
+  in_progress: 'bg-indigo-100 text-indigo-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  pending: 'Pending',
+  in_progress: 'Translating',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+let nextItemId = 1;
+
+// Copy what the list shows from the item's job state; a job that has not started is queued
+const withJob = (item, job) => ({
+  ...item,
+  job,
+  status: job.status === 'idle' ? 'queued' : job.status,
+  progress: getDisplayProgress(job).value,
+  currentPage: job.currentPage,
+  totalPages: job.totalPages || job.expectedPages,
+  upload: job.uploadProgress,
+  processId: job.processId,
+  isCancelling: job.isCancelling,
+  cancellation: job.cancellation,
+  error: job.error
+});
+
+const createQueueItem = (file, fromLang, toLang) => withJob({
+  id: `batch-${nextItemId++}`,
+  file,
+  fromLang,
+  toLang,
+  detectedLanguage: null
+}, initialJobState);
+
+export default function BatchTranslationQueue({ files, fromLang, toLang, onClose }) {
+  const [items, setItems] = useState(() => files.map(file => createQueueItem(file, fromLang, toLang)));
+  const [concurrency, setConcurrency] = useState(2);
+  const [isRunning, setIsRunning] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [preflightItems, setPreflightItems] = useState(null);
+  const preflightFiles = useMemo(() => preflightItems?.map(item => item.file), [preflightItems]);
+  const preflightTargets = useMemo(
+    () => preflightItems?.map(item => ({ fromLang: item.fromLang, toLangs: [item.toLang] })),
+    [preflightItems]
+  );
+
+  const { user } = useUser();
+  const saveJob = useSetAtom(saveJobAtom);
+  // Jobs are also kept in the background jobs store, which tracks them once this queue closes
+  useForegroundJobs(items.filter(item => ['pending', 'in_progress'].includes(item.status)).map(item => item.processId));
+
+  const fileInputRef = useRef(null);
+  // processId trackers keyed by queue item id
+  const trackersRef = useRef(new Map());
+  // AbortControllers of the uploads in progress, keyed by queue item id
+  const uploadAbortsRef = useRef(new Map());
+  // Item ids whose source language has already been looked at
+  const detectionCheckedRef = useRef(new Set());
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => item.id === id ? { ...item, ...changes } : item));
+  }, []);
+
+  // Job state of each item, kept outside React state so every event is reduced in order
+  const jobsRef = useRef(new Map());
+
+  // Apply a job event to an item, as the translate page does for its job. Returns the
+  // new job state, or null when the event changed nothing (e.g. an update after completion).
+  const dispatchItem = useCallback((id, event) => {
+    const job = jobsRef.current.get(id) || initialJobState;
+    const next = jobReducer(job, event);
+    if (next === job) return null;
+
+    jobsRef.current.set(id, next);
+    setItems(prev => prev.map(item => item.id === id ? withJob(item, next) : item));
+    return next;
+  }, []);
+
+  // Preselect the source language of files left on auto-detect
+  useEffect(() => {
+    items
+      .filter(item => item.fromLang === AUTO_DETECT_LANGUAGE && !detectionCheckedRef.current.has(item.id))
+      .forEach(item => {
+        detectionCheckedRef.current.add(item.id);
+        detectDocumentLanguage(item.file).then(detection => {
+          if (!detection) return;
+          setItems(prev => prev.map(current => (
+            current.id === item.id && current.status === 'queued' && current.fromLang === AUTO_DETECT_LANGUAGE
+              ? { ...current, fromLang: detection.language, detectedLanguage: detection }
+              : current
+          )));
+        });
+      });
+  }, [items]);
+
+  // Stop all uploads and trackers on unmount
+  useEffect(() => {
+    const trackers = trackersRef.current;
+    const uploadAborts = uploadAbortsRef.current;
+    return () => {
+      uploadAborts.forEach(controller => controller.abort());
+      uploadAborts.clear();
+      trackers.forEach(stop => stop());
+      trackers.clear();
+    };
+  }, []);
+
+  // Cancel an item's job on the server; tracking continues if the server does not confirm.
+  // Resolves to true once the job is cancelled.
+  const cancelJob = useCallback(async (id, processId, fileName) => {
+    dispatchItem(id, { type: 'cancelRequested' });
+    try {
+      const cancellation = await documentService.cancelTranslation(processId);
+      const stopTracking = trackersRef.current.get(id);
+      if (stopTracking) {
+        stopTracking();
+        trackersRef.current.delete(id);
+      }
+      const job = dispatchItem(id, { type: 'cancelled', processId, cancellation });
+      if (job) saveJob(toStoredJob(job));
+      return true;
+    } catch (error) {
+      dispatchItem(id, { type: 'cancelRejected' });
+      toast.error(`${fileName}: ${typeof error === 'string' ? error : 'Failed to cancel the translation'}`);
+      return false;
+    }
+  }, [dispatchItem, saveJob]);
+
+  const startItem = useCallback(async (item) => {
+    const uploadAbort = new AbortController();
+    uploadAbortsRef.current.set(item.id, uploadAbort);
+
+    try {
+      // Convert HEIC photos before they go into the FormData
+      const file = isHeicFile(item.file) ? await convertHeicToJpeg(item.file) : item.file;
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('from_lang', item.fromLang);
+      formData.append('to_lang', item.toLang);
+
+      const response = await documentService.initiateTranslation(formData, {
+        signal: uploadAbort.signal,
+        onUploadProgress: (upload) => dispatchItem(item.id, { type: 'uploadProgress', uploadProgress: upload })
+      });
+      uploadAbortsRef.current.delete(item.id);
+
+      if (!response.processId) {
+        throw new Error('No process ID received from the server');
+      }
+
+      const { processId } = response;
+      rememberSourceDocument(processId, file);
+      const job = dispatchItem(item.id, { type: 'jobCreated', processId, status: response.status });
+      if (!job) return;
+      saveJob({
+        ...toStoredJob(job),
+        userId: user?.id,
+        source: 'batch',
+        fileName: item.file.name,
+        fileType: getFileType(item.file),
+        fromLang: item.fromLang,
+        toLang: item.toLang
+      });
+
+      // Cancel was pressed while the job was being created
+      if (uploadAbort.signal.aborted && await cancelJob(item.id, processId, item.file.name)) {
+        return;
+      }
+
+      // Store every change the state machine accepted
+      const apply = (event) => {
+        const next = dispatchItem(item.id, { ...event, processId });
+        if (next) saveJob(toStoredJob(next));
+      };
+
+      const stopTracking = trackTranslationJob(processId, {
+        onUpdate: (statusData) => apply({ type: 'statusReceived', statusData }),
+        onComplete: (result) => {
+          trackersRef.current.delete(item.id);
+          apply({ type: 'resultReceived', result, pages: getResultPages(result) });
+        },
+        onError: (error) => {
+          trackersRef.current.delete(item.id);
+          apply(error.isCancelled
+            ? { type: 'cancelled' }
+            : { type: 'failed', error: error.message || 'Translation failed', isServerFailure: true });
+        }
+      });
+
+      trackersRef.current.set(item.id, stopTracking);
+    } catch (error) {
+      uploadAbortsRef.current.delete(item.id);
+      if (error.isCancelled) {
+        dispatchItem(item.id, { type: 'cancelled', cancellation: { pagesProcessed: 0, pagesBilled: 0, totalPages: 0 } });
+        return;
+      }
+      console.error(`❌ Batch item ${item.file.name} failed to start:`, error);
+      dispatchItem(item.id, { type: 'failed', error: error.message || 'Failed to start translation' });
+    }
+  }, [cancelJob, dispatchItem, saveJob, user?.id]);
+
+  // Start queued items whenever a concurrency slot is free
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const activeCount = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    const freeSlots = concurrency - activeCount;
+    const queued = items.filter(item => item.status === 'queued');
+
+    if (queued.length === 0) {
+      if (activeCount === 0) {
+        setIsRunning(false);
+        const failedCount = items.filter(item => item.status === 'failed').length;
+        if (failedCount > 0) {
+          toast.warning(`Batch finished with ${failedCount} failed file${failedCount > 1 ? 's' : ''}`);
+        } else {
+          toast.success('Batch translation finished');
+        }
+      }
+      return;
+    }
+
+    if (freeSlots <= 0) return;
+
+    const toStart = queued.slice(0, freeSlots);
+
+    // Mark as uploading first so the next render does not start them twice
+    toStart.forEach(item => {
+      dispatchItem(item.id, { type: 'uploadStarted', fileName: item.file.name, expectedPages: item.totalPages });
+      startItem(item);
+    });
+  }, [items, isRunning, concurrency, startItem, dispatchItem]);
+
+  const addFiles = async (fileList) => {
+    const accepted = [];
+    const rejected = [];
+
+    for (const selectedFile of Array.from(fileList)) {
+      const { file, format, error } = await inspectFile(selectedFile);
+      const pdfError = !error && format.id === 'pdf' ? await getUnattendedPdfError(file) : null;
+
+      if (error || pdfError) {
+        rejected.push(`${file.name}: ${error || pdfError}`);
+      } else {
+        accepted.push(createQueueItem(file, fromLang, toLang));
+      }
+    }
+
+    if (rejected.length > 0) {
+      alert(`Some files were skipped:\n${rejected.join('\n')}`);
+    }
+
+    if (accepted.length > 0) {
+      setItems(prev => [...prev, ...accepted]);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    if (e.target.files && e.target.files.length > 0) {
+      addFiles(e.target.files);
+    }
+    e.target.value = '';
+  };
+
+  const removeItem = (id) => {
+    jobsRef.current.delete(id);
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const retryItem = (id) => {
+    dispatchItem(id, { type: 'reset' });
+  };
+
+  // Stop an upload in progress (its job is cancelled if it was already being created),
+  // or cancel the item's job on the server
+  const cancelItem = (item) => {
+    if (item.status === 'uploading') {
+      dispatchItem(item.id, { type: 'cancelRequested' });
+      uploadAbortsRef.current.get(item.id)?.abort();
+      return;
+    }
+    cancelJob(item.id, item.processId, item.file.name);
+  };
+
+  const clearFinished = () => {
+    const finishedIds = items.filter(item => ['completed', 'cancelled'].includes(item.status)).map(item => item.id);
+    finishedIds.forEach(id => jobsRef.current.delete(id));
+    setItems(prev => prev.filter(item => !finishedIds.includes(item.id)));
+  };
+
+  // Confirm the page cost of every queued file before the queue starts
+  const handleStart = () => {
+    setPreflightItems(items.filter(item => item.status === 'queued'));
+  };
+
+  // Files translated before are marked done with the earlier result instead of being queued
+  const handlePreflightConfirm = (pageCounts, reused) => {
+    const pagesById = new Map(preflightItems.map((item, index) => [item.id, pageCounts[index].pages]));
+    const reusedById = new Map(reused.map(({ fileIndex, translation }) => [preflightItems[fileIndex].id, translation]));
+
+    preflightItems.forEach(item => {
+      const translation = reusedById.get(item.id);
+      if (translation) {
+        const { processId } = translation;
+        dispatchItem(item.id, { type: 'jobAttached', job: { processId, status: 'in_progress', expectedPages: pagesById.get(item.id) } });
+        dispatchItem(item.id, { type: 'resultReceived', processId, result: translation, pages: getResultPages(translation) });
+      } else {
+        updateItem(item.id, { totalPages: pagesById.get(item.id) });
+      }
+    });
+    setPreflightItems(null);
+    setIsRunning(reused.length < preflightItems.length);
+  };
+
+  const handleClose = () => {
+    if (isRunning && !confirm('The batch is still running. Stop tracking it and close the queue?')) {
+      return;
+    }
+    onClose();
+  };
+
+  const queuedCount = items.filter(item => item.status === 'queued').length;
+  const completedCount = items.filter(item => item.status === 'completed').length;
+  const failedCount = items.filter(item => item.status === 'failed').length;
+  const totalSize = items.reduce((sum, item) => sum + item.file.size, 0);
+
+  return (
+    <div
+      className={`card ${dragActive ? 'ring-2 ring-indigo-400' : ''}`}
+      onDragEnter={handleDrag}
+      onDragOver={handleDrag}
+      onDragLeave={handleDrag}
+      onDrop={handleDrop}
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="font-semibold text-gray-800">Batch Queue</h3>
+          <p className="text-sm text-gray-500">
+            {items.length} file{items.length !== 1 ? 's' : ''} • {(totalSize / 1024 / 1024).toFixed(2)} MB •
+            {' '}{completedCount} completed{failedCount > 0 ? ` • ${failedCount} failed` : ''}
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="batchConcurrency" className="text-sm text-gray-600">
+            Parallel
+          </label>
+          <div className="form-select-container w-20">
+            <select
+              id="batchConcurrency"
+              className="form-select py-1.5"
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+            >
+              {CONCURRENCY_OPTIONS.map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={handleClose}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+            title="Close batch queue"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg mb-4">
+        {items.map(item => (
+          <li key={item.id} className="p-3">
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <div className="flex items-center flex-1 min-w-0">
+                <div className="w-9 h-9 rounded-lg bg-indigo-100 flex items-center justify-center mr-3 shrink-0">
+                  <FileText className="w-5 h-5 text-indigo-600" />
+                </div>
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800 truncate" title={item.file.name}>{item.file.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {(item.file.size / 1024 / 1024).toFixed(2)} MB
+                    {item.status === 'uploading' && item.upload
+                      ? ` • ${formatBytes(item.upload.bytesSent)} sent • ${formatBytes(item.upload.bytesPerSecond)}/s • ${formatDuration(item.upload.etaSeconds)} left`
+                      : item.totalPages > 0 && ` • Page ${item.currentPage} of ${item.totalPages}`}
+                    {item.status === 'queued' && item.detectedLanguage && ` • Detected ${getLanguageLabel(item.detectedLanguage.language)}`}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <select
+                  className="form-select py-1 text-sm w-32"
+                  value={item.fromLang}
+                  onChange={(e) => updateItem(item.id, { fromLang: e.target.value, detectedLanguage: null })}
+                  disabled={item.status !== 'queued'}
+                  aria-label="From language"
+                  title={item.detectedLanguage ? `Detected from ${item.detectedLanguage.script} text` : undefined}
+                >
+                  {SOURCE_LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <span className="text-gray-400">→</span>
+                <select
+                  className="form-select py-1 text-sm w-32"
+                  value={item.toLang}
+                  onChange={(e) => updateItem(item.id, { toLang: e.target.value })}
+                  disabled={item.status !== 'queued'}
+                  aria-label="To language"
+                >
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex items-center gap-2 md:w-56 md:justify-end">
+                <span className={`status-badge ${STATUS_STYLES[item.status]}`}>
+                  {ACTIVE_STATUSES.includes(item.status) && (
+                    <Loader2 className="inline h-3 w-3 mr-1 animate-spin" />
+                  )}
+                  {item.status === 'completed' && <Check className="inline h-3 w-3 mr-1" />}
+                  {STATUS_LABELS[item.status]}
+                </span>
+
+                {item.status === 'completed' && item.processId && (
+                  <Link
+                    to={`/view/${item.processId}`}
+                    className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+                  >
+                    Open <ExternalLink className="h-3 w-3 ml-1" />
+                  </Link>
+                )}
+                {item.status === 'failed' && (
+                  <button
+                    type="button"
+                    onClick={() => retryItem(item.id)}
+                    className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100"
+                    title="Retry file"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                )}
+                {ACTIVE_STATUSES.includes(item.status) && (
+                  <button
+                    type="button"
+                    onClick={() => cancelItem(item)}
+                    disabled={item.isCancelling}
+                    className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+                    title="Cancel translation"
+                  >
+                    {item.isCancelling ? <Loader2 className="w-4 h-4 animate-spin" /> : <X className="w-4 h-4" />}
+                  </button>
+                )}
+                {['queued', 'failed', 'cancelled'].includes(item.status) && (
+                  <button
+                    type="button"
+                    onClick={() => removeItem(item.id)}
+                    className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100"
+                    title="Remove file"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {ACTIVE_STATUSES.includes(item.status) && (
+              <div className="mt-2 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 transition-all duration-300 ease-out"
+                  style={{ width: `${item.progress}%` }}
+                />
+              </div>
+            )}
+
+            {item.error && item.status === 'failed' && (
+              <p className="mt-2 text-xs text-red-600">{item.error}</p>
+            )}
+
+            {item.cancellation && item.status === 'cancelled' && (
+              <p className="mt-2 text-xs text-gray-500">
+                {item.cancellation.totalPages > 0
+                  ? `Cancelled after ${item.cancellation.pagesProcessed} of ${item.cancellation.totalPages} pages; ${item.cancellation.pagesBilled} billed`
+                  : 'Upload cancelled; nothing billed'}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        className="hidden"
+        accept={FILE_INPUT_ACCEPT}
+        onChange={handleFileChange}
+      />
+
+      <div className="flex flex-col sm:flex-row items-center gap-3">
+        {isRunning ? (
+          <button
+            type="button"
+            onClick={() => setIsRunning(false)}
+            className="button-secondary w-full sm:w-auto flex items-center justify-center gap-2"
+          >
+            <Pause size={16} />
+            Pause Queue
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={handleStart}
+            className="button-primary w-full sm:w-auto flex items-center justify-center gap-2"
+            disabled={queuedCount === 0}
+          >
+            <Play size={16} />
+            Translate {queuedCount} File{queuedCount !== 1 ? 's' : ''}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => fileInputRef.current.click()}
+          className="button-secondary w-full sm:w-auto flex items-center justify-center gap-2"
+        >
+          <Plus size={16} />
+          Add Files
+        </button>
+        {(completedCount > 0 || items.some(item => item.status === 'cancelled')) && (
+          <button
+            type="button"
+            onClick={clearFinished}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      {preflightItems && (
+        <TranslationPreflight
+          files={preflightFiles}
+          targets={preflightTargets}
+          onConfirm={handlePreflightConfirm}
+          onCancel={() => setPreflightItems(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+import { useState, useEffect, useRef } from 'react';
+import { AlertTriangle, FileText, Languages, Link2, Loader2, Upload } from 'lucide-react';
+import { loadPdfDocument, renderPdfPage } from '../utils/pdfDocument';
+import { getSourcePreviewType, getSourcePageNumber } from '../utils/sourceDocuments';
+
+const PDF_RENDER_WIDTH = 800;
+const HIGHLIGHT_DURATION = 1500;
+
+// One page of the original PDF, drawn the first time it scrolls near the view
+function SourcePdfPage({ pdf, pageNumber, aspectRatio, scrollRoot }) {
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [renderState, setRenderState] = useState('waiting');
+  const [pageAspectRatio, setPageAspectRatio] = useState(aspectRatio);
+
+  useEffect(() => {
+    if (!wrapperRef.current || !scrollRoot) return;
+    let isCancelled = false;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      setRenderState('rendering');
+
+      const canvas = canvasRef.current;
+      renderPdfPage(pdf, pageNumber, canvas, { width: PDF_RENDER_WIDTH })
+        .then(() => {
+          if (isCancelled) return;
+          setPageAspectRatio(canvas.width / canvas.height);
+          setRenderState('done');
+        })
+        .catch((error) => {
+          if (isCancelled) return;
+          console.warn(`⚠️ Could not render page ${pageNumber} of the original:`, error);
+          setRenderState('failed');
+        });
+    }, { root: scrollRoot, rootMargin: '100% 0px' });
+
+    observer.observe(wrapperRef.current);
+    return () => {
+      isCancelled = true;
+      observer.disconnect();
+    };
+  }, [pdf, pageNumber, scrollRoot]);
+
+  return (
+    <div ref={wrapperRef} className="relative bg-white shadow-sm" style={{ aspectRatio: pageAspectRatio }}>
+      <canvas ref={canvasRef} className={`w-full h-full ${renderState === 'done' ? '' : 'invisible'}`} />
+      {renderState !== 'done' && (
+        <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">
+          {renderState === 'failed'
+            ? 'This page could not be displayed'
+            : <Loader2 className="h-5 w-5 animate-spin" />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The original document next to its translation, page by page. Both sides scroll
+ * together, and clicking a translated page brings its source page into view.
+ * sourceDocument is { file, pageNumbers } (see utils/sourceDocuments) or null when
+ * the original is not available; onChooseSource then lets the user pick it.
+ */
+export default function BilingualView({ pages, sourceDocument, direction, onChooseSource }) {
+  const sourcePaneRef = useRef(null);
+  const translatedPaneRef = useRef(null);
+  // Pane we just scrolled programmatically, whose next scroll event must not be synced back
+  const drivenPaneRef = useRef(null);
+  const highlightTimeoutRef = useRef(null);
+  const [sourcePane, setSourcePane] = useState(null);
+  const [isSynced, setIsSynced] = useState(true);
+  const [highlightedPage, setHighlightedPage] = useState(null);
+  const [pdfState, setPdfState] = useState({ pdf: null, aspectRatio: null, error: null });
+  const [imageUrl, setImageUrl] = useState(null);
+
+  const file = sourceDocument?.file;
+  const previewType = file ? getSourcePreviewType(file) : null;
+
+  useEffect(() => {
+    if (previewType !== 'pdf') return;
+    let pdf = null;
+    let isCancelled = false;
+    setPdfState({ pdf: null, aspectRatio: null, error: null });
+
+    loadPdfDocument(file)
+      .then(async (loadedPdf) => {
+        if (isCancelled) {
+          loadedPdf.destroy();
+          return;
+        }
+        pdf = loadedPdf;
+        const firstPage = await loadedPdf.getPage(1);
+        const viewport = firstPage.getViewport({ scale: 1 });
+        if (!isCancelled) {
+          setPdfState({ pdf: loadedPdf, aspectRatio: viewport.width / viewport.height, error: null });
+        }
+      })
+      .catch((error) => {
+        console.error('❌ Failed to open the original PDF:', error);
+        if (!isCancelled) {
+          setPdfState({ pdf: null, aspectRatio: null, error: 'The original PDF could not be opened.' });
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+      pdf?.destroy();
+    };
+  }, [file, previewType]);
+
+  useEffect(() => {
+    if (previewType !== 'image') return;
+    const url = URL.createObjectURL(file);
+    setImageUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file, previewType]);
+
+  useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
+
+  const setSourcePaneRef = (element) => {
+    sourcePaneRef.current = element;
+    setSourcePane(element);
+  };
+
+  // Page block at the top of a pane and how far into it the pane is scrolled
+  const findScrollAnchor = (pane) => {
+    let anchor = null;
+    for (const block of pane.querySelectorAll('[data-sync-page]')) {
+      if (anchor && block.offsetTop > pane.scrollTop) break;
+      anchor = block;
+    }
+    if (!anchor) return null;
+
+    const fraction = (pane.scrollTop - anchor.offsetTop) / (anchor.offsetHeight || 1);
+    return { page: anchor.dataset.syncPage, fraction: Math.min(1, Math.max(0, fraction)) };
+  };
+
+  const scrollPaneToPage = (pane, page, fraction = 0) => {
+    const block = pane?.querySelector(`[data-sync-page="${page}"]`);
+    if (!block) return false;
+
+    const target = Math.min(block.offsetTop + fraction * block.offsetHeight, pane.scrollHeight - pane.clientHeight);
+    // Setting the same position fires no scroll event, which would leave the pane marked as driven
+    if (Math.abs(pane.scrollTop - target) < 1) return true;
+    drivenPaneRef.current = pane;
+    pane.scrollTop = target;
+    return true;
+  };
+
+  const handleScroll = (pane, otherPane) => {
+    if (drivenPaneRef.current === pane) {
+      drivenPaneRef.current = null;
+      return;
+    }
+    if (!isSynced || !otherPane) return;
+
+    const anchor = findScrollAnchor(pane);
+    if (anchor) {
+      scrollPaneToPage(otherPane, anchor.page, anchor.fraction);
+    }
+  };
+
+  const showSourcePage = (pageNumber) => {
+    // Selecting text in the translation is not a request to jump
+    if (window.getSelection()?.toString()) return;
+    if (!scrollPaneToPage(sourcePaneRef.current, pageNumber)) return;
+
+    setHighlightedPage(pageNumber);
+    clearTimeout(highlightTimeoutRef.current);
+    highlightTimeoutRef.current = setTimeout(() => setHighlightedPage(null), HIGHLIGHT_DURATION);
+  };
+
+  const sourcePages = pages
+    .map(page => ({ syncPage: page.pageNumber, sourcePageNumber: getSourcePageNumber(sourceDocument, page.pageNumber) }))
+    .filter(page => previewType === 'image'
+      ? page.sourcePageNumber === 1
+      : !pdfState.pdf || page.sourcePageNumber <= pdfState.pdf.numPages);
+
+  const renderSourceContent = () => {
+    if (!file) {
+      return (
+        <div className="h-full flex flex-col items-center justify-center text-center text-sm text-gray-500 px-6">
+          <FileText className="h-8 w-8 text-gray-300 mb-2" />
+          <p>The original file is not available for this translation.</p>
+          {onChooseSource && (
+            <label className="mt-3 inline-flex items-center gap-2 px-3 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 cursor-pointer">
+              <Upload size={16} />
+              Choose the original file
+              <input
+                type="file"
+                accept="application/pdf,image/jpeg,image/png,image/webp"
+                className="hidden"
+                onChange={(event) => {
+                  const [chosenFile] = event.target.files;
+                  if (chosenFile) onChooseSource(chosenFile);
+                  event.target.value = '';
+                }}
+              />
+            </label>
+          )}
+        </div>
+      );
+    }
+
+    if (!previewType) {
+      return (
+        <div className="h-full flex items-center justify-center text-center text-sm text-gray-500 px-6">
+          The original can be shown for PDF and image files only.
+        </div>
+      );
+    }
+
+    if (pdfState.error) {
+      return (
+        <div className="h-full flex items-center justify-center text-sm text-red-600 px-6">
+          <AlertTriangle className="h-4 w-4 mr-2 shrink-0" />
+          {pdfState.error}
+        </div>
+      );
+    }
+
+    if (previewType === 'pdf' && !pdfState.pdf) {
+      return (
+        <div className="h-full flex items-center justify-center text-sm text-gray-500">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Opening the original...
+        </div>
+      );
+    }
+
+    return sourcePages.map(page => (
+      <div
+        key={page.syncPage}
+        data-sync-page={page.syncPage}
+        className={`rounded transition-shadow ${highlightedPage === page.syncPage ? 'ring-2 ring-indigo-500' : ''}`}
+      >
+        <p className="mb-1 text-xs text-gray-500">Page {page.sourcePageNumber}</p>
+        {previewType === 'pdf' ? (
+          <SourcePdfPage
+            pdf={pdfState.pdf}
+            pageNumber={page.sourcePageNumber}
+            aspectRatio={pdfState.aspectRatio}
+            scrollRoot={sourcePane}
+          />
+        ) : (
+          <img src={imageUrl} alt={file.name} className="w-full bg-white shadow-sm" />
+        )}
+      </div>
+    ));
+  };
+
+  return (
+    <div>
+      <div className="mb-2 flex justify-end">
+        <label className="inline-flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isSynced}
+            onChange={(event) => setIsSynced(event.target.checked)}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          <Link2 size={14} />
+          Scroll together
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div>
+          <h3 className="mb-2 text-sm font-medium text-gray-700 flex items-center">
+            <FileText className="h-4 w-4 mr-1 text-gray-500" />
+            Original{file ? `: ${file.name}` : ''}
+          </h3>
+          <div
+            ref={setSourcePaneRef}
+            onScroll={() => handleScroll(sourcePaneRef.current, translatedPaneRef.current)}
+            className="relative h-[70vh] overflow-y-auto border rounded-lg bg-gray-100 p-3 space-y-4"
+          >
+            {renderSourceContent()}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="mb-2 text-sm font-medium text-gray-700 flex items-center">
+            <Languages className="h-4 w-4 mr-1 text-indigo-600" />
+            Translation
+          </h3>
+          <div
+            ref={translatedPaneRef}
+            onScroll={() => handleScroll(translatedPaneRef.current, sourcePaneRef.current)}
+            className="relative h-[70vh] overflow-y-auto border rounded-lg bg-gray-100 p-3 space-y-4"
+          >
+            {pages.map(page => (
+              <div key={page.pageNumber} data-sync-page={page.pageNumber}>
+                <p className="mb-1 text-xs text-gray-500">Page {page.pageNumber}</p>
+                {page.status === 'failed' ? (
+                  <div className="bg-red-50 p-4 rounded-lg border border-red-100 flex items-start">
+                    <AlertTriangle className="h-5 w-5 text-red-500 shrink-0" />
+                    <p className="ml-3 text-sm text-red-700">{page.error}</p>
+                  </div>
+                ) : (
+                  <div
+                    onClick={() => showSourcePage(page.pageNumber)}
+                    title={file ? 'Click to show the original page' : undefined}
+                    className={`document-preview p-6 bg-white shadow-sm rounded ${file ? 'cursor-pointer hover:ring-1 hover:ring-indigo-300' : ''}`}
+                    style={{
+                      direction,
+                      textAlign: direction === 'rtl' ? 'right' : 'left',
+                      fontFamily: direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+                    }}
+                    dangerouslySetInnerHTML={{ __html: page.html }}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
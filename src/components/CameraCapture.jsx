@@ -0,0 +1,325 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Camera, ChevronLeft, ChevronRight, Crop, Loader2, RefreshCw, Trash2, AlertTriangle } from 'lucide-react';
+import { assembleImagesToPdf } from '../utils/pdfAssembly';
+import ImagePreprocessor from './ImagePreprocessor';
+
+const JPEG_QUALITY = 0.92;
+
+let nextPageId = 1;
+
+const createPage = (file) => ({
+  id: `page-${nextPageId++}`,
+  file,
+  url: URL.createObjectURL(file)
+});
+
+const describeCameraError = (error) => {
+  if (error.name === 'NotAllowedError') {
+    return 'Camera access was denied. Allow camera access in your browser settings and try again.';
+  }
+  if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+    return 'No camera was found on this device.';
+  }
+  if (error.name === 'NotReadableError') {
+    return 'The camera is in use by another application.';
+  }
+  return 'The camera could not be started.';
+};
+
+/**
+ * Photographs paper documents page by page with the device camera. Pages can be
+ * retaken, reordered, cleaned up or removed, then are combined into one PDF that
+ * is passed to onComplete.
+ */
+export default function CameraCapture({ onComplete, onCancel }) {
+  const [pages, setPages] = useState([]);
+  const [cameraError, setCameraError] = useState(null);
+  const [isCameraReady, setIsCameraReady] = useState(false);
+  // Index of the page the next capture replaces, or null to append
+  const [retakeIndex, setRetakeIndex] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [isAssembling, setIsAssembling] = useState(false);
+  const [assemblyError, setAssemblyError] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+
+  const startCamera = useCallback(async () => {
+    setCameraError(null);
+    setIsCameraReady(false);
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError('This browser does not support camera capture.');
+      return;
+    }
+
+    try {
+      // Prefer the rear camera at the highest resolution it offers
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          facingMode: { ideal: 'environment' },
+          width: { ideal: 3840 },
+          height: { ideal: 2160 }
+        },
+        audio: false
+      });
+
+      // The dialog may have closed, or the camera restarted, while permission was pending
+      if (!videoRef.current) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setIsCameraReady(true);
+    } catch (error) {
+      console.error('❌ Failed to start camera:', error);
+      setCameraError(describeCameraError(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    startCamera();
+
+    return () => {
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+      pagesRef.current.forEach(page => URL.revokeObjectURL(page.url));
+    };
+  }, [startCamera]);
+
+  const replacePage = (index, file) => {
+    const replacement = createPage(file);
+    URL.revokeObjectURL(pagesRef.current[index].url);
+    setPages(prev => prev.map((page, pageIndex) => pageIndex === index ? replacement : page));
+  };
+
+  const handleCapture = () => {
+    const video = videoRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    canvas.toBlob((blob) => {
+      if (!blob) return;
+      const file = new File([blob], `page-${Date.now()}.jpg`, { type: 'image/jpeg' });
+
+      if (retakeIndex !== null) {
+        replacePage(retakeIndex, file);
+        setRetakeIndex(null);
+      } else {
+        const page = createPage(file);
+        setPages(prev => [...prev, page]);
+      }
+    }, 'image/jpeg', JPEG_QUALITY);
+  };
+
+  const movePage = (index, offset) => {
+    setPages(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+    setRetakeIndex(null);
+  };
+
+  const removePage = (index) => {
+    URL.revokeObjectURL(pages[index].url);
+    setPages(prev => prev.filter((_, pageIndex) => pageIndex !== index));
+    setRetakeIndex(null);
+  };
+
+  const handlePageEdited = (file) => {
+    replacePage(editingIndex, file);
+    setEditingIndex(null);
+  };
+
+  const handleFinish = async () => {
+    setIsAssembling(true);
+    setAssemblyError(null);
+    try {
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      const pdfFile = await assembleImagesToPdf(pages.map(page => page.file), `camera-scan-${stamp}.pdf`);
+      console.log(`✅ Assembled ${pages.length} captured pages into ${pdfFile.name} (${pdfFile.size} bytes)`);
+      onComplete(pdfFile);
+    } catch (error) {
+      console.error('❌ Failed to assemble PDF:', error);
+      setAssemblyError('The captured pages could not be combined into a PDF.');
+      setIsAssembling(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-full overflow-y-auto">
+        <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-4">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-white">Capture Document</h2>
+              <p className="text-indigo-200 text-sm">Photograph each page in order; they are combined into one PDF</p>
+            </div>
+            <button
+              onClick={onCancel}
+              className="text-white hover:text-indigo-200"
+              disabled={isAssembling}
+            >
+              &times;
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6">
+          <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video flex items-center justify-center">
+            <video
+              ref={videoRef}
+              className={`w-full h-full object-contain ${isCameraReady ? '' : 'invisible'}`}
+              playsInline
+              muted
+            />
+            {!isCameraReady && !cameraError && (
+              <div className="absolute inset-0 flex items-center justify-center text-gray-300 text-sm">
+                <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+                Starting camera...
+              </div>
+            )}
+            {cameraError && (
+              <div className="absolute inset-0 flex flex-col items-center justify-center text-center p-6">
+                <AlertTriangle className="h-8 w-8 text-amber-400 mb-2" />
+                <p className="text-sm text-gray-200 mb-3">{cameraError}</p>
+                <button type="button" onClick={startCamera} className="button-secondary">
+                  Try Again
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center justify-center gap-3 mt-4">
+            <button
+              type="button"
+              onClick={handleCapture}
+              className="button-primary flex items-center"
+              disabled={!isCameraReady || isAssembling}
+            >
+              <Camera className="w-4 h-4 mr-2" />
+              {retakeIndex !== null ? `Retake Page ${retakeIndex + 1}` : `Capture Page ${pages.length + 1}`}
+            </button>
+            {retakeIndex !== null && (
+              <button type="button" onClick={() => setRetakeIndex(null)} className="button-secondary">
+                Cancel Retake
+              </button>
+            )}
+          </div>
+
+          {pages.length > 0 && (
+            <ol className="mt-6 grid grid-cols-3 sm:grid-cols-5 gap-3">
+              {pages.map((page, index) => (
+                <li
+                  key={page.id}
+                  className={`rounded-lg border-2 p-1.5 ${retakeIndex === index ? 'border-amber-400' : 'border-gray-200'}`}
+                >
+                  <img src={page.url} alt={`Page ${index + 1}`} className="w-full h-24 object-cover rounded" />
+                  <div className="mt-1 flex items-center justify-between text-xs text-gray-600">
+                    <span>{index + 1}</span>
+                    <div className="flex">
+                      <button
+                        type="button"
+                        onClick={() => movePage(index, -1)}
+                        disabled={index === 0 || isAssembling}
+                        className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-30"
+                        title="Move earlier"
+                      >
+                        <ChevronLeft className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => movePage(index, 1)}
+                        disabled={index === pages.length - 1 || isAssembling}
+                        className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-30"
+                        title="Move later"
+                      >
+                        <ChevronRight className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="flex justify-between">
+                    <button
+                      type="button"
+                      onClick={() => setRetakeIndex(index)}
+                      disabled={isAssembling}
+                      className="p-1 rounded text-gray-500 hover:bg-gray-100"
+                      title="Retake page"
+                    >
+                      <RefreshCw className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingIndex(index)}
+                      disabled={isAssembling}
+                      className="p-1 rounded text-gray-500 hover:bg-gray-100"
+                      title="Crop and straighten"
+                    >
+                      <Crop className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removePage(index)}
+                      disabled={isAssembling}
+                      className="p-1 rounded text-gray-500 hover:bg-gray-100"
+                      title="Remove page"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {assemblyError && <p className="mt-4 text-sm text-red-600">{assemblyError}</p>}
+
+          <div className="flex justify-between items-center mt-6">
+            <span className="text-sm text-gray-500">
+              {pages.length} page{pages.length !== 1 ? 's' : ''} captured
+            </span>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="button-secondary"
+                disabled={isAssembling}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleFinish}
+                className="button-primary"
+                disabled={pages.length === 0 || isAssembling}
+              >
+                {isAssembling ? (
+                  <span className="flex items-center">
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Creating PDF...
+                  </span>
+                ) : 'Use These Pages'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {editingIndex !== null && (
+        <ImagePreprocessor
+          file={pages[editingIndex].file}
+          onApply={handlePageEdited}
+          onCancel={() => setEditingIndex(null)}
+        />
+      )}
+    </div>
+  );
+}
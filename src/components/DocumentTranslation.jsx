@@ -1,77 +1,106 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { Copy, Check, FileText, Download, Languages, Loader2, X, RefreshCw } from 'lucide-react';
+import { useState, useEffect, useRef, useCallback, useMemo, useReducer } from 'react';
+import { Copy, Check, Columns, FileText, Download, Languages, Loader2, Pencil, Search, X, RefreshCw } from 'lucide-react';
 import { useUser } from '@clerk/clerk-react';
 import { toast } from 'sonner';
 import { useApiAuth } from '../services/api';
-import { documentService } from '../services/api';
+import { documentService, historyService } from '../services/api';
 import DocumentsUpload from '../components/DocumentsUpload';
 import DocumentDownloadButton from '../components/DocumentDownloadButton';
 import BalanceDisplay from '../components/BalanceDisplay';
+import { formatBytes, formatDuration } from '../utils/transferStats';
+import { getFileType, getSecondsPerPage, estimateRemaining } from '../utils/throughputStats';
+import { getLanguageLabel, RTL_LANGUAGES } from '../constants/languages';
+import { copyElementToClipboard } from '../utils/clipboard';
+import { hashFile } from '../utils/fileHash';
+import { SUPPORTED_FORMAT_LABELS } from '../utils/fileFormats';
+import { trackTranslationJob, watchTranslationJob } from '../services/translationJobs';
+import { jobReducer, initialJobState, getDisplayProgress, ACTIVE_JOB_STATES } from '../services/jobStateMachine';
+import TranslationResultTabs from '../components/TranslationResultTabs';
+import TranslationPageReader from '../components/TranslationPageReader';
+import FailedPagesPanel from '../components/FailedPagesPanel';
+import BilingualView from '../components/BilingualView';
+import TranslationEditor from '../components/TranslationEditor';
+import FindReplaceBar from '../components/FindReplaceBar';
+import { normalizeResultPage, getResultPages, buildPageStates, splitTranslatedHtml } from '../utils/translatedPages';
+import { rememberSourceDocument, getSourceDocument } from '../utils/sourceDocuments';
+import { parsePageRanges } from '../utils/pageRanges';
+import { useAtomValue, useSetAtom } from 'jotai';
+import { ACTIVE_JOB_STATUSES, backgroundJobsAtom, saveJobAtom, toStoredJob, useForegroundJobs } from '../store/backgroundJobs';
 // import GoogleDriveButton from '../components/GoogleDriveButton';
 import api from '../services/api';
 
+// Look up the server-side job for an upload, by content hash when it is known. Jobs
+// created before the upload are earlier translations of the same file, not this one.
+const findTranslationForFile = (fileInfo) => fileInfo.hash
+  ? documentService.findTranslationByHash(fileInfo.hash, {
+      fromLang: fileInfo.fromLang,
+      toLang: fileInfo.toLang,
+      pageRange: fileInfo.pageRange || null,
+      createdAfter: fileInfo.uploadTime
+    })
+  : documentService.findTranslationByFile(fileInfo.name, { createdAfter: fileInfo.uploadTime });
+
+// What the result tabs show for one target language, taken from its job state
+const withTargetJob = (target, job) => ({
+  ...target,
+  status: job.status,
+  processId: job.processId,
+  progress: job.progress,
+  currentPage: job.currentPage,
+  totalPages: job.totalPages,
+  translatedText: job.translatedText,
+  direction: job.direction || (RTL_LANGUAGES.includes(target.toLang) ? 'rtl' : 'ltr'),
+  detectedLanguage: job.detectedLanguage,
+  error: job.error,
+  cancellation: job.cancellation
+});
+
 export default function DocumentTranslationPage() {
   const { user, isLoaded } = useUser();
   const { registerAuthInterceptor, refreshToken } = useApiAuth(); // Updated to include refreshToken
   const contentRef = useRef(null);
   const statusCheckTimeoutRef = useRef(null);
   const pollAttemptRef = useRef(0);
-  const lastStatusRef = useRef(null);
   const statusUpdateIntervalRef = useRef(null);
-  const forcedProgressRef = useRef(null);
+  // Aborts the upload when the user cancels before the job exists
+  const uploadAbortRef = useRef(null);
+  // Set when cancel is pressed during upload, so the job is cancelled as soon as it is created
+  const cancelRequestedRef = useRef(false);
   const [processStartTime, setProcessStartTime] = useState(null);
   
   const getProcessRuntime = useCallback(() => {
     if (!processStartTime) return 0;
     return Math.floor((Date.now() - processStartTime) / 1000);
   }, [processStartTime]);
-
-  // Keep track of status check issues
-  const [consecFailures, setConsecFailures] = useState(0);
-  const [lastFallbackStatus, setLastFallbackStatus] = useState(false);
-  const [statusCheckStalled, setStatusCheckStalled] = useState(false);
   
   // For UI updates showing time since last status update
   const [timeCounter, setTimeCounter] = useState(0);
   
-  // Add simulated progress for stalled status checks
-  const [simulatedProgress, setSimulatedProgress] = useState({
-    active: false,
-    value: 0,
-    page: 0,
-    total: 0
-  });
+  // The single-language job; every change goes through the state machine's transitions
+  const [translationStatus, dispatchJob] = useReducer(jobReducer, initialJobState);
+  const isStatusDelayed = Boolean(translationStatus.statusDelayedSince);
+  // Latest job state for timers and callbacks that outlive the render they were created in
+  const jobRef = useRef(translationStatus);
+  jobRef.current = translationStatus;
+  // Set once fetchTranslationResults is defined below, so status callbacks always call the latest one
+  const fetchResultsRef = useRef(null);
   
-  const [translationStatus, setTranslationStatus] = useState({
-    isLoading: false,
-    progress: 0,
-    status: null, // 'pending', 'in_progress', 'completed', 'failed'
-    error: null,
-    translatedText: null,
-    fileName: null,
-    direction: 'ltr',
-    processId: null,
-    currentPage: 0,
-    totalPages: 0,
-    lastStatusUpdate: null
-  });
+  // { pages, progress } while failed pages of the finished job are translated again
+  const [pageRetry, setPageRetry] = useState(null);
+  const pageRetryStopRef = useRef(null);
+  
+  const stopPageRetry = () => {
+    pageRetryStopRef.current?.();
+    pageRetryStopRef.current = null;
+    setPageRetry(null);
+  };
 
     // 1. Reset state between translations
   const resetTranslationState = () => {
-    // Clear component state
-    setTranslationStatus({
-      isLoading: false,
-      progress: 0,
-      status: null,
-      error: null,
-      translatedText: null,
-      fileName: null,
-      direction: 'ltr',
-      processId: null,
-      currentPage: 0,
-      totalPages: 0,
-      lastStatusUpdate: null
-    });
+    dispatchJob({ type: 'reset' });
+    stopPageRetry();
+    setIsEditing(false);
+    setIsFindOpen(false);
     
     // Reset polling and any timers
     if (statusCheckTimeoutRef.current) {
@@ -87,23 +116,144 @@ export default function DocumentTranslationPage() {
     
     // Reset polling attempt counter
     pollAttemptRef.current = 0;
-    
-    // Reset consecutive failures counter
-    setConsecFailures(0);
-    
-    // Additional reset for any other state
     setTimeCounter(0);
-    setStatusCheckStalled(false);
-    setSimulatedProgress({
-      active: false,
-      value: 0,
-      page: 0,
-      total: 0
-    });
   };
 
   const [isCopied, setIsCopied] = useState(false);
   const [selectedLanguage, setSelectedLanguage] = useState('en');
+  // 'translation' shows the translated document alone, 'side-by-side' next to the original
+  const [resultView, setResultView] = useState('translation');
+  const [isEditing, setIsEditing] = useState(false);
+  const [isFindOpen, setIsFindOpen] = useState(false);
+
+  // One upload translated into several languages; tracked separately from the single-job state above
+  const [multiTarget, setMultiTarget] = useState(null);
+  // Job state of each target language, reduced with the same events as the single job
+  const multiTargetJobsRef = useRef(new Map());
+  // Stop functions of the job trackers, by target language
+  const multiTargetTrackersRef = useRef(new Map());
+  // Incremented when a new run starts so a finishing upload does not start jobs for an abandoned run
+  const multiTargetRunRef = useRef(0);
+  const multiTargetAbortRef = useRef(null);
+  const [isMultiTargetCancelling, setIsMultiTargetCancelling] = useState(false);
+  
+  const isMultiTargetActive = Boolean(multiTarget) && multiTarget.jobs.some(job => ACTIVE_JOB_STATES.includes(job.status));
+  
+  const storedJobs = useAtomValue(backgroundJobsAtom);
+  const saveJob = useSetAtom(saveJobAtom);
+  const hasResumedRef = useRef(false);
+  
+  // While this page tracks a job, the background tray leaves it alone
+  useForegroundJobs([
+    translationStatus.isLoading ? translationStatus.processId : null,
+    ...(multiTarget?.jobs || [])
+      .filter(job => ['pending', 'in_progress'].includes(job.status))
+      .map(job => job.processId)
+  ]);
+  
+  // Seconds per page of earlier jobs with the same file type and languages, read once per job
+  // (and again if its file info arrives later, as for a resumed job)
+  const throughputHistory = useMemo(
+    () => translationStatus.processId && translationStatus.fileInfo ? getSecondsPerPage(translationStatus.fileInfo) : null,
+    [translationStatus.processId, translationStatus.fileInfo]
+  );
+  // When the server accepted the job, after the upload; the same start the timings are recorded from
+  const jobStartedAt = storedJobs.find(job => job.processId === translationStatus.processId)?.startedAt;
+  
+  // Mirror the current job into the store, so it keeps being tracked after navigation or reload
+  useEffect(() => {
+    const status = translationStatus.status;
+    if (!translationStatus.processId || !user?.id || ![...ACTIVE_JOB_STATUSES, 'completed', 'failed', 'cancelled'].includes(status)) {
+      return;
+    }
+    saveJob({
+      processId: translationStatus.processId,
+      userId: user.id,
+      source: 'translate',
+      fileName: translationStatus.fileName,
+      fileType: translationStatus.fileInfo?.fileType,
+      fromLang: translationStatus.fileInfo?.fromLang,
+      toLang: translationStatus.fileInfo?.toLang,
+      status,
+      progress: translationStatus.progress || 0,
+      currentPage: translationStatus.currentPage || 0,
+      totalPages: translationStatus.totalPages || 0,
+      error: translationStatus.error
+    });
+  }, [
+    translationStatus.processId,
+    translationStatus.status,
+    translationStatus.fileName,
+    translationStatus.fileInfo,
+    translationStatus.progress,
+    translationStatus.currentPage,
+    translationStatus.totalPages,
+    translationStatus.error,
+    user?.id,
+    saveJob
+  ]);
+  
+  // After a reload or a visit to another route, pick up the job this page last started.
+  // Only the first run with a signed-in user looks, so later store changes are ignored.
+  useEffect(() => {
+    if (hasResumedRef.current || !user?.id) return;
+    hasResumedRef.current = true;
+    
+    const job = storedJobs.find(stored =>
+      stored.userId === user.id && stored.source === 'translate' && ACTIVE_JOB_STATUSES.includes(stored.status)
+    );
+    if (!job) return;
+    
+    console.log(`🔄 Resuming translation ${job.processId} from the background jobs store`);
+    setSelectedLanguage(job.toLang);
+    setProcessStartTime(job.startedAt);
+    dispatchJob({
+      type: 'jobAttached',
+      job: {
+        processId: job.processId,
+        status: job.status,
+        progress: job.progress,
+        currentPage: job.currentPage,
+        totalPages: job.totalPages,
+        fileName: job.fileName,
+        direction: RTL_LANGUAGES.includes(job.toLang) ? 'rtl' : 'ltr',
+        fileInfo: { name: job.fileName, fileType: job.fileType, fromLang: job.fromLang, toLang: job.toLang }
+      }
+    });
+    toast.info(`Resumed tracking ${job.fileName}`);
+  }, [user?.id, storedJobs]);
+  
+  const stopMultiTargetTrackers = () => {
+    multiTargetTrackersRef.current.forEach(stop => stop());
+    multiTargetTrackersRef.current.clear();
+  };
+  
+  useEffect(() => {
+    const trackers = multiTargetTrackersRef.current;
+    return () => trackers.forEach(stop => stop());
+  }, []);
+  
+  const updateMultiTargetJob = (toLang, changes) => {
+    setMultiTarget(prev => prev && {
+      ...prev,
+      jobs: prev.jobs.map(job => job.toLang === toLang ? { ...job, ...changes } : job)
+    });
+  };
+  
+  // Apply a job event to one target language. Returns the new job state, or null when
+  // the state machine ignored the event (e.g. a late update after cancelling).
+  const dispatchTargetJob = (toLang, event) => {
+    const job = multiTargetJobsRef.current.get(toLang) || initialJobState;
+    const next = jobReducer(job, event);
+    if (next === job) return null;
+    
+    multiTargetJobsRef.current.set(toLang, next);
+    setMultiTarget(prev => prev && {
+      ...prev,
+      jobs: prev.jobs.map(target => target.toLang === toLang ? withTargetJob(target, next) : target)
+    });
+    return next;
+  };
 
   const ensureValidToken = useCallback(async () => {
     try {
@@ -131,9 +281,7 @@ export default function DocumentTranslationPage() {
       if (statusUpdateIntervalRef.current) {
         clearInterval(statusUpdateIntervalRef.current);
       }
-      if (forcedProgressRef.current) {
-        clearInterval(forcedProgressRef.current);
-      }
+      pageRetryStopRef.current?.();
     };
   }, []);
   
@@ -154,30 +302,11 @@ export default function DocumentTranslationPage() {
         const secondsElapsed = Math.floor((Date.now() - translationStatus.lastStatusUpdate) / 1000);
         setTimeCounter(secondsElapsed);
         
-        // If we've gone too long without a status update, flag it as stalled
+        // If we've gone too long without a status update, flag it as delayed
         if (secondsElapsed > 30) {
-          setStatusCheckStalled(true);
-          
-          // Start simulated progress if actual progress is stuck at 0
-          if (translationStatus.progress === 0 && !simulatedProgress.active) {
-            startSimulatedProgress();
-          }
+          dispatchJob({ type: 'statusDelayed' });
         }
       }, 1000);
-    } else {
-      setStatusCheckStalled(false);
-      // Stop simulated progress when translation stops loading
-      setSimulatedProgress({
-        active: false,
-        value: 0,
-        page: 0,
-        total: 0
-      });
-      
-      if (forcedProgressRef.current) {
-        clearInterval(forcedProgressRef.current);
-        forcedProgressRef.current = null;
-      }
     }
     
     return () => {
@@ -185,58 +314,12 @@ export default function DocumentTranslationPage() {
         clearInterval(statusUpdateIntervalRef.current);
       }
     };
-  }, [translationStatus.isLoading, translationStatus.lastStatusUpdate, translationStatus.progress]);
-
-  // Function to simulate progress when status check is stalled
-  const startSimulatedProgress = useCallback(() => {
-    if (forcedProgressRef.current) {
-      clearInterval(forcedProgressRef.current);
-    }
-    
-    // Start with small progress value
-    setSimulatedProgress({
-      active: true,
-      value: 5,
-      page: 1,
-      // Estimate total pages based on file type or default to 5
-      total: translationStatus.fileName?.toLowerCase().endsWith('.pdf') ? 5 : 1
-    });
-    
-    // Slowly increase progress to show that something is happening
-    forcedProgressRef.current = setInterval(() => {
-      setSimulatedProgress(prev => {
-        // Don't go beyond 90% with simulated progress
-        if (prev.value >= 90) {
-          return prev;
-        }
-        
-        // Calculate next page if needed
-        let nextPage = prev.page;
-        if (prev.value > prev.page * (100 / prev.total)) {
-          nextPage = Math.min(prev.page + 1, prev.total);
-        }
-        
-        return {
-          ...prev,
-          value: Math.min(prev.value + 1, 90),
-          page: nextPage
-        };
-      });
-    }, 3000); // Increase every 3 seconds
-    
-    return () => {
-      if (forcedProgressRef.current) {
-        clearInterval(forcedProgressRef.current);
-        forcedProgressRef.current = null;
-      }
-    };
-  }, [translationStatus.fileName]);
+  }, [translationStatus.isLoading, translationStatus.lastStatusUpdate]);
 
   // Helper function to determine polling interval based on current state
   const getPollInterval = useCallback(() => {
-    const { status, progress } = translationStatus;
-    const failures = consecFailures;
-    const isStalled = statusCheckStalled;
+    const { status, progress, consecutiveFailures: failures, statusDelayedSince } = jobRef.current;
+    const isStalled = Boolean(statusDelayedSince);
     
     // Base timing parameters
     let baseInterval = 2000; // 2 seconds default
@@ -277,11 +360,11 @@ export default function DocumentTranslationPage() {
     console.log(`📊 Poll timing: base=${baseInterval}ms, jitter=${jitter}ms, backoff=${failureBackoff}ms, final=${finalInterval}ms`);
     
     return finalInterval;
-  }, [translationStatus, consecFailures, statusCheckStalled]);
+  }, []);
 
   // Polling function with better error handling and support for stalled status
   const pollTranslationStatus = useCallback(async () => {
-    const { processId, isLoading } = translationStatus;
+    const { processId, isLoading } = jobRef.current;
     
     // Only poll if we have a process ID and it's still loading
     if (!processId || !isLoading) {
@@ -318,32 +401,17 @@ export default function DocumentTranslationPage() {
         currentToken
       );
       
-      // Rest of your existing pollTranslationStatus function...
-      // Reset consecutive failures on success
-      setConsecFailures(0);
-      
-      // Update status in state
-      setTranslationStatus(prev => ({
-        ...prev,
-        progress: statusData.progress,
-        status: statusData.status,
-        currentPage: statusData.currentPage,
-        totalPages: statusData.totalPages,
-        lastStatusUpdate: Date.now()
-      }));
+      // The machine resets the failure count and moves to the reported status
+      dispatchJob({ type: 'statusReceived', processId, statusData });
       
       // Check if translation completed or failed
       if (statusData.status === 'completed') {
         console.log('✅ Translation completed, fetching results');
-        fetchTranslationResults(processId);
+        fetchResultsRef.current(processId);
       } else if (statusData.status === 'failed') {
         console.error('❌ Translation failed according to status');
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          error: 'Translation failed. Please try again.',
-          status: 'failed'
-        }));
+      } else if (statusData.status === 'cancelled') {
+        console.log('🛑 Translation was cancelled on the server');
       } else {
         // Continue polling if still in progress
         const pollInterval = getPollInterval();
@@ -353,8 +421,8 @@ export default function DocumentTranslationPage() {
     } catch (error) {
       console.error('🚨 Status check error:', error);
       
-      // Increase consecutive failures
-      setConsecFailures(prev => prev + 1);
+      const failures = jobRef.current.consecutiveFailures;
+      dispatchJob({ type: 'pollFailed', processId });
       
       // For auth errors, try to force a token refresh before next attempt
       if (error.response?.status === 401 || error.response?.status === 403) {
@@ -370,15 +438,15 @@ export default function DocumentTranslationPage() {
       
       // Don't give up too easily - continue polling with exponential backoff
       // Only stop polling after a very high number of consecutive failures
-      if (consecFailures > 20) {
+      if (failures > 20) {
         console.error('🚨 Too many consecutive failures, giving up');
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          error: 'Lost connection to the server. The translation may still be processing in the background.',
-          status: 'timeout', // Use timeout status instead of failed
-          processId: processId // Keep the process ID for potential recovery
-        }));
+        // Stalled rather than failed: the job keeps its process ID for recovery
+        dispatchJob({
+          type: 'stalled',
+          processId,
+          reason: 'connection',
+          error: 'Lost connection to the server. The translation may still be processing in the background.'
+        });
         
         toast.warning('Lost connection to the server. Your document might still be processing in the background.', {
           duration: 5000
@@ -387,24 +455,46 @@ export default function DocumentTranslationPage() {
       }
       
       // Continue polling after a delay with exponential backoff
-      const backoffTime = Math.min(2000 * Math.pow(1.5, consecFailures), 30000); // Up to 30 seconds
+      const backoffTime = Math.min(2000 * Math.pow(1.5, failures), 30000); // Up to 30 seconds
       console.log(`🔄 Scheduling retry poll in ${backoffTime}ms after error`);
       statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, backoffTime);
     }
-  }, [translationStatus, consecFailures, getPollInterval]);
+  }, [getPollInterval]);
   
 
   useEffect(() => {
     if (translationStatus.processId && translationStatus.isLoading) {
-      console.log("Starting polling for process ID:", translationStatus.processId);
+      const processId = translationStatus.processId;
+      console.log("Starting status updates for process ID:", processId);
       
       // Reset polling attempt counter
       pollAttemptRef.current = 0;
       
-      // Start polling immediately
-      pollTranslationStatus();
+      // Updates are pushed over the event stream; the poller only runs when the stream is unavailable
+      const stopWatching = watchTranslationJob(processId, {
+        onStatus: (statusData) => {
+          dispatchJob({ type: 'statusReceived', processId, statusData });
+          
+          if (statusData.status === 'completed') {
+            console.log('✅ Translation completed, fetching results');
+            fetchResultsRef.current(processId);
+          } else if (statusData.status === 'failed') {
+            console.error('❌ Translation failed according to status stream');
+          } else if (statusData.status === 'cancelled') {
+            console.log('🛑 Translation was cancelled on the server');
+          }
+        },
+        onPartial: (page) => {
+          dispatchJob({ type: 'pageReceived', processId, page: normalizeResultPage(page) });
+        },
+        onFallback: () => {
+          dispatchJob({ type: 'fallbackStarted', processId });
+          pollTranslationStatus();
+        }
+      });
       
       return () => {
+        stopWatching();
         if (statusCheckTimeoutRef.current) {
           clearTimeout(statusCheckTimeoutRef.current);
         }
@@ -412,7 +502,28 @@ export default function DocumentTranslationPage() {
     } else {
       console.log("Not starting polling. processId:", translationStatus.processId, "isLoading:", translationStatus.isLoading);
     }
-  }, [translationStatus.processId, translationStatus.isLoading]);
+  }, [translationStatus.processId, translationStatus.isLoading, pollTranslationStatus]);
+  
+  // Without the status stream, fetch the finished pages whenever the server reports more of them
+  useEffect(() => {
+    const processId = translationStatus.processId;
+    if (!translationStatus.isPollingFallback || !processId || !translationStatus.isLoading || !translationStatus.currentPage) {
+      return;
+    }
+    
+    let isCurrent = true;
+    documentService.getTranslationResultWithToken(processId, true)
+      .then(result => {
+        if (isCurrent) {
+          dispatchJob({ type: 'pagesReceived', processId, pages: getResultPages(result) });
+        }
+      })
+      .catch(error => console.warn('⚠️ Could not fetch finished pages:', error));
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [translationStatus.isPollingFallback, translationStatus.processId, translationStatus.isLoading, translationStatus.currentPage]);
   
   // Effect to detect completely stuck translations
   useEffect(() => {
@@ -446,17 +557,217 @@ export default function DocumentTranslationPage() {
     return () => clearInterval(checkStuckInterval);
   }, [translationStatus.isLoading, translationStatus.lastStatusUpdate, pollTranslationStatus]);
 
+  // Upload once, then start and track one job per target language. Targets reused from
+  // earlier translations ({ toLang, processId } in options.reused) get a completed tab.
+  const startMultiTargetTranslation = async (file, fromLang, toLangs, options) => {
+    const runId = ++multiTargetRunRef.current;
+    const reused = options.reused || [];
+    stopMultiTargetTrackers();
+    resetTranslationState();
+    await ensureValidToken();
+    
+    multiTargetJobsRef.current = new Map();
+    setMultiTarget({
+      fileName: file.name,
+      uploadProgress: null,
+      jobs: [
+        ...reused.map(({ toLang }) => withTargetJob({ toLang, isReused: true, loadError: null }, initialJobState)),
+        ...toLangs.map(toLang => withTargetJob({ toLang }, initialJobState))
+      ]
+    });
+    
+    // Reused targets are complete from the start; their content is loaded afterwards
+    reused.forEach(({ toLang, processId }) => {
+      const direction = RTL_LANGUAGES.includes(toLang) ? 'rtl' : 'ltr';
+      dispatchTargetJob(toLang, { type: 'jobAttached', job: { processId, status: 'in_progress', direction } });
+      dispatchTargetJob(toLang, { type: 'resultReceived', processId, result: { direction }, pages: [] });
+      
+      documentService.getTranslationResult(processId)
+        .then(result => {
+          if (runId !== multiTargetRunRef.current) return;
+          dispatchTargetJob(toLang, {
+            type: 'translationUpdated',
+            processId,
+            translatedText: result.translatedText,
+            pages: getResultPages(result)
+          });
+        })
+        .catch(error => {
+          console.error(`❌ Failed to load the earlier ${toLang} translation:`, error);
+          if (runId !== multiTargetRunRef.current) return;
+          updateMultiTargetJob(toLang, { loadError: 'The earlier translation could not be loaded here.' });
+        });
+    });
+    toLangs.forEach(toLang => dispatchTargetJob(toLang, {
+      type: 'uploadStarted',
+      fileName: file.name,
+      direction: RTL_LANGUAGES.includes(toLang) ? 'rtl' : 'ltr'
+    }));
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('from_lang', fromLang);
+    if (options.pageRange) {
+      formData.append('page_range', options.pageRange);
+    }
+    if (options.pdfPassword) {
+      formData.append('pdf_password', options.pdfPassword);
+    }
+    
+    const abortController = new AbortController();
+    multiTargetAbortRef.current = abortController;
+    
+    let jobs;
+    try {
+      let lastProgressUpdate = 0;
+      jobs = await documentService.initiateMultiTargetTranslation(formData, toLangs, {
+        signal: abortController.signal,
+        onUploadProgress: (uploadProgress) => {
+          const now = Date.now();
+          if (now - lastProgressUpdate < 500 && uploadProgress.bytesSent < uploadProgress.totalBytes) {
+            return;
+          }
+          lastProgressUpdate = now;
+          setMultiTarget(prev => prev && { ...prev, uploadProgress });
+        }
+      });
+    } catch (error) {
+      if (runId !== multiTargetRunRef.current) return;
+      setIsMultiTargetCancelling(false);
+      if (error.isCancelled) {
+        toLangs.forEach(toLang => dispatchTargetJob(toLang, { type: 'cancelled' }));
+        toast.info('Upload cancelled. Nothing was billed.');
+        return;
+      }
+      console.error('❌ Multi-language upload failed:', error);
+      toLangs.forEach(toLang => dispatchTargetJob(toLang, { type: 'failed', error: error.message || 'Upload failed' }));
+      toast.error(error.message || 'Upload failed');
+      return;
+    }
+    
+    if (runId !== multiTargetRunRef.current) return;
+    jobs.forEach(({ processId }) => rememberSourceDocument(processId, file, {
+      pageNumbers: options.pageRange ? parsePageRanges(options.pageRange).pages : null
+    }));
+    
+    jobs.forEach(({ toLang, processId, status, error }) => {
+      const job = processId
+        ? dispatchTargetJob(toLang, { type: 'jobCreated', processId, status })
+        : dispatchTargetJob(toLang, { type: 'failed', error });
+      if (!processId || !job) return;
+      
+      saveJob({
+        ...toStoredJob(job),
+        userId: user?.id,
+        source: 'multi-target',
+        fileName: file.name,
+        fileType: getFileType(file),
+        fromLang,
+        toLang
+      });
+    });
+    
+    // Cancel was pressed while the jobs were being created
+    if (abortController.signal.aborted) {
+      await cancelMultiTargetJobs(jobs.filter(job => job.processId));
+      setIsMultiTargetCancelling(false);
+      return;
+    }
+    
+    jobs.filter(job => job.processId).forEach(({ toLang, processId }) => {
+      // Store every change the state machine accepted
+      const apply = (event) => {
+        const next = dispatchTargetJob(toLang, { ...event, processId });
+        if (next) saveJob(toStoredJob(next));
+        return next;
+      };
+      
+      const stop = trackTranslationJob(processId, {
+        onUpdate: (statusData) => apply({ type: 'statusReceived', statusData }),
+        onComplete: (result) => {
+          multiTargetTrackersRef.current.delete(toLang);
+          if (apply({ type: 'resultReceived', result, pages: getResultPages(result) })) {
+            toast.success(`${getLanguageLabel(toLang)} translation completed!`);
+          }
+        },
+        onError: (trackError) => {
+          multiTargetTrackersRef.current.delete(toLang);
+          apply(trackError.isCancelled
+            ? { type: 'cancelled' }
+            : { type: 'failed', error: trackError.message || 'Translation failed. Please try again.', isServerFailure: true });
+        }
+      });
+      multiTargetTrackersRef.current.set(toLang, stop);
+    });
+  };
+  
+  // Cancel jobs on the server, marking each one cancelled only once the server confirms it
+  const cancelMultiTargetJobs = async (jobs) => {
+    jobs.forEach(({ toLang }) => dispatchTargetJob(toLang, { type: 'cancelRequested' }));
+    const results = await Promise.allSettled(jobs.map(job => documentService.cancelTranslation(job.processId)));
+    let pagesBilled = 0;
+    
+    results.forEach((result, index) => {
+      const { toLang, processId } = jobs[index];
+      if (result.status === 'rejected') {
+        dispatchTargetJob(toLang, { type: 'cancelRejected' });
+        const message = typeof result.reason === 'string' ? result.reason : 'Failed to cancel the translation';
+        toast.error(`${getLanguageLabel(toLang)}: ${message}`);
+        return;
+      }
+      
+      const ack = result.value;
+      multiTargetTrackersRef.current.get(toLang)?.();
+      multiTargetTrackersRef.current.delete(toLang);
+      pagesBilled += ack.pagesBilled;
+      const job = dispatchTargetJob(toLang, { type: 'cancelled', processId, cancellation: ack });
+      if (job) saveJob(toStoredJob(job));
+    });
+    
+    const cancelledCount = results.filter(result => result.status === 'fulfilled').length;
+    if (cancelledCount > 0) {
+      toast.info(`${cancelledCount} translation${cancelledCount === 1 ? '' : 's'} cancelled`, {
+        description: `${pagesBilled} page${pagesBilled === 1 ? ' was' : 's were'} billed.`
+      });
+    }
+  };
+  
+  const handleMultiTargetCancel = async () => {
+    if (!multiTarget || isMultiTargetCancelling) return;
+    setIsMultiTargetCancelling(true);
+    
+    // Still uploading: stop the upload, or cancel the jobs once they are created
+    if (multiTarget.jobs.some(job => job.status === 'uploading')) {
+      multiTargetAbortRef.current?.abort();
+      return;
+    }
+    
+    const activeJobs = multiTarget.jobs.filter(job => job.processId && ACTIVE_JOB_STATES.includes(job.status));
+    await cancelMultiTargetJobs(activeJobs);
+    setIsMultiTargetCancelling(false);
+  };
+
 // Improved onTranslate function with better timeout handling
-  const onTranslate = async (file, fromLang, toLang) => {
+  const onTranslate = async (file, fromLang, toLangs, options = {}) => {
     if (!file) {
       toast.error('Please upload a file before translating.');
       return;
     }
 
-    if (!fromLang || !toLang) {
+    if (!fromLang || toLangs.length === 0) {
       toast.error('Please select both source and target languages.');
       return;
     }
+    
+    if (toLangs.length > 1 || options.reused?.length > 0) {
+      await startMultiTargetTranslation(file, fromLang, toLangs, options);
+      return;
+    }
+    
+    const [toLang] = toLangs;
+    multiTargetRunRef.current += 1;
+    stopMultiTargetTrackers();
+    setMultiTarget(null);
 
     // If we already have a completed translation, reset the state first
     if (translationStatus.status === "completed" || translationStatus.translatedText) {
@@ -477,42 +788,31 @@ export default function DocumentTranslationPage() {
 
     setSelectedLanguage(toLang);
     
-    // Store file info for potential recovery
+    // Store file info for potential recovery; the content hash identifies the job even if the file was renamed
     const fileInfo = {
       name: file.name,
       size: file.size,
       type: file.type,
+      fileType: getFileType(file),
+      hash: await hashFile(file).catch(() => null),
+      fromLang,
+      toLang,
+      pageRange: options.pageRange || null,
       uploadTime: Date.now()
     };
     
-    // Reset status tracking
-    setConsecFailures(0);
-    setLastFallbackStatus(false);
-    setStatusCheckStalled(false);
-    setSimulatedProgress({
-      active: false,
-      value: 0,
-      page: 0,
-      total: file.type.includes('pdf') ? Math.max(1, Math.floor(file.size / (100 * 1024))) : 1
-    });
+    stopPageRetry();
     
     // Set process start time for runtime tracking
     setProcessStartTime(Date.now());
     
-    // Update status to pending
-    setTranslationStatus({
-      isLoading: true,
-      progress: 0,
-      status: 'pending',
-      error: null,
-      translatedText: null,
+    // Start over in the uploading state; it becomes pending once the job is created
+    dispatchJob({
+      type: 'uploadStarted',
       fileName: file.name,
-      direction: toLang === 'fa' || toLang === 'ar' ? 'rtl' : 'ltr',
-      processId: null,
-      currentPage: 0,
-      totalPages: 0,
-      lastStatusUpdate: Date.now(),
-      fileInfo: fileInfo
+      fileInfo,
+      direction: RTL_LANGUAGES.includes(toLang) ? 'rtl' : 'ltr',
+      expectedPages: options.pageCount || 0
     });
 
     try {
@@ -521,6 +821,16 @@ export default function DocumentTranslationPage() {
       formData.append('file', file);
       formData.append('from_lang', fromLang);
       formData.append('to_lang', toLang);
+      if (options.pageRange) {
+        formData.append('page_range', options.pageRange);
+      }
+      // Encrypted PDFs are unlocked on the server with the password verified before upload
+      if (options.pdfPassword) {
+        formData.append('pdf_password', options.pdfPassword);
+      }
+      if (fileInfo.hash) {
+        formData.append('file_hash', fileInfo.hash);
+      }
 
       // Show notification for large files
       if (file.size > 5 * 1024 * 1024) {
@@ -531,8 +841,23 @@ export default function DocumentTranslationPage() {
         );
       }
 
-      // Initiate translation process
-      const response = await documentService.initiateTranslation(formData);
+      // Initiate translation process, reporting upload progress at most twice a second
+      let lastProgressUpdate = 0;
+      cancelRequestedRef.current = false;
+      uploadAbortRef.current = new AbortController();
+      const response = await documentService.initiateTranslation(formData, {
+        signal: uploadAbortRef.current.signal,
+        onUploadProgress: (uploadProgress) => {
+          const now = Date.now();
+          if (now - lastProgressUpdate < 500 && uploadProgress.bytesSent < uploadProgress.totalBytes) {
+            return;
+          }
+          lastProgressUpdate = now;
+          dispatchJob({ type: 'uploadProgress', uploadProgress });
+        }
+      });
+      
+      uploadAbortRef.current = null;
       
       // Check if response indicates it was recovered after timeout
       if (response.recoveredAfterTimeout) {
@@ -545,18 +870,29 @@ export default function DocumentTranslationPage() {
         throw new Error('No process ID received from the server');
       }
       
-      // Update state with process ID
-      setTranslationStatus(prev => ({
-        ...prev,
-        processId: response.processId,
-        status: response.status || 'pending',
-        lastStatusUpdate: Date.now()
-      }));
+      dispatchJob({ type: 'jobCreated', processId: response.processId, status: response.status });
+      rememberSourceDocument(response.processId, file, {
+        pageNumbers: options.pageRange ? parsePageRanges(options.pageRange).pages : null
+      });
+      
+      // Cancel was pressed while the job was being created; it is tracked until the server confirms
+      if (cancelRequestedRef.current) {
+        await confirmCancellation(response.processId);
+        return;
+      }
       
       // Polling will start automatically via the useEffect
       
     } catch (error) {
       console.error('Translation initiation error:', error);
+      uploadAbortRef.current = null;
+      cancelRequestedRef.current = false;
+      
+      if (error.isCancelled) {
+        dispatchJob({ type: 'cancelled', cancellation: { pagesProcessed: 0, pagesBilled: 0, totalPages: 0 } });
+        toast.info('Upload cancelled. Nothing was billed.');
+        return;
+      }
       
       // Special handling for timeouts - might actually be processing in background
       if (error.message && (
@@ -570,13 +906,11 @@ export default function DocumentTranslationPage() {
         );
         
         // Check if we can get active translations to find our process
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          status: 'timeout',
-          error: 'The server timed out while processing the request. Your document might still be processing in the background.',
-          canRetryCheck: true
-        }));
+        dispatchJob({
+          type: 'stalled',
+          reason: 'timeout',
+          error: 'The server timed out while processing the request. Your document might still be processing in the background.'
+        });
         
         // Try to find the translation automatically after a moment
         setTimeout(() => {
@@ -585,17 +919,26 @@ export default function DocumentTranslationPage() {
         
       } else {
         // Normal error handling
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          status: 'failed',
-          error: error.message || 'Failed to start translation process',
-        }));
+        dispatchJob({ type: 'failed', error: error.message || 'Failed to start translation process' });
         toast.error(error.message || 'Failed to start translation');
       }
     }
   };
 
+  // Follow a job found on the server for the current upload; tracking restarts once it is attached
+  const attachFoundJob = (found) => {
+    dispatchJob({
+      type: 'jobAttached',
+      job: {
+        processId: found.processId,
+        status: found.status,
+        progress: found.progress || 0,
+        currentPage: found.currentPage || 0,
+        totalPages: found.totalPages || 0
+      }
+    });
+  };
+
   // Improved recovery function that uses the backend API
   const attemptRecoveryAfterTimeout = async () => {
     const { fileInfo } = translationStatus;
@@ -609,34 +952,16 @@ export default function DocumentTranslationPage() {
     toast.info("Attempting to recover translation status...");
     
     // Update UI to show we're checking
-    setTranslationStatus(prev => ({
-      ...prev,
-      isLoading: true,
-      status: 'checking',
-      error: null,
-      lastStatusUpdate: Date.now()
-    }));
+    dispatchJob({ type: 'recoveryStarted' });
     
     try {
-      // First, try to find by file name
-      const foundTranslation = await documentService.findTranslationByFile(fileInfo.name);
+      // First, ask the server for a job created from this file
+      const foundTranslation = await findTranslationForFile(fileInfo);
       
       if (foundTranslation) {
         console.log("Successfully found translation process:", foundTranslation);
         
-        setTranslationStatus(prev => ({
-          ...prev,
-          processId: foundTranslation.processId,
-          status: foundTranslation.status,
-          progress: foundTranslation.progress || 0,
-          currentPage: foundTranslation.currentPage || 0,
-          totalPages: foundTranslation.totalPages || 0,
-          isLoading: true,
-          lastStatusUpdate: Date.now()
-        }));
-        
-        // Start polling immediately
-        pollTranslationStatus();
+        attachFoundJob(foundTranslation);
         
         toast.success("Recovery successful! Translation found and status updated.");
         return;
@@ -655,19 +980,7 @@ export default function DocumentTranslationPage() {
       if (matchingTranslation) {
         console.log("Found a recent translation that might match:", matchingTranslation);
         
-        setTranslationStatus(prev => ({
-          ...prev,
-          processId: matchingTranslation.processId,
-          status: matchingTranslation.status,
-          progress: matchingTranslation.progress || 0,
-          currentPage: matchingTranslation.currentPage || 0,
-          totalPages: matchingTranslation.totalPages || 0,
-          isLoading: true,
-          lastStatusUpdate: Date.now()
-        }));
-        
-        // Start polling
-        pollTranslationStatus();
+        attachFoundJob(matchingTranslation);
         
         toast.success("Found a recent translation! Monitoring progress...");
         return;
@@ -677,8 +990,10 @@ export default function DocumentTranslationPage() {
       try {
         const recentTranslations = JSON.parse(localStorage.getItem('recentTranslations') || '[]');
         
-        // Find a matching translation by file name
-        const savedTranslation = recentTranslations.find(t => t.fileName === fileInfo.name);
+        // Find a matching translation by content hash, or by file name for older entries
+        const savedTranslation = recentTranslations.find(t => t.fileHash && fileInfo.hash
+          ? t.fileHash === fileInfo.hash && t.toLang === fileInfo.toLang
+          : t.fileName === fileInfo.name);
         
         if (savedTranslation && savedTranslation.processId) {
           console.log("Found translation in local storage:", savedTranslation);
@@ -687,19 +1002,7 @@ export default function DocumentTranslationPage() {
           try {
             const statusData = await documentService.checkTranslationStatus(savedTranslation.processId);
             
-            setTranslationStatus(prev => ({
-              ...prev,
-              processId: savedTranslation.processId,
-              status: statusData.status,
-              progress: statusData.progress || 0,
-              currentPage: statusData.currentPage || 0,
-              totalPages: statusData.totalPages || 0,
-              isLoading: true,
-              lastStatusUpdate: Date.now()
-            }));
-            
-            // Start polling
-            pollTranslationStatus();
+            attachFoundJob({ ...statusData, processId: savedTranslation.processId });
             
             toast.success("Recovered translation from local cache!");
             return;
@@ -718,12 +1021,7 @@ export default function DocumentTranslationPage() {
       console.error("Recovery attempt failed:", error);
       toast.error("Could not recover the translation. Please try again.");
       
-      setTranslationStatus(prev => ({
-        ...prev,
-        isLoading: false,
-        status: 'failed',
-        error: "Recovery attempt failed. Please try uploading the file again."
-      }));
+      dispatchJob({ type: 'failed', error: "Recovery attempt failed. Please try uploading the file again." });
     }
   };
 
@@ -739,22 +1037,10 @@ export default function DocumentTranslationPage() {
     toast.info("Checking translation status...");
     
     try {
-      const foundTranslation = await documentService.findTranslationByFile(fileInfo.name);
+      const foundTranslation = await findTranslationForFile(fileInfo);
       
       if (foundTranslation) {
-        setTranslationStatus(prev => ({
-          ...prev,
-          processId: foundTranslation.processId,
-          status: foundTranslation.status,
-          progress: foundTranslation.progress || 0,
-          currentPage: foundTranslation.currentPage || 0,
-          totalPages: foundTranslation.totalPages || 0,
-          isLoading: true,
-          lastStatusUpdate: Date.now()
-        }));
-        
-        // Start polling
-        pollTranslationStatus();
+        attachFoundJob(foundTranslation);
         
         toast.success("Found your translation! Status updated.");
       } else {
@@ -766,8 +1052,15 @@ export default function DocumentTranslationPage() {
     }
   };
 
+  // Whether results for a job are still wanted, e.g. not after it was cancelled or replaced
+  const isTrackingJob = (processId) => jobRef.current.processId === processId && jobRef.current.isLoading;
+
   // Improved fetchTranslationResults function with direct token authentication
   const fetchTranslationResults = async (processId) => {
+    if (!isTrackingJob(processId)) {
+      return;
+    }
+    
     try {
       // Get a fresh token for result fetching
       let token = null;
@@ -789,35 +1082,11 @@ export default function DocumentTranslationPage() {
         token  // pass the fresh token
       );
       
-      setTranslationStatus({
-        isLoading: false,
-        progress: 100,
-        status: 'completed',
-        error: null,
-        translatedText: resultResponse.translatedText,
-        fileName: resultResponse.metadata.originalFileName,
-        direction: resultResponse.direction,
-        processId: processId,
-        currentPage: resultResponse.metadata.currentPage || 0,
-        totalPages: resultResponse.metadata.totalPages || 0,
-        lastStatusUpdate: Date.now()
-      });
-      
-      // Stop simulated progress
-      if (simulatedProgress.active) {
-        setSimulatedProgress({
-          active: false,
-          value: 0,
-          page: 0,
-          total: 0
-        });
-        
-        if (forcedProgressRef.current) {
-          clearInterval(forcedProgressRef.current);
-          forcedProgressRef.current = null;
-        }
+      if (!isTrackingJob(processId)) {
+        return;
       }
       
+      dispatchJob({ type: 'resultReceived', processId, result: resultResponse, pages: getResultPages(resultResponse) });
       toast.success('Translation completed!');
       
     } catch (error) {
@@ -850,20 +1119,7 @@ export default function DocumentTranslationPage() {
           );
           
           if (partialResponse && partialResponse.translatedText) {
-            setTranslationStatus({
-              isLoading: false,
-              progress: Math.min(100, translationStatus.progress || 0),
-              status: 'partial',
-              partialResults: true,
-              error: null,
-              translatedText: partialResponse.translatedText,
-              fileName: partialResponse.metadata.originalFileName,
-              direction: partialResponse.direction,
-              processId: processId,
-              currentPage: partialResponse.metadata.currentPage || 0,
-              totalPages: partialResponse.metadata.totalPages || 0,
-              lastStatusUpdate: Date.now()
-            });
+            dispatchJob({ type: 'partialReceived', processId, result: partialResponse, pages: getResultPages(partialResponse) });
             
             toast.info('Partial translation results available', {
               description: 'The translation is still in progress, but partial results are available.'
@@ -877,12 +1133,7 @@ export default function DocumentTranslationPage() {
         
         // If partial results fetch fails, continue polling
         console.log('Translation not yet complete, continuing to poll...');
-        // Reset status to in_progress and continue polling
-        setTranslationStatus(prev => ({
-          ...prev,
-          status: 'in_progress',
-          lastStatusUpdate: Date.now()
-        }));
+        dispatchJob({ type: 'resultPending', processId });
         
         // Resume polling after a short delay
         statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, 2000);
@@ -905,167 +1156,213 @@ export default function DocumentTranslationPage() {
               freshToken
             );
             
+            if (!isTrackingJob(processId)) {
+              return;
+            }
+            
             // Update state with the successful result
-            setTranslationStatus({
-              isLoading: false,
-              progress: 100,
-              status: 'completed',
-              error: null,
-              translatedText: retryResponse.translatedText,
-              fileName: retryResponse.metadata.originalFileName,
-              direction: retryResponse.direction,
-              processId: processId,
-              currentPage: retryResponse.metadata.currentPage || 0,
-              totalPages: retryResponse.metadata.totalPages || 0,
-              lastStatusUpdate: Date.now()
-            });
+            dispatchJob({ type: 'resultReceived', processId, result: retryResponse, pages: getResultPages(retryResponse) });
             
             toast.success('Translation completed!');
           } catch (retryError) {
             console.error('Failed to fetch results on retry:', retryError);
-            setTranslationStatus(prev => ({
-              ...prev,
-              isLoading: false,
-              status: 'failed',
-              error: 'Authentication error when fetching results. Please try again.',
-            }));
+            dispatchJob({ type: 'failed', processId, error: 'Authentication error when fetching results. Please try again.' });
             toast.error('Authentication error');
           }
         }, 2000);
       } else {
         // Otherwise, show the error
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          status: 'failed',
-          error: error.message || 'Failed to fetch translation results',
-        }));
+        dispatchJob({ type: 'failed', processId, error: error.message || 'Failed to fetch translation results' });
         toast.error(error.message || 'Failed to fetch translation results');
       }
     }
   };
+  fetchResultsRef.current = fetchTranslationResults;
+  
+  // Ask the server to stop the job; the UI only shows it as cancelled once the server agrees
+  const confirmCancellation = async (processId) => {
+    dispatchJob({ type: 'cancelRequested' });
+    
+    try {
+      const ack = await documentService.cancelTranslation(processId);
+      
+      if (statusCheckTimeoutRef.current) {
+        clearTimeout(statusCheckTimeoutRef.current);
+        statusCheckTimeoutRef.current = null;
+      }
+      
+      // Partial pages are dropped so nothing of the cancelled job can be exported
+      dispatchJob({ type: 'cancelled', processId, cancellation: ack });
+      
+      toast.info('Translation cancelled', {
+        description: `${ack.pagesProcessed} of ${ack.totalPages} pages were processed; ${ack.pagesBilled} billed.`
+      });
+    } catch (error) {
+      // The job is still running, so keep tracking it
+      dispatchJob({ type: 'cancelRejected' });
+      toast.error(typeof error === 'string' ? error : 'Failed to cancel the translation');
+    } finally {
+      cancelRequestedRef.current = false;
+    }
+  };
   
   // Cancel translation function
   const handleCancel = () => {
-    if (statusCheckTimeoutRef.current) {
-      clearTimeout(statusCheckTimeoutRef.current);
-      statusCheckTimeoutRef.current = null;
-    }
+    if (translationStatus.isCancelling) return;
     
-    if (forcedProgressRef.current) {
-      clearInterval(forcedProgressRef.current);
-      forcedProgressRef.current = null;
+    if (!translationStatus.processId) {
+      // No job yet: stop the upload, or cancel the job as soon as the server creates it
+      dispatchJob({ type: 'cancelRequested' });
+      cancelRequestedRef.current = true;
+      uploadAbortRef.current?.abort();
+      return;
     }
     
-    setTranslationStatus(prev => ({
-      ...prev,
-      isLoading: false,
-      status: 'cancelled',
-      error: 'Translation cancelled by user',
-    }));
-    
-    setSimulatedProgress({
-      active: false,
-      value: 0,
-      page: 0,
-      total: 0
-    });
-    
-    toast.info('Translation cancelled');
+    confirmCancellation(translationStatus.processId);
   };
   
-  // Function to manually retry polling
+  // Function to manually retry polling; the status effect starts tracking again
   const handleRetryPolling = () => {
     if (!translationStatus.processId) return;
     
     console.log('🔄 Manually retrying polling...');
-    setConsecFailures(0);
-    setStatusCheckStalled(false);
+    dispatchJob({ type: 'retryPolling' });
     
-    setTranslationStatus(prev => ({
-      ...prev,
-      isLoading: true,
-      error: null,
-      status: prev.status === 'failed' || prev.status === 'unknown' ? 'in_progress' : prev.status,
-      lastStatusUpdate: Date.now()
-    }));
-    
-    // Start polling immediately
-    pollTranslationStatus();
+    // Already tracking: check right away instead of waiting for the next poll
+    if (translationStatus.isLoading) {
+      pollTranslationStatus();
+    }
     
     toast.info('Retrying translation status check...');
   };
 
-  const handleCopyText = async () => {
+  // Translate only the failed pages again; the server merges them into the existing result
+  const handleRetryPages = async (pages) => {
+    const { processId } = translationStatus;
+    
     try {
-      if (!contentRef.current) return;
-      
-      // Create a new ClipboardItem with HTML content
-      const htmlContent = contentRef.current.innerHTML;
-      const plainText = contentRef.current.innerText;
-      
-      // Use clipboard API with HTML format
-      if (navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
-        // Modern clipboard API with HTML support
-        const clipboardItem = new ClipboardItem({
-          'text/html': new Blob([htmlContent], { type: 'text/html' }),
-          'text/plain': new Blob([plainText], { type: 'text/plain' })
-        });
-        
-        await navigator.clipboard.write([clipboardItem]);
-      } else {
-        // Fallback for browsers without HTML clipboard support
-        // Use document.execCommand as a fallback
-        const tempElement = document.createElement('div');
-        tempElement.innerHTML = htmlContent;
-        document.body.appendChild(tempElement);
-        
-        const range = document.createRange();
-        range.selectNodeContents(tempElement);
-        
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(range);
+      await documentService.retryPages(processId, pages);
+    } catch (error) {
+      toast.error(typeof error === 'string' ? error : 'The pages could not be retried. Please try again.');
+      return;
+    }
+    
+    setPageRetry({ pages, progress: 0 });
+    pageRetryStopRef.current = trackTranslationJob(processId, {
+      onUpdate: (statusData) => setPageRetry(prev => prev && { ...prev, progress: statusData.progress || 0 }),
+      onComplete: (result) => {
+        pageRetryStopRef.current = null;
+        const updatedPages = getResultPages(result);
+        dispatchJob({ type: 'translationUpdated', processId, translatedText: result.translatedText, pages: updatedPages });
+        setPageRetry(null);
         
-        document.execCommand('copy');
-        document.body.removeChild(tempElement);
+        const failedAgain = updatedPages.filter(page => pages.includes(page.pageNumber) && page.status === 'failed').length;
+        if (failedAgain > 0) {
+          toast.warning(`${failedAgain} of ${pages.length} pages failed again`);
+        } else {
+          toast.success(pages.length === 1 ? 'Page translated' : `${pages.length} pages translated`);
+        }
+      },
+      onError: (error) => {
+        pageRetryStopRef.current = null;
+        setPageRetry(null);
+        toast.error(error.message || 'Retrying the pages failed');
       }
-      
+    });
+  };
+
+  const handleCopyText = async () => {
+    if (!contentRef.current) return;
+    
+    try {
+      const format = await copyElementToClipboard(contentRef.current);
       setIsCopied(true);
       setTimeout(() => setIsCopied(false), 2000);
-      toast.success('Text copied to clipboard with formatting!');
+      toast.success(format === 'html' ? 'Text copied to clipboard with formatting!' : 'Text copied to clipboard (plain text only)');
     } catch (err) {
-      console.error('Failed to copy text:', err);
-      
-      // Fallback to plain text if HTML copy fails
-      try {
-        await navigator.clipboard.writeText(contentRef.current.innerText);
-        toast.success('Text copied to clipboard (plain text only)');
-        setIsCopied(true);
-        setTimeout(() => setIsCopied(false), 2000);
-      } catch (fallbackErr) {
-        toast.error('Failed to copy text to clipboard');
-      }
+      toast.error('Failed to copy text to clipboard');
     }
   };
 
   // Generate status message based on current state
+  const failedPages = Object.values(translationStatus.pages)
+    .filter(page => page.status === 'failed')
+    .sort((a, b) => a.pageNumber - b.pageNumber);
+
+  // Store an edited translation; copies, exports and the view page use it from now on
+  const saveContent = async (html) => {
+    const { processId } = translationStatus;
+    await historyService.saveTranslationContent(processId, html);
+    // Failed pages have no content to edit; keep them unless the edited HTML has that page
+    const pages = splitTranslatedHtml(html);
+    const pageNumbers = new Set(pages.map(page => page.pageNumber));
+    dispatchJob({
+      type: 'translationUpdated',
+      processId,
+      translatedText: html,
+      pages: [...pages, ...failedPages.filter(page => !pageNumbers.has(page.pageNumber))]
+    });
+  };
+
+  const handleSaveEdit = async (html) => {
+    await saveContent(html);
+    setIsEditing(false);
+    toast.success('Your edits were saved');
+  };
+  
+  const sourceDocument = getSourceDocument(translationStatus.processId);
+
+  const pageStates = translationStatus.totalPages > 0 || Object.keys(translationStatus.pages).length > 0
+    ? buildPageStates(
+        Object.values(translationStatus.pages),
+        translationStatus.totalPages,
+        ['pending', 'in_progress'].includes(translationStatus.status)
+      )
+    : [];
+  
+  // Time left for the running job; recomputed on every tick of the "last update" counter
+  const eta = translationStatus.status === 'in_progress' || translationStatus.status === 'pending'
+    ? estimateRemaining({
+      currentPage: translationStatus.currentPage || 0,
+      totalPages: translationStatus.totalPages || translationStatus.expectedPages,
+      startedAt: jobStartedAt,
+      history: throughputHistory
+    })
+    : null;
+  
+  // Estimated from elapsed time while status updates are delayed
+  const displayProgress = getDisplayProgress(translationStatus, {
+    startedAt: jobStartedAt,
+    secondsPerPage: throughputHistory?.secondsPerPage
+  });
+  
   const getStatusMessage = () => {
-    if (statusCheckStalled) {
+    if (translationStatus.isRecovering) {
+      return 'Checking translation status...';
+    }
+    
+    if (isStatusDelayed) {
       return 'Processing translation (status updates delayed)...';
     }
     
-    if (translationStatus.status === 'pending') {
+    if (translationStatus.isFetchingResult) {
+      return 'Fetching the translation...';
+    }
+    
+    if (translationStatus.status === 'uploading') {
+      const upload = translationStatus.uploadProgress;
+      if (upload?.isRetrying) {
+        return 'Connection lost, resuming upload...';
+      }
+      return upload
+        ? `Uploading ${formatBytes(upload.bytesSent)} of ${formatBytes(upload.totalBytes)}`
+        : 'Preparing upload...';
+    } else if (translationStatus.status === 'pending') {
       return 'Initializing translation...';
     } else if (translationStatus.status === 'in_progress') {
-      if (simulatedProgress.active) {
-        return `Translating page ${simulatedProgress.page} of ${simulatedProgress.total} (estimated)`;
-      } else if (translationStatus.totalPages > 0) {
-        // Add time estimate if available
-        if (translationStatus.estimatedTimeRemaining) {
-          const minutes = Math.floor(translationStatus.estimatedTimeRemaining / 60);
-          const seconds = translationStatus.estimatedTimeRemaining % 60;
-          return `Translating page ${translationStatus.currentPage} of ${translationStatus.totalPages} (est. ${minutes}m ${seconds}s remaining)`;
+      if (translationStatus.totalPages > 0) {
+        if (eta) {
+          return `Translating page ${translationStatus.currentPage} of ${translationStatus.totalPages} (${formatDuration(eta.secondsLeft)} remaining)`;
         }
         return `Translating page ${translationStatus.currentPage} of ${translationStatus.totalPages}`;
       }
@@ -1077,13 +1374,9 @@ export default function DocumentTranslationPage() {
     } else if (translationStatus.status === 'failed') {
       return 'Translation failed';
     } else if (translationStatus.status === 'stalled') {
-      return 'Translation stalled';
+      return translationStatus.stallReason === 'timeout' ? 'Request timed out' : 'Translation stalled';
     } else if (translationStatus.status === 'cancelled') {
       return 'Translation cancelled';
-    } else if (translationStatus.status === 'timeout') {
-      return 'Request timed out';
-    } else if (translationStatus.status === 'checking') {
-      return 'Checking translation status...';
     }
     return 'Preparing translation...';
   };
@@ -1100,30 +1393,12 @@ export default function DocumentTranslationPage() {
   };
   
   // Get the current progress percentage to display
-  const getProgressPercentage = () => {
-    if (simulatedProgress.active) {
-      return simulatedProgress.value;
-    }
-    return translationStatus.progress;
-  };
+  const getProgressPercentage = () => displayProgress.value;
   
   // Get current page info to display
-  const getCurrentPageInfo = () => {
-    if (simulatedProgress.active && simulatedProgress.total > 0) {
-      return {
-        current: simulatedProgress.page,
-        total: simulatedProgress.total,
-        isEstimated: true
-      };
-    } else if (translationStatus.totalPages > 0) {
-      return {
-        current: translationStatus.currentPage,
-        total: translationStatus.totalPages,
-        isEstimated: false
-      };
-    }
-    return null;
-  };
+  const getCurrentPageInfo = () => displayProgress.total > 0
+    ? { current: displayProgress.page, total: displayProgress.total, isEstimated: displayProgress.isEstimated }
+    : null;
 
   if (!isLoaded) {
     return (
@@ -1165,10 +1440,10 @@ export default function DocumentTranslationPage() {
                 <h2 className="text-xl font-semibold text-white">Translation Tool</h2>
                 <p className="text-indigo-200 text-sm">Upload documents in various formats</p>
               </div>
-              <div className="hidden sm:block">
+              <div className="hidden sm:block ml-4 max-w-sm">
                 <span className="inline-flex items-center px-3 py-1 rounded-full bg-white/20 text-white text-xs">
-                  <FileText className="h-3 w-3 mr-1" />
-                  PDF, JPEG, PNG, WEBP support
+                  <FileText className="h-3 w-3 mr-1 shrink-0" />
+                  {SUPPORTED_FORMAT_LABELS} support
                 </span>
               </div>
             </div>
@@ -1176,7 +1451,12 @@ export default function DocumentTranslationPage() {
   
           {/* Upload Section */}
           <div className="p-6">
-            <DocumentsUpload onTranslate={onTranslate} isLoading={translationStatus.isLoading} onCancel={handleCancel} />
+            <DocumentsUpload
+              onTranslate={onTranslate}
+              isLoading={translationStatus.isLoading || isMultiTargetActive}
+              onCancel={isMultiTargetActive ? handleMultiTargetCancel : handleCancel}
+              isCancelling={isMultiTargetActive ? isMultiTargetCancelling : translationStatus.isCancelling}
+            />
             
             {/* Progress Bar */}
             {translationStatus.isLoading && (
@@ -1188,43 +1468,38 @@ export default function DocumentTranslationPage() {
                     
                     {/* Status indicators */}
                     <div className="flex ml-2 gap-1">
-                      {consecFailures > 0 && (
+                      {translationStatus.consecutiveFailures > 0 && (
                         <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
-                          consecFailures > 5 
+                          translationStatus.consecutiveFailures > 5 
                             ? 'bg-amber-100 text-amber-800' 
                             : 'bg-blue-50 text-blue-600'
                         }`}>
-                          {consecFailures > 5 ? 'Connection issues' : 'Retrying...'}
+                          {translationStatus.consecutiveFailures > 5 ? 'Connection issues' : 'Retrying...'}
                         </span>
                       )}
                       
-                      {statusCheckStalled && (
+                      {isStatusDelayed && (
                         <span className="text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">
                           Status delayed
                         </span>
                       )}
                       
-                      {simulatedProgress.active && (
+                      {displayProgress.isEstimated && (
                         <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">
                           Estimated
                         </span>
                       )}
-                      
-                      {translationStatus.partialResults && (
-                        <span className="text-xs bg-purple-100 text-purple-800 px-2 py-0.5 rounded-full">
-                          Partial results
-                        </span>
-                      )}
                     </div>
                   </div>
                   <div className="flex items-center gap-3">
                     <span className="font-medium">{Math.round(getProgressPercentage())}%</span>
                     <button 
                       onClick={handleCancel} 
-                      className="p-1 rounded-full hover:bg-gray-200 text-gray-600 transition-colors"
+                      disabled={translationStatus.isCancelling}
+                      className="p-1 rounded-full hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
                       aria-label="Cancel translation"
                     >
-                      <X size={16} />
+                      {translationStatus.isCancelling ? <Loader2 size={16} className="animate-spin" /> : <X size={16} />}
                     </button>
                   </div>
                 </div>
@@ -1233,13 +1508,11 @@ export default function DocumentTranslationPage() {
                 <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
                   <div 
                     className={`h-full transition-all duration-300 ease-out ${
-                      simulatedProgress.active 
+                      displayProgress.isEstimated 
                         ? 'bg-blue-400' 
-                        : statusCheckStalled 
+                        : isStatusDelayed 
                           ? 'bg-amber-500'
-                          : translationStatus.partialResults
-                            ? 'bg-purple-500'
-                            : 'bg-indigo-600'
+                          : 'bg-indigo-600'
                     }`}
                     style={{ width: `${getProgressPercentage()}%` }}
                   />
@@ -1247,9 +1520,13 @@ export default function DocumentTranslationPage() {
                 
                 <div className="mt-2 flex flex-wrap items-center justify-between text-xs text-indigo-700">
                   <p className="italic">
-                    {statusCheckStalled
+                    {translationStatus.status === 'uploading' && translationStatus.uploadProgress
+                      ? `${formatBytes(translationStatus.uploadProgress.bytesPerSecond)}/s • ${formatDuration(translationStatus.uploadProgress.etaSeconds)} left`
+                      : isStatusDelayed
                       ? "Status updates are delayed. Translation is still processing."
-                      : "This may take a few minutes depending on document size"
+                      : eta
+                      ? `${eta.pagesPerMinute.toFixed(1)} pages/min • about ${formatDuration(eta.secondsLeft)} left${eta.source === 'history' ? ' (based on earlier translations)' : ''}`
+                      : "Time left is shown once the first pages are translated"
                     }
                   </p>
                   <div className="flex items-center gap-4">
@@ -1307,9 +1584,10 @@ export default function DocumentTranslationPage() {
                     <div className="mt-2 flex gap-2">
                       <button
                         onClick={handleCancel}
+                        disabled={translationStatus.isCancelling}
                         className="px-2 py-1 bg-white border border-amber-300 rounded text-amber-700 hover:bg-amber-50"
                       >
-                        Cancel
+                        {translationStatus.isCancelling ? 'Cancelling...' : 'Cancel'}
                       </button>
                       <button
                         onClick={handleRetryPolling}
@@ -1349,7 +1627,7 @@ export default function DocumentTranslationPage() {
             )}
             
             {/* Timeout Recovery UI */}
-            {!translationStatus.isLoading && translationStatus.status === 'timeout' && (
+            {!translationStatus.isLoading && translationStatus.status === 'stalled' && translationStatus.stallReason === 'timeout' && (
               <div className="mt-6 bg-amber-50 p-4 rounded-lg border border-amber-100">
                 <div className="flex items-start">
                   <div className="shrink-0 mt-0.5">
@@ -1407,7 +1685,7 @@ export default function DocumentTranslationPage() {
                         Check for updates
                       </button>
                       <button 
-                        onClick={() => setTranslationStatus(prev => ({ ...prev, isLoading: false, status: 'completed' }))}
+                        onClick={() => dispatchJob({ type: 'partialAccepted' })}
                         className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-purple-800 bg-purple-100 hover:bg-purple-200"
                       >
                         <Check size={14} className="mr-1" />
@@ -1420,7 +1698,7 @@ export default function DocumentTranslationPage() {
             )}
   
             {/* Status display for stalled translations */}
-            {!translationStatus.isLoading && translationStatus.status === 'stalled' && (
+            {!translationStatus.isLoading && translationStatus.status === 'stalled' && translationStatus.stallReason !== 'timeout' && (
               <div className="mt-6 bg-red-50 p-4 rounded-lg border border-red-100">
                 <div className="flex items-start">
                   <div className="shrink-0 mt-0.5">
@@ -1433,16 +1711,11 @@ export default function DocumentTranslationPage() {
                     <p className="mt-1 text-sm">The translation has been running for too long without progress. This might be due to document complexity or server issues.</p>
                     <div className="mt-3 flex gap-3">
                       <button 
-                        onClick={() => {
-                          setTranslationStatus(prev => ({
-                            ...prev,
-                            isLoading: false,
-                            status: 'cancelled',
-                            error: null
-                          }));
-                        }}
+                        onClick={handleCancel}
+                        disabled={translationStatus.isCancelling}
                         className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
                       >
+                        {translationStatus.isCancelling && <Loader2 size={14} className="mr-1 animate-spin" />}
                         Cancel translation
                       </button>
                       <button 
@@ -1457,8 +1730,59 @@ export default function DocumentTranslationPage() {
               </div>
             )}
   
+            {/* Summary of a cancellation the server confirmed */}
+            {!translationStatus.isLoading && translationStatus.status === 'cancelled' && translationStatus.cancellation && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <div className="flex items-start">
+                  <X className="h-5 w-5 text-gray-500 shrink-0 mt-0.5" />
+                  <div className="ml-3 flex-1">
+                    <h3 className="text-sm font-medium text-gray-800">Translation cancelled</h3>
+                    <p className="mt-1 text-sm text-gray-600">
+                      {translationStatus.cancellation.totalPages > 0
+                        ? `Stopped after ${translationStatus.cancellation.pagesProcessed} of ${translationStatus.cancellation.totalPages} pages. `
+                        : 'Stopped before translation began. '}
+                      {translationStatus.cancellation.pagesBilled === 1
+                        ? '1 page was billed.'
+                        : `${translationStatus.cancellation.pagesBilled} pages were billed.`}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+  
+            {/* Results of a multi-language submission */}
+            {multiTarget && (
+              <TranslationResultTabs
+                fileName={multiTarget.fileName}
+                uploadProgress={multiTarget.uploadProgress}
+                jobs={multiTarget.jobs}
+                onCancel={handleMultiTargetCancel}
+                isCancelling={isMultiTargetCancelling}
+              />
+            )}
+            
+            {/* Pages finished so far, readable while the rest is translating */}
+            {translationStatus.isLoading && pageStates.length > 0 && (
+              <div className="mt-8 border-t pt-6">
+                <div className="mb-4 flex items-center justify-between">
+                  <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <FileText className="h-5 w-5 mr-2 text-indigo-600" />
+                    Translated Pages
+                  </h2>
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                    Partial Results
+                  </span>
+                </div>
+                <TranslationPageReader
+                  key={translationStatus.processId}
+                  pages={pageStates}
+                  direction={translationStatus.direction}
+                />
+              </div>
+            )}
+            
             {/* Translation Results */}
-            {translationStatus.translatedText && (
+            {translationStatus.translatedText && !translationStatus.isLoading && (
               <div className="mt-8 border-t pt-6">
                 <div className="mb-4 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
                   <h2 className="text-xl font-semibold text-gray-800 flex items-center">
@@ -1466,6 +1790,48 @@ export default function DocumentTranslationPage() {
                     Translated Document
                   </h2>
                   <div className="flex gap-2">
+                    <button
+                      onClick={() => {
+                        setIsFindOpen(open => !open);
+                        setResultView('translation');
+                      }}
+                      disabled={isEditing}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors disabled:opacity-50 ${
+                        isFindOpen
+                          ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      aria-pressed={isFindOpen}
+                    >
+                      <Search size={16} />
+                      Find
+                    </button>
+                    <button
+                      onClick={() => {
+                        setIsEditing(true);
+                        setIsFindOpen(false);
+                      }}
+                      disabled={isEditing || Boolean(pageRetry)}
+                      className="flex items-center gap-2 px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                    >
+                      <Pencil size={16} />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => {
+                        setResultView(view => view === 'side-by-side' ? 'translation' : 'side-by-side');
+                        setIsFindOpen(false);
+                      }}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors ${
+                        resultView === 'side-by-side'
+                          ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      aria-pressed={resultView === 'side-by-side'}
+                    >
+                      <Columns size={16} />
+                      Side by side
+                    </button>
                     <button
                       onClick={handleCopyText}
                       className="flex items-center gap-2 px-3 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
@@ -1503,11 +1869,56 @@ export default function DocumentTranslationPage() {
                       Partial Results
                     </span>
                   )}
+                  {translationStatus.detectedLanguage && (
+                    <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                      Detected: {getLanguageLabel(translationStatus.detectedLanguage)} → {getLanguageLabel(selectedLanguage)}
+                    </span>
+                  )}
                 </div>
   
+                {failedPages.length > 0 && (
+                  <FailedPagesPanel
+                    key={translationStatus.processId}
+                    pages={failedPages}
+                    retry={pageRetry}
+                    onRetry={handleRetryPages}
+                  />
+                )}
+  
+                {isEditing && (
+                  <TranslationEditor
+                    key={translationStatus.processId}
+                    processId={translationStatus.processId}
+                    html={translationStatus.translatedText}
+                    direction={translationStatus.direction}
+                    onSave={handleSaveEdit}
+                    onCancel={() => setIsEditing(false)}
+                  />
+                )}
+  
+                {!isEditing && resultView === 'side-by-side' && (
+                  <BilingualView
+                    key={translationStatus.processId}
+                    pages={pageStates}
+                    sourceDocument={sourceDocument}
+                    direction={translationStatus.direction}
+                  />
+                )}
+  
+                {isFindOpen && !isEditing && resultView === 'translation' && (
+                  <FindReplaceBar
+                    key={translationStatus.processId}
+                    targetRef={contentRef}
+                    html={translationStatus.translatedText}
+                    onReplace={saveContent}
+                    onClose={() => setIsFindOpen(false)}
+                  />
+                )}
+
+                {/* Kept mounted in the other views so Copy Text still has the whole document */}
                 <div
                   ref={contentRef}
-                  className="document-preview p-6 border rounded-lg bg-white"
+                  className={`document-preview p-6 border rounded-lg bg-white ${isEditing || resultView === 'side-by-side' ? 'hidden' : ''}`}
                   style={{
                     direction: translationStatus.direction,
                     textAlign: translationStatus.direction === 'rtl' ? 'right' : 'left',
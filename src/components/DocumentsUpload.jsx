@@ -1,43 +1,53 @@
-import { useState, useRef } from 'react'
-import { Upload, X, FileText, ArrowRightLeft } from 'lucide-react'
+import { useState, useRef, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Upload, X, FileText, ArrowRightLeft, ChevronDown, ChevronUp, Loader2, Sparkles, Crop, Camera, Type, Lock, AlertTriangle } from 'lucide-react'
+import BatchTranslationQueue from './BatchTranslationQueue'
+import TranslationPreflight from './TranslationPreflight'
+import PdfPageSelector from './PdfPageSelector'
+import ImagePreprocessor from './ImagePreprocessor'
+import CameraCapture from './CameraCapture'
+import { LANGUAGE_OPTIONS, SOURCE_LANGUAGE_OPTIONS, AUTO_DETECT_LANGUAGE, getLanguageLabel } from '../constants/languages'
+import { detectDocumentLanguage } from '../utils/languageDetection'
+import { isPdfFile, inspectPdf, setPdfPassword, getPdfPassword, getUnattendedPdfError, PDF_REPAIR_HINT } from '../utils/pdfDocument'
+import { formatPageRanges } from '../utils/pageRanges'
+import { isHeicFile, convertHeicToJpeg } from '../utils/imageProcessing'
+import { inspectFile, getFileFormat, FILE_INPUT_ACCEPT, SUPPORTED_FORMAT_LABELS, MAX_UPLOAD_SIZE, formatSizeLimit } from '../utils/fileFormats'
 
-const SUPPORTED_FILE_TYPES = [
-  'application/pdf',
-  'image/jpeg',
-  'image/png',
-  'image/webp',
-  'image/heic',
-  'image/heif',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-]
+// Pasted content has no file name, so name it after the time it was pasted
+const pastedFileName = (kind, extension) =>
+  `pasted-${kind}-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.${extension}`
 
-const LANGUAGE_OPTIONS = [
-  { value: 'en', label: 'English' },
-  { value: 'ka', label: 'Georgian'},
-  { value: 'tr', label: 'Turkish'},
-  { value: 'es', label: 'Spanish' },
-  { value: 'fr', label: 'French' },
-  { value: 'de', label: 'German' },
-  { value: 'it', label: 'Italian' },
-  { value: 'pt', label: 'Portuguese' },
-  { value: 'ru', label: 'Russian' },
-  { value: 'zh', label: 'Chinese' },
-  { value: 'ja', label: 'Japanese' },
-  { value: 'ko', label: 'Korean' },
-  { value: 'ar', label: 'Arabic' },
-  { value: 'hi', label: 'Hindi' },
-  { value: 'az', label: 'Azerbaijani'},
-  { value: 'hy', label: 'Armenian'}
-  // { value: 'fa', label: 'Persian' },
-]
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
 
-export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
+export default function DocumentsUpload({ onTranslate, isLoading, onCancel, isCancelling }) {
+  const navigate = useNavigate()
   const [file, setFile] = useState(null)
   const [dragActive, setDragActive] = useState(false)
-  const [fromLang, setFromLang] = useState('en')
-  const [toLang, setToLang] = useState('ka')
+  const [fromLang, setFromLang] = useState(AUTO_DETECT_LANGUAGE)
+  // The first entry is the primary target; extra entries each get their own job
+  const [toLangs, setToLangs] = useState(['ka'])
+  const [batchFiles, setBatchFiles] = useState(null)
+  const [preflight, setPreflight] = useState(null)
+  // null means every page of the PDF is translated
+  const [selectedPages, setSelectedPages] = useState(null)
+  const [showPageSelector, setShowPageSelector] = useState(false)
+  // Set when fromLang was preselected from the document's script rather than by the user
+  const [detectedLanguage, setDetectedLanguage] = useState(null)
+  const [isDetecting, setIsDetecting] = useState(false)
+  const [showImageEditor, setShowImageEditor] = useState(false)
+  const [isConvertingImage, setIsConvertingImage] = useState(false)
+  const [showCamera, setShowCamera] = useState(false)
+  const [showTextInput, setShowTextInput] = useState(false)
+  const [typedText, setTypedText] = useState('')
+  // Result of opening the selected PDF locally: checking, ok, needs_password, wrong_password or damaged
+  const [pdfCheck, setPdfCheck] = useState(null)
+  const [passwordInput, setPasswordInput] = useState('')
+  const [isUnlocking, setIsUnlocking] = useState(false)
   
   const fileInputRef = useRef(null)
+  const detectionFileRef = useRef(null)
+  const pdfCheckFileRef = useRef(null)
   
   // Handle file drop
   const handleDrop = (e) => {
@@ -45,31 +55,195 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
     e.stopPropagation()
     setDragActive(false)
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0])
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files)
     }
   }
   
   // Handle file selection from dialog
   const handleFileChange = (e) => {
-    if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0])
+    if (e.target.files && e.target.files.length > 0) {
+      handleFiles(e.target.files)
     }
   }
   
-  // Process selected file
-  const handleFile = (file) => {
-    if (!SUPPORTED_FILE_TYPES.includes(file.type)) {
-      alert('Unsupported file type. Please upload a PDF or image file.')
+  // Several files switch the upload area into the batch queue
+  const handleFiles = async (fileList) => {
+    if (fileList.length === 1) {
+      handleFile(fileList[0])
       return
     }
     
-    if (file.size > 20 * 1024 * 1024) { // 20MB
-      alert('File too large. Maximum size is 20MB.')
+    // Batches run unattended, so PDFs that need a password or are damaged are turned away up front
+    const results = []
+    for (const selectedFile of Array.from(fileList)) {
+      const result = await inspectFile(selectedFile)
+      if (!result.error && result.format.id === 'pdf') {
+        result.error = await getUnattendedPdfError(result.file)
+      }
+      results.push(result)
+    }
+    const accepted = results.filter(result => !result.error).map(result => result.file)
+    const rejected = results.filter(result => result.error)
+    
+    if (rejected.length > 0) {
+      alert(`Some files were skipped:\n${rejected.map(result => `${result.file.name}: ${result.error}`).join('\n')}`)
+    }
+    
+    if (accepted.length > 0) {
+      setBatchFiles(accepted)
+    }
+    
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ''
+    }
+  }
+  
+  // Process selected file
+  const handleFile = async (selectedFile) => {
+    // Formats are checked by their contents, not the name or the browser's MIME guess
+    const { file: inspectedFile, error } = await inspectFile(selectedFile)
+    if (error) {
+      alert(error)
       return
     }
     
+    let file = inspectedFile
+    
+    // HEIC photos are converted up front so they can be previewed, edited and OCRed
+    if (isHeicFile(file)) {
+      setIsConvertingImage(true)
+      try {
+        file = await convertHeicToJpeg(file)
+        console.log(`✅ Converted ${selectedFile.name} to JPEG`)
+      } catch (conversionError) {
+        console.error('❌ HEIC conversion failed:', conversionError)
+        alert('This HEIC photo could not be converted. Please export it as JPEG and try again.')
+        return
+      } finally {
+        setIsConvertingImage(false)
+      }
+    }
+    
     setFile(file)
+    setSelectedPages(null)
+    setShowPageSelector(false)
+    setPdfCheck(null)
+    setPasswordInput('')
+    pdfCheckFileRef.current = file
+    
+    // Encrypted and damaged PDFs are caught here instead of failing after upload
+    if (isPdfFile(file)) {
+      setPdfCheck({ status: 'checking' })
+      const check = await inspectPdf(file)
+      if (pdfCheckFileRef.current !== file) return
+      setPdfCheck(check)
+      // The text cannot be sampled until the PDF is unlocked
+      if (check.status !== 'ok') return
+    }
+    
+    preselectSourceLanguage(file)
+  }
+  
+  // Only preselect while the user has not picked a source language themselves
+  const preselectSourceLanguage = (file) => {
+    if (fromLang === AUTO_DETECT_LANGUAGE || detectedLanguage) {
+      detectSourceLanguage(file)
+    }
+  }
+  
+  // The password is verified locally and kept in memory until the job is created
+  const handleUnlockPdf = async (e) => {
+    e.preventDefault()
+    setIsUnlocking(true)
+    
+    const check = await inspectPdf(file, { password: passwordInput })
+    setIsUnlocking(false)
+    if (pdfCheckFileRef.current !== file) return
+    
+    if (check.status === 'ok') {
+      setPdfPassword(file, passwordInput)
+      setPasswordInput('')
+      setPdfCheck({ ...check, isUnlocked: true })
+      preselectSourceLanguage(file)
+    } else {
+      setPdfCheck(check)
+    }
+  }
+  
+  const detectSourceLanguage = async (file) => {
+    detectionFileRef.current = file
+    setIsDetecting(true)
+    
+    const detection = await detectDocumentLanguage(file)
+    
+    // Ignore results for a file that has since been replaced
+    if (detectionFileRef.current !== file) return
+    setIsDetecting(false)
+    
+    if (detection) {
+      console.log(`🔍 Detected ${detection.script} script, preselecting ${detection.language}`)
+      setFromLang(detection.language)
+      setDetectedLanguage(detection)
+    } else {
+      setFromLang(AUTO_DETECT_LANGUAGE)
+      setDetectedLanguage(null)
+    }
+  }
+  
+  const handleFromLangChange = (value) => {
+    setFromLang(value)
+    setDetectedLanguage(null)
+  }
+  
+  // Text is translated as a plain-text document
+  const handleTextInput = (text) => {
+    setShowTextInput(false)
+    setTypedText('')
+    handleFile(new File([text], pastedFileName('text', 'txt'), { type: 'text/plain' }))
+  }
+  
+  // Clipboard images (screenshots) and text can be pasted straight into the upload area
+  const handlePaste = (e) => {
+    const isUploadAreaShown = !file && !batchFiles && !isConvertingImage && !showTextInput
+    if (!isUploadAreaShown || isLoading || showCamera || isEditableTarget(e.target)) {
+      return
+    }
+    
+    const image = Array.from(e.clipboardData.files).find(item => item.type.startsWith('image/'))
+    if (image) {
+      e.preventDefault()
+      const extension = image.type.split('/')[1] === 'jpeg' ? 'jpg' : image.type.split('/')[1]
+      handleFile(new File([image], pastedFileName('image', extension), { type: image.type }))
+      return
+    }
+    
+    const text = e.clipboardData.getData('text/plain').trim()
+    if (text) {
+      e.preventDefault()
+      handleTextInput(text)
+    }
+  }
+  
+  // Registered once; the ref always points at the latest handler
+  const pasteHandlerRef = useRef(handlePaste)
+  pasteHandlerRef.current = handlePaste
+  
+  useEffect(() => {
+    const onPaste = (e) => pasteHandlerRef.current(e)
+    document.addEventListener('paste', onPaste)
+    return () => document.removeEventListener('paste', onPaste)
+  }, [])
+  
+  // The captured pages arrive as one PDF and continue like an uploaded file
+  const handleCameraComplete = (pdfFile) => {
+    setShowCamera(false)
+    handleFile(pdfFile)
+  }
+  
+  const handleImageEdited = (processedFile) => {
+    setShowImageEditor(false)
+    setFile(processedFile)
   }
   
   // Handle drag events
@@ -91,23 +265,68 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
   
   // Reset file selection
   const resetFile = () => {
+    detectionFileRef.current = null
+    setIsDetecting(false)
+    if (detectedLanguage) {
+      setFromLang(AUTO_DETECT_LANGUAGE)
+      setDetectedLanguage(null)
+    }
     setFile(null)
+    setSelectedPages(null)
+    setShowPageSelector(false)
+    pdfCheckFileRef.current = null
+    setPdfCheck(null)
+    setPasswordInput('')
     if (fileInputRef.current) {
       fileInputRef.current.value = ''
     }
   }
   
-  // Swap languages
+  // Swap languages (only offered for a single target)
   const swapLanguages = () => {
-    setFromLang(toLang)
-    setToLang(fromLang)
+    setFromLang(toLangs[0])
+    setToLangs([fromLang])
+    setDetectedLanguage(null)
+  }
+  
+  const setPrimaryTarget = (language) => {
+    setToLangs(prev => [language, ...prev.slice(1).filter(lang => lang !== language)])
+  }
+  
+  const addTarget = (language) => {
+    if (language && !toLangs.includes(language)) {
+      setToLangs([...toLangs, language])
+    }
   }
   
-  // Handle translation
+  const removeTarget = (language) => {
+    setToLangs(toLangs.filter(lang => lang !== language))
+  }
+  
+  // Handle translation: count pages and confirm the cost first
   const handleTranslate = () => {
-    if (file && fromLang && toLang) {
-      onTranslate(file, fromLang, toLang)
+    if (file && fromLang && toLangs.length > 0) {
+      setPreflight({ files: [file], pageSelections: [selectedPages], targets: [{ fromLang, toLangs }] })
+    }
+  }
+  
+  // Targets translated before are opened from history instead of being paid for again;
+  // the page leaves for the viewer only when nothing is left to translate
+  const handlePreflightConfirm = (pageCounts, reused) => {
+    setPreflight(null)
+    const remainingLangs = toLangs.filter(lang => !reused.some(item => item.toLang === lang))
+    
+    if (remainingLangs.length === 0) {
+      navigate(`/view/${reused[0].translation.processId}`)
+      return
     }
+    
+    onTranslate(file, fromLang, remainingLangs, {
+      pageCount: pageCounts[0].pages,
+      pageRange: selectedPages ? formatPageRanges(selectedPages) : null,
+      pdfPassword: getPdfPassword(file),
+      reused: reused.map(({ toLang, translation }) => ({ toLang, processId: translation.processId }))
+    })
   }
   
   return (
@@ -122,23 +341,38 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               id="fromLang"
               className="form-select w-full"
               value={fromLang}
-              onChange={(e) => setFromLang(e.target.value)}
+              onChange={(e) => handleFromLangChange(e.target.value)}
               disabled={isLoading}
             >
-              {LANGUAGE_OPTIONS.map((option) => (
+              {SOURCE_LANGUAGE_OPTIONS.map((option) => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
               ))}
             </select>
           </div>
+          {isDetecting ? (
+            <p className="mt-1 text-xs text-gray-500 flex items-center">
+              <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+              Detecting document language...
+            </p>
+          ) : detectedLanguage ? (
+            <p className="mt-1 text-xs text-indigo-600 flex items-center">
+              <Sparkles className="w-3 h-3 mr-1" />
+              Detected {getLanguageLabel(detectedLanguage.language)} from {detectedLanguage.script} text
+            </p>
+          ) : fromLang === AUTO_DETECT_LANGUAGE && (
+            <p className="mt-1 text-xs text-gray-500">
+              The language will be detected during translation
+            </p>
+          )}
         </div>
         
         <div className="hidden sm:flex items-end pb-1">
           <button 
             onClick={swapLanguages} 
-            className="p-2 rounded-full hover:bg-gray-100"
-            disabled={isLoading}
+            className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-50"
+            disabled={isLoading || fromLang === AUTO_DETECT_LANGUAGE || toLangs.length > 1}
             title="Swap languages"
           >
             <ArrowRightLeft className="w-5 h-5 text-indigo-600" />
@@ -153,8 +387,8 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
             <select
               id="toLang"
               className="form-select w-full"
-              value={toLang}
-              onChange={(e) => setToLang(e.target.value)}
+              value={toLangs[0]}
+              onChange={(e) => setPrimaryTarget(e.target.value)}
               disabled={isLoading}
             >
               {LANGUAGE_OPTIONS.map((option) => (
@@ -164,10 +398,90 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               ))}
             </select>
           </div>
+          {!batchFiles && (
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+              {toLangs.slice(1).map(language => (
+                <span
+                  key={language}
+                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                >
+                  {getLanguageLabel(language)}
+                  <button
+                    type="button"
+                    onClick={() => removeTarget(language)}
+                    className="ml-1 hover:text-indigo-600"
+                    disabled={isLoading}
+                    aria-label={`Remove ${getLanguageLabel(language)}`}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              <select
+                className="text-xs text-indigo-600 bg-transparent border-none focus:ring-0 cursor-pointer p-0"
+                value=""
+                onChange={(e) => addTarget(e.target.value)}
+                disabled={isLoading}
+                aria-label="Add another target language"
+              >
+                <option value="">+ Add another language</option>
+                {LANGUAGE_OPTIONS.filter(option => !toLangs.includes(option.value)).map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
       </div>
       
-      {!file ? (
+      {batchFiles ? (
+        <BatchTranslationQueue
+          files={batchFiles}
+          fromLang={fromLang}
+          toLang={toLangs[0]}
+          onClose={() => setBatchFiles(null)}
+        />
+      ) : isConvertingImage ? (
+        <div className="upload-area upload-area-inactive">
+          <div className="flex flex-col items-center justify-center gap-3 text-gray-600">
+            <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            Converting HEIC photo to JPEG...
+          </div>
+        </div>
+      ) : showTextInput ? (
+        <div className="card">
+          <label htmlFor="pastedText" className="block text-sm font-medium text-gray-700 mb-1">
+            Text to translate
+          </label>
+          <textarea
+            id="pastedText"
+            className="form-input min-h-[200px]"
+            value={typedText}
+            onChange={(e) => setTypedText(e.target.value)}
+            placeholder="Type or paste the text you want to translate"
+            autoFocus
+          />
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowTextInput(false)}
+              className="button-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => handleTextInput(typedText.trim())}
+              className="button-primary"
+              disabled={!typedText.trim()}
+            >
+              Use This Text
+            </button>
+          </div>
+        </div>
+      ) : !file ? (
         <div 
           className={`upload-area ${
             dragActive ? 'upload-area-active' : 'upload-area-inactive'
@@ -180,8 +494,9 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
           <input
             ref={fileInputRef}
             type="file"
+            multiple
             className="hidden"
-            accept={SUPPORTED_FILE_TYPES.join(',')}
+            accept={FILE_INPUT_ACCEPT}
             onChange={handleFileChange}
             disabled={isLoading}
           />
@@ -194,16 +509,44 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               Drag & drop or click to upload
             </p>
             <p className="text-sm text-gray-500">
-              Supported formats: PDF, JPEG, PNG, WEBP (max 20MB)
+              Drop several files at once to translate them as a batch
             </p>
-            <button
-              type="button"
-              onClick={onButtonClick}
-              className="button-primary mt-2"
-              disabled={isLoading}
-            >
-              Select File
-            </button>
+            <p className="text-sm text-gray-500">
+              Or paste a screenshot or text with Ctrl+V
+            </p>
+            <p className="text-sm text-gray-500">
+              Supported formats: {SUPPORTED_FORMAT_LABELS} (up to {formatSizeLimit(MAX_UPLOAD_SIZE)}, depending on format)
+            </p>
+            <div className="flex flex-wrap justify-center gap-3 mt-2">
+              <button
+                type="button"
+                onClick={onButtonClick}
+                className="button-primary"
+                disabled={isLoading}
+              >
+                Select Files
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowTextInput(true)}
+                className="button-secondary flex items-center"
+                disabled={isLoading}
+              >
+                <Type className="w-4 h-4 mr-2" />
+                Enter Text
+              </button>
+              {navigator.mediaDevices?.getUserMedia && (
+                <button
+                  type="button"
+                  onClick={() => setShowCamera(true)}
+                  className="button-secondary flex items-center"
+                  disabled={isLoading}
+                >
+                  <Camera className="w-4 h-4 mr-2" />
+                  Use Camera
+                </button>
+              )}
+            </div>
           </div>
         </div>
       ) : (
@@ -216,7 +559,7 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               <div>
                 <p className="font-medium text-gray-800">{file.name}</p>
                 <p className="text-sm text-gray-500">
-                  {(file.size / 1024 / 1024).toFixed(2)} MB • {file.type.split('/')[1].toUpperCase()}
+                  {(file.size / 1024 / 1024).toFixed(2)} MB • {getFileFormat(file)?.label || 'Unknown format'}
                 </p>
               </div>
             </div>
@@ -232,28 +575,158 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
             </button>
           </div>
           
+          {file.type.startsWith('image/') && (
+            <div className="border-t border-gray-100 pt-4">
+              <button
+                type="button"
+                onClick={() => setShowImageEditor(true)}
+                className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                disabled={isLoading}
+              >
+                <Crop className="w-4 h-4 mr-1" />
+                Clean up photo (rotate, crop, straighten)
+              </button>
+            </div>
+          )}
+          
+          {pdfCheck?.status === 'checking' && (
+            <div className="border-t border-gray-100 pt-4 flex items-center text-sm text-gray-500">
+              <Loader2 className="w-4 h-4 mr-2 animate-spin text-indigo-600" />
+              Checking the PDF...
+            </div>
+          )}
+          
+          {pdfCheck?.status === 'damaged' && (
+            <div className="bg-red-50 p-4 rounded-lg border border-red-100 flex items-start">
+              <AlertTriangle className="h-5 w-5 text-red-500 shrink-0" />
+              <div className="ml-3 text-sm text-red-700">
+                <p className="font-medium">{pdfCheck.reason}</p>
+                <p className="mt-1">{PDF_REPAIR_HINT}</p>
+              </div>
+            </div>
+          )}
+          
+          {(pdfCheck?.status === 'needs_password' || pdfCheck?.status === 'wrong_password') && (
+            <form onSubmit={handleUnlockPdf} className="border-t border-gray-100 pt-4">
+              <label htmlFor="pdfPassword" className="flex items-center text-sm font-medium text-gray-700 mb-1">
+                <Lock className="w-4 h-4 mr-1" />
+                This PDF is password-protected
+              </label>
+              <p className="text-xs text-gray-500 mb-3">
+                The password is checked on this device, then sent only with this translation job. It is not saved.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  id="pdfPassword"
+                  type="password"
+                  autoComplete="off"
+                  className="form-input flex-1"
+                  value={passwordInput}
+                  onChange={(e) => setPasswordInput(e.target.value)}
+                  placeholder="PDF password"
+                  disabled={isUnlocking || isLoading}
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  className="button-secondary"
+                  disabled={!passwordInput || isUnlocking || isLoading}
+                >
+                  {isUnlocking ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Unlock'}
+                </button>
+              </div>
+              {pdfCheck.status === 'wrong_password' && (
+                <p className="mt-2 text-sm text-red-600">Incorrect password. Please try again.</p>
+              )}
+            </form>
+          )}
+          
+          {pdfCheck?.status === 'ok' && (
+            <div className="border-t border-gray-100 pt-4">
+              {pdfCheck.isUnlocked && (
+                <p className="flex items-center text-xs text-green-700 mb-2">
+                  <Lock className="w-3 h-3 mr-1" />
+                  Unlocked; the password will be sent with the translation job
+                </p>
+              )}
+              <button
+                type="button"
+                onClick={() => setShowPageSelector(!showPageSelector)}
+                className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                disabled={isLoading}
+              >
+                {showPageSelector ? <ChevronUp className="w-4 h-4 mr-1" /> : <ChevronDown className="w-4 h-4 mr-1" />}
+                {selectedPages
+                  ? `Translating pages ${formatPageRanges(selectedPages)}`
+                  : 'Translate only some pages'}
+              </button>
+              
+              {showPageSelector && (
+                <div className="mt-3">
+                  <PdfPageSelector
+                    file={file}
+                    selectedPages={selectedPages}
+                    onChange={setSelectedPages}
+                    disabled={isLoading}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+          
           <div className="flex flex-col sm:flex-row items-center gap-3 mt-6">
             {isLoading ? (
               <button
                 type="button"
                 onClick={onCancel}
                 className="button-secondary w-full sm:w-auto"
+                disabled={isCancelling}
               >
-                Cancel
+                {isCancelling ? (
+                  <span className="flex items-center justify-center">
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Cancelling...
+                  </span>
+                ) : 'Cancel'}
               </button>
             ) : (
               <button
                 type="button"
                 onClick={handleTranslate}
                 className="button-primary w-full sm:w-auto"
-                disabled={!file || !fromLang || !toLang}
+                disabled={!file || !fromLang || toLangs.length === 0 || (pdfCheck && pdfCheck.status !== 'ok')}
               >
-                Translate Document
+                {toLangs.length > 1 ? `Translate into ${toLangs.length} Languages` : 'Translate Document'}
               </button>
             )}
           </div>
         </div>
       )}
+      
+      {showCamera && (
+        <CameraCapture
+          onComplete={handleCameraComplete}
+          onCancel={() => setShowCamera(false)}
+        />
+      )}
+      
+      {showImageEditor && file && (
+        <ImagePreprocessor
+          file={file}
+          onApply={handleImageEdited}
+          onCancel={() => setShowImageEditor(false)}
+        />
+      )}
+      
+      {preflight && (
+        <TranslationPreflight
+          files={preflight.files}
+          pageSelections={preflight.pageSelections}
+          targets={preflight.targets}
+          onConfirm={handlePreflightConfirm}
+          onCancel={() => setPreflight(null)}
+        />
+      )}
     </div>
   )
 }
\ No newline at end of file
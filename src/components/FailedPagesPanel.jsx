@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { AlertTriangle, Loader2, RotateCcw } from 'lucide-react';
+
+/**
+ * Lists the pages of a finished translation that failed, with the reason for each,
+ * and retries the selected ones without translating the rest of the document again.
+ * While a retry runs, `retry` is { pages, progress }.
+ */
+export default function FailedPagesPanel({ pages, retry, onRetry }) {
+  const [selectedPages, setSelectedPages] = useState(() => pages.map(page => page.pageNumber));
+  const selectable = pages.map(page => page.pageNumber);
+  const selected = selectedPages.filter(pageNumber => selectable.includes(pageNumber));
+
+  const togglePage = (pageNumber) => {
+    setSelectedPages(prev => prev.includes(pageNumber)
+      ? prev.filter(current => current !== pageNumber)
+      : [...prev, pageNumber]);
+  };
+
+  return (
+    <div className="mb-4 bg-red-50 p-4 rounded-lg border border-red-100">
+      <div className="flex items-start">
+        <AlertTriangle className="h-5 w-5 text-red-500 shrink-0 mt-0.5" />
+        <div className="ml-3 flex-1">
+          <h3 className="text-sm font-medium text-red-800">
+            {pages.length === 1 ? '1 page could not be translated' : `${pages.length} pages could not be translated`}
+          </h3>
+          <ul className="mt-2 space-y-1">
+            {pages.map(page => (
+              <li key={page.pageNumber} className="flex items-start text-sm text-red-700">
+                <input
+                  type="checkbox"
+                  id={`failed-page-${page.pageNumber}`}
+                  checked={selectedPages.includes(page.pageNumber)}
+                  onChange={() => togglePage(page.pageNumber)}
+                  disabled={Boolean(retry)}
+                  className="mt-0.5 mr-2 rounded border-red-300 text-red-600 focus:ring-red-500"
+                />
+                <label htmlFor={`failed-page-${page.pageNumber}`}>
+                  <span className="font-medium">Page {page.pageNumber}:</span> {page.error}
+                </label>
+              </li>
+            ))}
+          </ul>
+
+          {retry ? (
+            <div className="mt-3">
+              <div className="flex justify-between text-xs text-red-800 mb-1">
+                <span className="flex items-center">
+                  <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                  Translating {retry.pages.length === 1 ? 'page' : 'pages'} {retry.pages.join(', ')} again...
+                </span>
+                <span>{Math.round(retry.progress)}%</span>
+              </div>
+              <div className="h-1.5 bg-red-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-red-500 transition-all duration-300 ease-out"
+                  style={{ width: `${retry.progress}%` }}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="mt-3 flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => onRetry([...selected].sort((a, b) => a - b))}
+                disabled={selected.length === 0}
+                className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                <RotateCcw size={14} className="mr-1" />
+                Retry {selected.length === 1 ? '1 page' : `${selected.length} pages`}
+              </button>
+              <span className="text-xs text-red-700">Only these pages are translated again.</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
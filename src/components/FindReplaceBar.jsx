@@ -0,0 +1,217 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  CaseSensitive, ChevronDown, ChevronRight, ChevronUp, Loader2, Regex, Replace, ReplaceAll, Search, WholeWord, X
+} from 'lucide-react';
+import { toast } from 'sonner';
+import { buildSearchPattern, findTextMatches, createMatchRange, replaceInHtml } from '../utils/textSearch';
+
+const OPTION_BUTTONS = [
+  { option: 'matchCase', label: 'Match case', icon: CaseSensitive },
+  { option: 'wholeWord', label: 'Match whole word', icon: WholeWord },
+  { option: 'useRegex', label: 'Use regular expression', icon: Regex }
+];
+
+// Matches are highlighted with the CSS Custom Highlight API, which leaves the rendered HTML alone
+const supportsHighlights = () => typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof window.Highlight === 'function';
+
+const clearHighlights = () => {
+  if (!supportsHighlights()) return;
+  CSS.highlights.delete('find-match');
+  CSS.highlights.delete('find-current');
+};
+
+/**
+ * Find (and replace) text in a rendered translation. Matches are searched in the
+ * element behind targetRef, which must show `html`; replacements change the text of
+ * `html` only and pass the result to onReplace(html).
+ */
+export default function FindReplaceBar({ targetRef, html, onReplace, onClose }) {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState({ matchCase: false, wholeWord: false, useRegex: false });
+  const [showReplace, setShowReplace] = useState(false);
+  const [matches, setMatches] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [isReplacing, setIsReplacing] = useState(false);
+
+  const { pattern, error } = useMemo(() => buildSearchPattern(query, options), [query, options]);
+
+  // Search again whenever the query or the document changes
+  useEffect(() => {
+    const root = targetRef.current;
+    setMatches(root && pattern ? findTextMatches(root, pattern) : []);
+  }, [pattern, html, targetRef]);
+
+  useEffect(() => {
+    setCurrentIndex(index => Math.min(index, Math.max(0, matches.length - 1)));
+  }, [matches]);
+
+  useEffect(() => {
+    if (!supportsHighlights()) return;
+    const ranges = matches.map(createMatchRange);
+    CSS.highlights.set('find-match', new window.Highlight(...ranges));
+    if (ranges[currentIndex]) {
+      CSS.highlights.set('find-current', new window.Highlight(ranges[currentIndex]));
+    } else {
+      CSS.highlights.delete('find-current');
+    }
+  }, [matches, currentIndex]);
+
+  useEffect(() => clearHighlights, []);
+
+  const goToMatch = (index) => {
+    if (matches.length === 0) return;
+    const nextIndex = (index + matches.length) % matches.length;
+    setCurrentIndex(nextIndex);
+    createMatchRange(matches[nextIndex]).startContainer.parentElement?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  };
+
+  const handleFindKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      goToMatch(currentIndex + (event.shiftKey ? -1 : 1));
+    } else if (event.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  const runReplace = async (matchIndexes) => {
+    if (!pattern || matches.length === 0) return;
+
+    const result = replaceInHtml(html, pattern, replacement, { useRegex: options.useRegex, matchIndexes });
+    if (result.count === 0) return;
+
+    setIsReplacing(true);
+    try {
+      await onReplace(result.html);
+      if (!matchIndexes) {
+        toast.success(result.count === 1 ? 'Replaced 1 match' : `Replaced ${result.count} matches`);
+      }
+    } catch (replaceError) {
+      toast.error(typeof replaceError === 'string' ? replaceError : 'The replacement could not be saved.');
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
+  const matchLabel = error
+    ? error
+    : !query
+      ? ''
+      : matches.length === 0
+        ? 'No matches'
+        : `${currentIndex + 1} of ${matches.length}`;
+
+  return (
+    <div className="mb-3 p-2 border border-gray-200 rounded-lg bg-gray-50 text-sm">
+      <div className="flex flex-wrap items-center gap-1">
+        <button
+          type="button"
+          onClick={() => setShowReplace(value => !value)}
+          className="p-1 rounded hover:bg-gray-200 text-gray-600"
+          aria-label={showReplace ? 'Hide replace' : 'Show replace'}
+          aria-expanded={showReplace}
+        >
+          {showReplace ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </button>
+        <div className="relative flex-1 min-w-48">
+          <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(event) => {
+              setQuery(event.target.value);
+              setCurrentIndex(0);
+            }}
+            onKeyDown={handleFindKeyDown}
+            placeholder="Find"
+            autoFocus
+            className={`w-full pl-7 pr-2 py-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+              error ? 'border-red-400' : 'border-gray-300'
+            }`}
+          />
+        </div>
+        {OPTION_BUTTONS.map(({ option, label, icon: Icon }) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setOptions(prev => ({ ...prev, [option]: !prev[option] }))}
+            className={`p-1 rounded border ${
+              options[option] ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'border-transparent text-gray-600 hover:bg-gray-200'
+            }`}
+            title={label}
+            aria-label={label}
+            aria-pressed={options[option]}
+          >
+            <Icon size={16} />
+          </button>
+        ))}
+        <span className={`min-w-20 px-2 text-xs ${error ? 'text-red-600' : 'text-gray-500'}`}>{matchLabel}</span>
+        <button
+          type="button"
+          onClick={() => goToMatch(currentIndex - 1)}
+          disabled={matches.length === 0}
+          className="p-1 rounded hover:bg-gray-200 text-gray-600 disabled:opacity-30"
+          title="Previous match (Shift+Enter)"
+          aria-label="Previous match"
+        >
+          <ChevronUp size={16} />
+        </button>
+        <button
+          type="button"
+          onClick={() => goToMatch(currentIndex + 1)}
+          disabled={matches.length === 0}
+          className="p-1 rounded hover:bg-gray-200 text-gray-600 disabled:opacity-30"
+          title="Next match (Enter)"
+          aria-label="Next match"
+        >
+          <ChevronDown size={16} />
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-gray-200 text-gray-600"
+          aria-label="Close find"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {showReplace && (
+        <div className="mt-2 ml-7 flex flex-wrap items-center gap-1">
+          <input
+            type="text"
+            value={replacement}
+            onChange={(event) => setReplacement(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') runReplace([currentIndex]);
+              else if (event.key === 'Escape') onClose();
+            }}
+            placeholder={options.useRegex ? 'Replace (use $1 for groups)' : 'Replace'}
+            className="flex-1 min-w-48 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            type="button"
+            onClick={() => runReplace([currentIndex])}
+            disabled={matches.length === 0 || isReplacing}
+            className="flex items-center gap-1 px-2 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            title="Replace this match"
+          >
+            <Replace size={14} />
+            Replace
+          </button>
+          <button
+            type="button"
+            onClick={() => runReplace(null)}
+            disabled={matches.length === 0 || isReplacing}
+            className="flex items-center gap-1 px-2 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            title="Replace every match"
+          >
+            {isReplacing ? <Loader2 size={14} className="animate-spin" /> : <ReplaceAll size={14} />}
+            Replace all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Loader2, RotateCcw, RotateCw, Maximize, AlertTriangle } from 'lucide-react';
+import { loadImageCanvas, rotateCanvas, renderProcessedImage, canvasToJpegFile } from '../utils/imageProcessing';
+
+const PREVIEW_MAX_WIDTH = 640;
+const PREVIEW_MAX_HEIGHT = 480;
+const MIN_CROP_SIZE = 20; // Source pixels
+
+// Corners are ordered top-left, top-right, bottom-right, bottom-left
+const fullImageCorners = (canvas) => [
+  { x: 0, y: 0 },
+  { x: canvas.width, y: 0 },
+  { x: canvas.width, y: canvas.height },
+  { x: 0, y: canvas.height }
+];
+
+// In crop mode each corner shares its x with one neighbour and its y with the other
+const X_PARTNER = [3, 2, 1, 0];
+const Y_PARTNER = [1, 0, 3, 2];
+
+const boundingRectCorners = (corners) => {
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  const left = Math.min(...xs);
+  const right = Math.max(...xs);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+  return [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom }
+  ];
+};
+
+/**
+ * Editor for photographed documents: rotate, crop or straighten a skewed page by
+ * dragging its corners, and boost contrast before upload. Calls onApply with a
+ * new JPEG File.
+ */
+export default function ImagePreprocessor({ file, onApply, onCancel }) {
+  const [original, setOriginal] = useState(null);
+  const [rotation, setRotation] = useState(0);
+  const [corners, setCorners] = useState(null);
+  const [isPerspective, setIsPerspective] = useState(false);
+  const [contrast, setContrast] = useState(1);
+  const [grayscale, setGrayscale] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const previewCanvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const dragIndexRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    loadImageCanvas(file)
+      .then(canvas => {
+        if (!cancelled) setOriginal(canvas);
+      })
+      .catch(loadError => {
+        console.error('❌ Failed to load image for editing:', loadError);
+        if (!cancelled) setError('This image could not be opened for editing.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const source = useMemo(() => {
+    if (!original) return null;
+    return rotation === 0 ? original : rotateCanvas(original, rotation);
+  }, [original, rotation]);
+
+  // Rotating changes the coordinate space, so the corners start over
+  useEffect(() => {
+    if (source) setCorners(fullImageCorners(source));
+  }, [source]);
+
+  useEffect(() => {
+    const canvas = previewCanvasRef.current;
+    if (!source || !canvas) return;
+
+    const scale = Math.min(PREVIEW_MAX_WIDTH / source.width, PREVIEW_MAX_HEIGHT / source.height, 1);
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  }, [source, isLoading]);
+
+  const toSourcePoint = (event) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return {
+      x: Math.round(Math.min(source.width, Math.max(0, ((event.clientX - rect.left) / rect.width) * source.width))),
+      y: Math.round(Math.min(source.height, Math.max(0, ((event.clientY - rect.top) / rect.height) * source.height)))
+    };
+  };
+
+  const handlePointerDown = (index) => (event) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragIndexRef.current = index;
+  };
+
+  const handlePointerMove = (event) => {
+    const index = dragIndexRef.current;
+    if (index === null) return;
+
+    const point = toSourcePoint(event);
+    setCorners(prev => {
+      const next = prev.map(corner => ({ ...corner }));
+      next[index] = point;
+      if (!isPerspective) {
+        next[X_PARTNER[index]].x = point.x;
+        next[Y_PARTNER[index]].y = point.y;
+
+        // Keep the crop from collapsing or turning inside out
+        const [topLeft, , bottomRight] = next;
+        if (bottomRight.x - topLeft.x < MIN_CROP_SIZE || bottomRight.y - topLeft.y < MIN_CROP_SIZE) {
+          return prev;
+        }
+      }
+      return next;
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragIndexRef.current = null;
+  };
+
+  const togglePerspective = () => {
+    if (isPerspective) {
+      setCorners(prev => boundingRectCorners(prev));
+    }
+    setIsPerspective(!isPerspective);
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    setError(null);
+
+    // Let the spinner paint before the synchronous pixel work starts
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    try {
+      const output = renderProcessedImage(source, { corners, contrast, grayscale });
+      const processed = await canvasToJpegFile(output, file.name);
+      console.log(`✅ Image processed: ${output.width}x${output.height}, ${processed.size} bytes`);
+      onApply(processed);
+    } catch (applyError) {
+      console.error('❌ Image processing failed:', applyError);
+      setError(applyError.message || 'Failed to process the image.');
+      setIsApplying(false);
+    }
+  };
+
+  const handleSize = source ? Math.max(source.width, source.height) / 60 : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-full overflow-y-auto">
+        <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-4">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-white">Clean Up Image</h2>
+              <p className="text-indigo-200 text-sm">Straighten and crop the page for better text recognition</p>
+            </div>
+            <button
+              onClick={onCancel}
+              className="text-white hover:text-indigo-200"
+              disabled={isApplying}
+            >
+              &times;
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6">
+          {isLoading ? (
+            <div className="flex items-center justify-center text-sm text-gray-500 py-16">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin text-indigo-600" />
+              Loading image...
+            </div>
+          ) : !source ? (
+            <div className="bg-red-50 p-4 rounded-lg border border-red-100 flex items-start">
+              <AlertTriangle className="h-5 w-5 text-red-500 shrink-0" />
+              <p className="ml-3 text-sm text-red-700">{error}</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex justify-center bg-gray-100 rounded-lg p-4 mb-4">
+                <div className="relative inline-block select-none touch-none">
+                  <canvas
+                    ref={previewCanvasRef}
+                    className="block max-w-full"
+                    style={{ filter: `contrast(${contrast}) grayscale(${grayscale ? 1 : 0})` }}
+                  />
+                  {corners && (
+                    <svg
+                      ref={overlayRef}
+                      className="absolute inset-0 w-full h-full"
+                      viewBox={`0 0 ${source.width} ${source.height}`}
+                      preserveAspectRatio="none"
+                      onPointerMove={handlePointerMove}
+                      onPointerUp={handlePointerUp}
+                      onPointerCancel={handlePointerUp}
+                    >
+                      {/* Dim everything outside the selected page */}
+                      <path
+                        fillRule="evenodd"
+                        fill="rgba(0, 0, 0, 0.45)"
+                        d={`M0 0H${source.width}V${source.height}H0Z M${corners.map(({ x, y }) => `${x} ${y}`).join(' L')}Z`}
+                      />
+                      <polygon
+                        points={corners.map(({ x, y }) => `${x},${y}`).join(' ')}
+                        fill="none"
+                        stroke="#4f46e5"
+                        strokeWidth={handleSize / 4}
+                      />
+                      {corners.map((corner, index) => (
+                        <circle
+                          key={index}
+                          cx={corner.x}
+                          cy={corner.y}
+                          r={handleSize}
+                          fill="#ffffff"
+                          stroke="#4f46e5"
+                          strokeWidth={handleSize / 4}
+                          className="cursor-move"
+                          onPointerDown={handlePointerDown(index)}
+                        />
+                      ))}
+                    </svg>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setRotation(rotation - 1)}
+                    className="p-2 rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                    title="Rotate left"
+                    disabled={isApplying}
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRotation(rotation + 1)}
+                    className="p-2 rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                    title="Rotate right"
+                    disabled={isApplying}
+                  >
+                    <RotateCw className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setCorners(fullImageCorners(source))}
+                    className="p-2 rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                    title="Select the whole image"
+                    disabled={isApplying}
+                  >
+                    <Maximize className="w-4 h-4" />
+                  </button>
+                  <label className="flex items-center text-sm text-gray-700 ml-2">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={isPerspective}
+                      onChange={togglePerspective}
+                      disabled={isApplying}
+                    />
+                    Perspective correction
+                  </label>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <span className="w-20">Contrast</span>
+                    <input
+                      type="range"
+                      min="0.5"
+                      max="2"
+                      step="0.05"
+                      value={contrast}
+                      onChange={(e) => setContrast(parseFloat(e.target.value))}
+                      className="flex-1 accent-indigo-600"
+                      disabled={isApplying}
+                    />
+                    <span className="w-12 text-right text-gray-500">{Math.round(contrast * 100)}%</span>
+                  </label>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={grayscale}
+                      onChange={(e) => setGrayscale(e.target.checked)}
+                      disabled={isApplying}
+                    />
+                    Grayscale
+                  </label>
+                </div>
+              </div>
+
+              <p className="mt-3 text-xs text-gray-500">
+                {isPerspective
+                  ? 'Drag each corner onto a corner of the page; the page will be straightened into a rectangle.'
+                  : 'Drag the corners to crop away the background.'}
+              </p>
+
+              {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+            </>
+          )}
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="button-secondary"
+              disabled={isApplying}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              className="button-primary"
+              disabled={!source || isApplying}
+            >
+              {isApplying ? (
+                <span className="flex items-center">
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Processing...
+                </span>
+              ) : 'Apply'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import {
   UserButton, 
   useUser 
 } from '@clerk/clerk-react';
+import BackgroundJobsTray from './BackgroundJobsTray';
 
 // DocTranslator Logo
 const DocTranslatorLogo = () => (
@@ -217,6 +218,10 @@ export default function Layout() {
         <Outlet />
       </main>
       
+      <SignedIn>
+        <BackgroundJobsTray />
+      </SignedIn>
+      
       <footer className="bg-white border-t border-gray-200 py-6">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex flex-col md:flex-row justify-between items-center">
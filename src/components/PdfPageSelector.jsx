@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef } from 'react';
+import { Loader2, Check } from 'lucide-react';
+import { loadPdfDocument, renderPdfPage } from '../utils/pdfDocument';
+import { parsePageRanges, formatPageRanges } from '../utils/pageRanges';
+
+// Thumbnail that renders its page only once it scrolls into view
+function PdfThumbnail({ pdf, pageNumber, isSelected, onToggle, disabled }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [isRendered, setIsRendered] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible || !canvasRef.current) return;
+
+    let cancelled = false;
+    renderPdfPage(pdf, pageNumber, canvasRef.current, { width: 110 })
+      .then(() => {
+        if (!cancelled) setIsRendered(true);
+      })
+      .catch(error => console.warn(`⚠️ Failed to render thumbnail for page ${pageNumber}:`, error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, pdf, pageNumber]);
+
+  return (
+    <button
+      ref={containerRef}
+      type="button"
+      onClick={() => onToggle(pageNumber)}
+      disabled={disabled}
+      className={`relative flex flex-col items-center p-1.5 rounded-lg border-2 transition-colors ${
+        isSelected ? 'border-indigo-500 bg-indigo-50' : 'border-transparent opacity-60 hover:opacity-100 hover:bg-gray-50'
+      }`}
+      title={`Page ${pageNumber}`}
+    >
+      <div className="w-[110px] min-h-[140px] flex items-center justify-center bg-white shadow-sm border border-gray-200">
+        {!isRendered && <Loader2 className="h-4 w-4 animate-spin text-gray-400 absolute" />}
+        <canvas ref={canvasRef} className={isRendered ? 'block' : 'invisible'} />
+      </div>
+      <span className="mt-1 text-xs text-gray-600">{pageNumber}</span>
+      {isSelected && (
+        <span className="absolute top-2 right-2 w-5 h-5 rounded-full bg-indigo-600 text-white flex items-center justify-center">
+          <Check className="w-3 h-3" />
+        </span>
+      )}
+    </button>
+  );
+}
+
+/**
+ * Lets the user choose which PDF pages to translate, either by clicking thumbnails
+ * or by typing ranges like "1-3, 7, 10-12". Calls onChange with the selected page
+ * numbers, or null when the whole document is selected.
+ */
+export default function PdfPageSelector({ file, selectedPages, onChange, disabled }) {
+  const [pdf, setPdf] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [rangeInput, setRangeInput] = useState('');
+  const [rangeError, setRangeError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadedPdf = null;
+
+    setIsLoading(true);
+    setLoadError(null);
+
+    loadPdfDocument(file)
+      .then(doc => {
+        loadedPdf = doc;
+        if (cancelled) {
+          doc.destroy();
+          return;
+        }
+        setPdf(doc);
+      })
+      .catch(error => {
+        console.error('❌ Failed to load PDF for page selection:', error);
+        if (!cancelled) setLoadError('Could not read the pages of this PDF.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      loadedPdf?.destroy();
+      setPdf(null);
+    };
+  }, [file]);
+
+  const numPages = pdf?.numPages || 0;
+  const isAllSelected = selectedPages === null;
+
+  // Keep the text field in sync with thumbnail clicks
+  useEffect(() => {
+    setRangeInput(isAllSelected ? (numPages > 0 ? `1-${numPages}` : '') : formatPageRanges(selectedPages));
+    setRangeError(null);
+  }, [selectedPages, isAllSelected, numPages]);
+
+  const applySelection = (pages) => {
+    onChange(pages.length === numPages ? null : pages);
+  };
+
+  const handleToggle = (pageNumber) => {
+    const current = isAllSelected
+      ? Array.from({ length: numPages }, (_, index) => index + 1)
+      : selectedPages;
+    const next = current.includes(pageNumber)
+      ? current.filter(page => page !== pageNumber)
+      : [...current, pageNumber].sort((a, b) => a - b);
+
+    if (next.length === 0) return; // At least one page must stay selected
+    applySelection(next);
+  };
+
+  const handleRangeSubmit = () => {
+    const { pages, error } = parsePageRanges(rangeInput, numPages);
+    if (error) {
+      setRangeError(error);
+      return;
+    }
+    applySelection(pages);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center text-sm text-gray-500 py-4">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin text-indigo-600" />
+        Loading page previews...
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return <p className="text-sm text-amber-700 py-2">{loadError} The whole document will be translated.</p>;
+  }
+
+  const selectedCount = isAllSelected ? numPages : selectedPages.length;
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3 mb-3">
+        <div className="flex-1">
+          <label htmlFor="pageRange" className="block text-sm font-medium text-gray-700 mb-1">
+            Pages to translate
+          </label>
+          <input
+            id="pageRange"
+            type="text"
+            className="form-input"
+            value={rangeInput}
+            onChange={(e) => setRangeInput(e.target.value)}
+            onBlur={handleRangeSubmit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleRangeSubmit();
+              }
+            }}
+            placeholder="e.g. 1-3, 7, 10-12"
+            disabled={disabled}
+          />
+        </div>
+        <div className="flex items-center gap-2 pb-1">
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+            disabled={disabled || isAllSelected}
+          >
+            Select all
+          </button>
+        </div>
+      </div>
+
+      {rangeError ? (
+        <p className="text-xs text-red-600 mb-2">{rangeError}</p>
+      ) : (
+        <p className="text-xs text-gray-500 mb-2">
+          {selectedCount} of {numPages} page{numPages !== 1 ? 's' : ''} selected
+        </p>
+      )}
+
+      <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 max-h-80 overflow-y-auto p-1 border border-gray-100 rounded-lg">
+        {Array.from({ length: numPages }, (_, index) => index + 1).map(pageNumber => (
+          <PdfThumbnail
+            key={pageNumber}
+            pdf={pdf}
+            pageNumber={pageNumber}
+            isSelected={isAllSelected || selectedPages.includes(pageNumber)}
+            onToggle={handleToggle}
+            disabled={disabled}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useState, useMemo } from 'react';
+import { Check, Loader2, Pencil, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { getSentenceSegments, alignSentences, normalizeSentence } from '../utils/sentenceAlignment';
+import { getTextBlocks, replaceTextRange } from '../utils/textRanges';
+import { findPageElements } from '../utils/translatedPages';
+
+const parseBody = (html) => new DOMParser().parseFromString(html || '', 'text/html').body;
+
+/**
+ * Source sentences next to their translations, aligned page by page from the
+ * history chunks ({ pageNumber, content, sourceContent }). Editing a translated
+ * sentence rewrites just that text in the document and passes the new HTML to onEdit.
+ */
+export default function SegmentAlignmentTable({ chunks, combinedContent, fromLang, toLang, direction, onEdit }) {
+  const [pageFilter, setPageFilter] = useState('all');
+  const [hoveredRowId, setHoveredRowId] = useState(null);
+  // { segment, text } while a translated sentence is being edited
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const pages = useMemo(() => (chunks || []).map(chunk => {
+    const source = chunk.sourceContent ? getSentenceSegments(parseBody(chunk.sourceContent), fromLang) : [];
+    const target = getSentenceSegments(parseBody(chunk.content), toLang)
+      .map(segment => ({ ...segment, pageNumber: chunk.pageNumber }));
+
+    return {
+      pageNumber: chunk.pageNumber,
+      rows: alignSentences(source, target).map((row, index) => ({ ...row, id: `${chunk.pageNumber}-${index}` }))
+    };
+  }), [chunks, fromLang, toLang]);
+
+  const hasSource = (chunks || []).some(chunk => chunk.sourceContent);
+  const visiblePages = pageFilter === 'all' ? pages : pages.filter(page => page.pageNumber === Number(pageFilter));
+  const rowCount = visiblePages.reduce((sum, page) => sum + page.rows.length, 0);
+
+  const handleSave = async () => {
+    const { segment } = editing;
+    const text = normalizeSentence(editing.text);
+    if (!text || text === segment.text) {
+      setEditing(null);
+      return;
+    }
+
+    // Rewrite the sentence in the full document, where it must still read as it did here
+    const body = parseBody(combinedContent);
+    const page = findPageElements(body).find(current => current.pageNumber === segment.pageNumber)?.element || body;
+    const block = getTextBlocks(page)[segment.blockIndex];
+    if (!block || normalizeSentence(block.textContent.slice(segment.start, segment.end)) !== segment.text) {
+      toast.error('This sentence could not be found in the document. Reload the page and try again.');
+      return;
+    }
+    replaceTextRange(block, segment.start, segment.end, text);
+
+    setIsSaving(true);
+    try {
+      await onEdit(body.innerHTML);
+      setEditing(null);
+      toast.success('Sentence updated');
+    } catch (error) {
+      toast.error(typeof error === 'string' ? error : 'The sentence could not be saved.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEditorKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      handleSave();
+    } else if (event.key === 'Escape') {
+      setEditing(null);
+    }
+  };
+
+  const renderTargetSegment = (segment) => {
+    const isEditing = editing?.segment === segment;
+    if (isEditing) {
+      return (
+        <div key={`${segment.blockIndex}-${segment.start}`} className="mb-1">
+          <textarea
+            value={editing.text}
+            onChange={(event) => setEditing(prev => ({ ...prev, text: event.target.value }))}
+            onKeyDown={handleEditorKeyDown}
+            disabled={isSaving}
+            autoFocus
+            rows={3}
+            dir={direction}
+            className="w-full border border-indigo-300 rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="flex justify-end gap-1">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              disabled={isSaving}
+              className="p-1 rounded hover:bg-gray-100 text-gray-600"
+              aria-label="Cancel"
+            >
+              <X size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving}
+              className="p-1 rounded hover:bg-indigo-50 text-indigo-700"
+              aria-label="Save sentence"
+            >
+              {isSaving ? <Loader2 size={14} className="animate-spin" /> : <Check size={14} />}
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <span
+        key={`${segment.blockIndex}-${segment.start}`}
+        onClick={() => !isSaving && setEditing({ segment, text: segment.text })}
+        title="Click to edit"
+        className="group cursor-text rounded hover:bg-indigo-100"
+      >
+        {segment.text}
+        <Pencil size={12} className="inline ml-1 text-indigo-400 opacity-0 group-hover:opacity-100" />{' '}
+      </span>
+    );
+  };
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600">
+        <span>{rowCount === 1 ? '1 segment' : `${rowCount} segments`}</span>
+        <label className="flex items-center gap-2">
+          Page
+          <select
+            value={pageFilter}
+            onChange={(event) => setPageFilter(event.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="all">All pages</option>
+            {pages.map(page => (
+              <option key={page.pageNumber} value={page.pageNumber}>Page {page.pageNumber}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!hasSource && (
+        <p className="mb-3 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3">
+          The original text is not available for this translation, so only the translated sentences are listed.
+        </p>
+      )}
+
+      <div className="max-h-[70vh] overflow-y-auto border rounded-lg">
+        <table className="w-full table-fixed text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 uppercase sticky top-0">
+            <tr>
+              <th className="w-16 px-3 py-2 text-left">Page</th>
+              <th className="px-3 py-2 text-left">Source</th>
+              <th className="px-3 py-2 text-left">Translation</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {visiblePages.flatMap(page => page.rows.map(row => {
+              const highlight = hoveredRowId === row.id ? 'bg-amber-50' : '';
+              return (
+                <tr key={row.id} className="align-top">
+                  <td className="px-3 py-2 text-xs text-gray-400">{page.pageNumber}</td>
+                  <td
+                    onMouseEnter={() => setHoveredRowId(row.id)}
+                    onMouseLeave={() => setHoveredRowId(null)}
+                    className={`px-3 py-2 text-gray-700 transition-colors ${highlight}`}
+                  >
+                    {row.source.length > 0
+                      ? row.source.map(segment => segment.text).join(' ')
+                      : <span className="text-gray-400 italic">No matching source sentence</span>}
+                  </td>
+                  <td
+                    onMouseEnter={() => setHoveredRowId(row.id)}
+                    onMouseLeave={() => setHoveredRowId(null)}
+                    className={`px-3 py-2 text-gray-900 transition-colors ${highlight}`}
+                    style={{ direction, textAlign: direction === 'rtl' ? 'right' : 'left' }}
+                  >
+                    {row.target.length > 0
+                      ? row.target.map(renderTargetSegment)
+                      : <span className="text-gray-400 italic">Not translated</span>}
+                  </td>
+                </tr>
+              );
+            }))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Bold, Heading2, Heading3, Italic, List, ListOrdered, Loader2, Pilcrow, Redo2, Save, Underline, Undo2, X
+} from 'lucide-react';
+import { toast } from 'sonner';
+import { getDraft, saveDraft, clearDraft } from '../utils/translationDrafts';
+
+const SNAPSHOT_DELAY = 400; // Typing within this time is undone as one step
+const MAX_HISTORY = 100;
+
+const TOOLBAR_BUTTONS = [
+  { label: 'Bold', icon: Bold, command: 'bold' },
+  { label: 'Italic', icon: Italic, command: 'italic' },
+  { label: 'Underline', icon: Underline, command: 'underline' },
+  { label: 'Heading', icon: Heading2, command: 'formatBlock', value: 'H2' },
+  { label: 'Subheading', icon: Heading3, command: 'formatBlock', value: 'H3' },
+  { label: 'Paragraph', icon: Pilcrow, command: 'formatBlock', value: 'P' },
+  { label: 'Bulleted list', icon: List, command: 'insertUnorderedList' },
+  { label: 'Numbered list', icon: ListOrdered, command: 'insertOrderedList' }
+];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Edits translated HTML in place. The document keeps its structure (headings,
+ * lists, tables); edits can be undone step by step and are kept as a draft in
+ * this browser until onSave(html) resolves.
+ */
+export default function TranslationEditor({ processId, html, direction, onSave, onCancel }) {
+  const editorRef = useRef(null);
+  // The content as the browser serializes it, to tell real edits from markup normalization
+  const originalRef = useRef(html);
+  const historyRef = useRef({ stack: [html], index: 0 });
+  const snapshotTimeoutRef = useRef(null);
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [pendingDraft, setPendingDraft] = useState(() => {
+    const draft = getDraft(processId);
+    return draft && draft.html !== html ? draft : null;
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Seeded once from the html the editor mounted with (callers remount it per job with a key);
+  // later changes come from the editor itself
+  useEffect(() => {
+    editorRef.current.innerHTML = originalRef.current;
+    originalRef.current = editorRef.current.innerHTML;
+    historyRef.current = { stack: [originalRef.current], index: 0 };
+  }, []);
+
+  useEffect(() => () => clearTimeout(snapshotTimeoutRef.current), []);
+
+  const updateHistoryState = () => {
+    const { stack, index } = historyRef.current;
+    setHistoryState({ canUndo: index > 0, canRedo: index < stack.length - 1 });
+  };
+
+  const autosave = (content) => {
+    if (content === originalRef.current) {
+      clearDraft(processId);
+      setDraftSavedAt(null);
+      return;
+    }
+    setDraftSavedAt(saveDraft(processId, content)?.savedAt || null);
+  };
+
+  // Record the editor's content as an undo step, if it changed
+  const commitSnapshot = () => {
+    clearTimeout(snapshotTimeoutRef.current);
+    const content = editorRef.current.innerHTML;
+    const history = historyRef.current;
+    if (content === history.stack[history.index]) return;
+
+    const stack = [...history.stack.slice(0, history.index + 1), content].slice(-MAX_HISTORY);
+    historyRef.current = { stack, index: stack.length - 1 };
+    updateHistoryState();
+    autosave(content);
+  };
+
+  const applySnapshot = (index) => {
+    const content = historyRef.current.stack[index];
+    editorRef.current.innerHTML = content;
+    historyRef.current = { ...historyRef.current, index };
+    updateHistoryState();
+    autosave(content);
+  };
+
+  const handleUndo = () => {
+    commitSnapshot();
+    if (historyRef.current.index > 0) applySnapshot(historyRef.current.index - 1);
+  };
+
+  const handleRedo = () => {
+    commitSnapshot();
+    const { stack, index } = historyRef.current;
+    if (index < stack.length - 1) applySnapshot(index + 1);
+  };
+
+  const handleInput = () => {
+    clearTimeout(snapshotTimeoutRef.current);
+    snapshotTimeoutRef.current = setTimeout(commitSnapshot, SNAPSHOT_DELAY);
+  };
+
+  const runCommand = (command, value) => {
+    editorRef.current.focus();
+    document.execCommand(command, false, value);
+    commitSnapshot();
+  };
+
+  // The browser's own undo does not know about restored snapshots, so use ours
+  const handleKeyDown = (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      event.preventDefault();
+      if (key === 'y' || event.shiftKey) handleRedo();
+      else handleUndo();
+    }
+  };
+
+  // Pasted formatting from other programs would not survive export, so paste text only
+  const handlePaste = (event) => {
+    event.preventDefault();
+    document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+  };
+
+  const restoreDraft = () => {
+    editorRef.current.innerHTML = pendingDraft.html;
+    commitSnapshot();
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearDraft(processId);
+    setPendingDraft(null);
+  };
+
+  const handleSave = async () => {
+    commitSnapshot();
+    setIsSaving(true);
+    try {
+      await onSave(editorRef.current.innerHTML);
+      clearDraft(processId);
+    } catch (error) {
+      toast.error(typeof error === 'string' ? error : error.message || 'The edited translation could not be saved.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCancel = () => {
+    commitSnapshot();
+    if (editorRef.current.innerHTML !== originalRef.current && !window.confirm('Discard your edits to this translation?')) {
+      return;
+    }
+    clearDraft(processId);
+    onCancel();
+  };
+
+  return (
+    <div>
+      {pendingDraft && (
+        <div className="mb-3 bg-amber-50 p-3 rounded-lg border border-amber-200 flex flex-wrap items-center justify-between gap-2 text-sm text-amber-800">
+          <span>You have unsaved edits from {new Date(pendingDraft.savedAt).toLocaleString()}.</span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={restoreDraft}
+              className="px-3 py-1 rounded-md bg-amber-600 text-white hover:bg-amber-700"
+            >
+              Restore
+            </button>
+            <button
+              type="button"
+              onClick={discardDraft}
+              className="px-3 py-1 rounded-md border border-amber-300 hover:bg-amber-100"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-1 p-2 border border-b-0 rounded-t-lg bg-gray-50">
+        <button
+          type="button"
+          onMouseDown={(event) => event.preventDefault()}
+          onClick={handleUndo}
+          disabled={!historyState.canUndo}
+          className="p-1.5 rounded hover:bg-gray-200 disabled:opacity-30"
+          title="Undo (Ctrl+Z)"
+          aria-label="Undo"
+        >
+          <Undo2 size={16} />
+        </button>
+        <button
+          type="button"
+          onMouseDown={(event) => event.preventDefault()}
+          onClick={handleRedo}
+          disabled={!historyState.canRedo}
+          className="p-1.5 rounded hover:bg-gray-200 disabled:opacity-30"
+          title="Redo (Ctrl+Shift+Z)"
+          aria-label="Redo"
+        >
+          <Redo2 size={16} />
+        </button>
+        <span className="mx-1 h-5 border-l border-gray-300" />
+        {TOOLBAR_BUTTONS.map(({ label, icon: Icon, command, value }) => (
+          <button
+            key={label}
+            type="button"
+            // Keep the selection in the editor when the button is pressed
+            onMouseDown={(event) => event.preventDefault()}
+            onClick={() => runCommand(command, value)}
+            className="p-1.5 rounded hover:bg-gray-200"
+            title={label}
+            aria-label={label}
+          >
+            <Icon size={16} />
+          </button>
+        ))}
+
+        <span className="ml-auto text-xs text-gray-500">
+          {draftSavedAt ? `Draft saved at ${formatTime(draftSavedAt)}` : 'No unsaved edits'}
+        </span>
+      </div>
+
+      <div
+        ref={editorRef}
+        contentEditable
+        suppressContentEditableWarning
+        onInput={handleInput}
+        onBlur={commitSnapshot}
+        onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
+        className="document-preview p-6 border rounded-b-lg bg-white min-h-[300px] focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        style={{
+          direction,
+          textAlign: direction === 'rtl' ? 'right' : 'left',
+          fontFamily: direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+        }}
+      />
+
+      <div className="mt-3 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={handleCancel}
+          disabled={isSaving}
+          className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <X size={16} />
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center gap-2 px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isSaving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+          {isSaving ? 'Saving...' : 'Save changes'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { AlertTriangle, ChevronLeft, ChevronRight, Clock, Loader2 } from 'lucide-react';
+
+const PAGE_BUTTON_STYLES = {
+  done: 'bg-green-50 text-green-800 border-green-200 hover:bg-green-100',
+  translating: 'bg-indigo-50 text-indigo-700 border-indigo-200 animate-pulse',
+  waiting: 'bg-gray-50 text-gray-400 border-gray-200',
+  failed: 'bg-red-50 text-red-700 border-red-200 hover:bg-red-100'
+};
+
+const PAGE_STATE_LABELS = {
+  done: 'Done',
+  translating: 'Translating',
+  waiting: 'Waiting',
+  failed: 'Failed'
+};
+
+/**
+ * Reads a translation page by page while it is still running. Each page shows
+ * its state (done, translating, waiting or failed); finished pages can be read
+ * as soon as they arrive, whatever is still in progress.
+ */
+export default function TranslationPageReader({ pages, direction }) {
+  const [selectedPage, setSelectedPage] = useState(1);
+  const page = pages.find(current => current.pageNumber === selectedPage) || pages[0];
+  const doneCount = pages.filter(current => current.status === 'done').length;
+  const failedCount = pages.filter(current => current.status === 'failed').length;
+
+  if (!page) return null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3 text-sm text-gray-600">
+        <span>
+          {doneCount} of {pages.length} pages ready
+          {failedCount > 0 && <span className="text-red-600"> • {failedCount} failed</span>}
+        </span>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setSelectedPage(page.pageNumber - 1)}
+            disabled={page.pageNumber <= 1}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+            aria-label="Previous page"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span className="px-1">Page {page.pageNumber} of {pages.length}</span>
+          <button
+            type="button"
+            onClick={() => setSelectedPage(page.pageNumber + 1)}
+            disabled={page.pageNumber >= pages.length}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+            aria-label="Next page"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-1.5 mb-4 max-h-24 overflow-y-auto" role="tablist" aria-label="Pages">
+        {pages.map(current => (
+          <button
+            key={current.pageNumber}
+            type="button"
+            role="tab"
+            aria-selected={current.pageNumber === page.pageNumber}
+            onClick={() => setSelectedPage(current.pageNumber)}
+            title={`Page ${current.pageNumber}: ${PAGE_STATE_LABELS[current.status]}`}
+            className={`min-w-8 h-8 px-1.5 text-xs font-medium rounded border ${PAGE_BUTTON_STYLES[current.status]} ${
+              current.pageNumber === page.pageNumber ? 'ring-2 ring-indigo-500 ring-offset-1' : ''
+            }`}
+          >
+            {current.pageNumber}
+          </button>
+        ))}
+      </div>
+
+      {page.status === 'done' && (
+        <div
+          className="document-preview p-6 border rounded-lg bg-white"
+          style={{
+            direction,
+            textAlign: direction === 'rtl' ? 'right' : 'left',
+            fontFamily: direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+          }}
+          dangerouslySetInnerHTML={{ __html: page.html }}
+        />
+      )}
+
+      {page.status === 'failed' && (
+        <div className="bg-red-50 p-4 rounded-lg border border-red-100 flex items-start">
+          <AlertTriangle className="h-5 w-5 text-red-500 shrink-0" />
+          <p className="ml-3 text-sm text-red-700">
+            Page {page.pageNumber} failed: {page.error}
+          </p>
+        </div>
+      )}
+
+      {page.status === 'translating' && (
+        <div className="p-10 border rounded-lg bg-indigo-50 flex items-center justify-center text-sm text-indigo-700">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Translating page {page.pageNumber}...
+        </div>
+      )}
+
+      {page.status === 'waiting' && (
+        <div className="p-10 border rounded-lg bg-gray-50 flex items-center justify-center text-sm text-gray-500">
+          <Clock className="h-4 w-4 mr-2" />
+          Page {page.pageNumber} is waiting to be translated
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,332 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FileText, Loader2, AlertTriangle, CreditCard, RefreshCw, History, Clock } from 'lucide-react';
+import { balanceService, documentService } from '../services/api';
+import { countPagesForFiles } from '../utils/pageCount';
+import { hashFile } from '../utils/fileHash';
+import { formatPageRanges } from '../utils/pageRanges';
+import { getFileType, estimateDuration } from '../utils/throughputStats';
+import { formatDuration } from '../utils/transferStats';
+import { getLanguageLabel } from '../constants/languages';
+import PurchasePages from './PurchasePages';
+
+// Look up completed translations of the same contents, language pair and pages for every
+// file and target language
+const findEarlierTranslations = async (files, pageSelections, targets) => {
+  const found = [];
+
+  for (const [fileIndex, file] of files.entries()) {
+    const { fromLang, toLangs } = targets[fileIndex];
+    const selection = pageSelections?.[fileIndex];
+    const pageRange = selection ? formatPageRanges(selection) : null;
+    const fileHash = await hashFile(file);
+
+    for (const toLang of toLangs) {
+      const translation = await documentService.findTranslationByHash(fileHash, { fromLang, toLang, pageRange });
+      if (translation?.status === 'completed') {
+        found.push({ fileIndex, toLang, translation });
+      }
+    }
+  }
+
+  return found;
+};
+
+// Expected translation time from earlier jobs' pace. Target languages of a file run side
+// by side, so a file takes as long as its slowest target; files are added up.
+// Returns null before any translation has been timed.
+const estimateTranslationTime = (files, pageCounts, targets, billedTargets) => {
+  let total = 0;
+
+  for (const [fileIndex, file] of files.entries()) {
+    const durations = billedTargets(fileIndex).map(toLang => estimateDuration(pageCounts[fileIndex].pages, {
+      fileType: getFileType(file),
+      fromLang: targets[fileIndex].fromLang,
+      toLang
+    }));
+    if (durations.some(duration => !duration)) return null;
+    total += Math.max(0, ...durations.map(duration => duration.seconds));
+  }
+
+  return total;
+};
+
+/**
+ * Confirmation step shown before files are uploaded: counts the pages that will be
+ * billed and compares them with the user's balance. Submission is blocked while the
+ * balance is too low.
+ *
+ * targets holds { fromLang, toLangs } per file; every target language is billed
+ * separately, and targets that were already translated can be reused for free.
+ * onConfirm receives the page counts and the reused translations.
+ */
+export default function TranslationPreflight({ files, pageSelections, targets, onConfirm, onCancel }) {
+  const [pageCounts, setPageCounts] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [balanceError, setBalanceError] = useState(null);
+  const [isRefreshingBalance, setIsRefreshingBalance] = useState(false);
+  const [duplicates, setDuplicates] = useState(null);
+  const [reuseExisting, setReuseExisting] = useState(true);
+
+  const fetchBalance = useCallback(async () => {
+    setIsRefreshingBalance(true);
+    try {
+      const balanceData = await balanceService.getBalance();
+      setBalance(balanceData);
+      setBalanceError(null);
+    } catch (error) {
+      setBalanceError('Failed to load balance');
+    } finally {
+      setIsRefreshingBalance(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    countPagesForFiles(files).then(counts => {
+      if (!cancelled) {
+        // A page selection bills exactly the chosen pages
+        setPageCounts(counts.map((count, index) => {
+          const selection = pageSelections?.[index];
+          return selection ? { ...count, pages: selection.length, isEstimate: false, isSelection: true } : count;
+        }));
+      }
+    });
+    fetchBalance();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [files, pageSelections, fetchBalance]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    findEarlierTranslations(files, pageSelections, targets)
+      .catch(error => {
+        console.warn('⚠️ Duplicate check failed, continuing without it:', error);
+        return [];
+      })
+      .then(found => {
+        if (!cancelled) setDuplicates(found);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [files, pageSelections, targets]);
+
+  // Short delay to allow the backend to record the purchase
+  const handlePurchaseSuccess = () => {
+    setTimeout(fetchBalance, 500);
+  };
+
+  const isCounting = pageCounts === null;
+  const isCheckingDuplicates = duplicates === null;
+  const reused = reuseExisting && duplicates ? duplicates : [];
+  const billedTargets = (fileIndex) => targets[fileIndex].toLangs
+    .filter(toLang => !reused.some(item => item.fileIndex === fileIndex && item.toLang === toLang));
+
+  const totalPages = isCounting ? 0 : pageCounts.reduce((sum, count, index) => sum + count.pages * billedTargets(index).length, 0);
+  const hasEstimates = !isCounting && pageCounts.some(count => count.isEstimate);
+  const availablePages = balance?.pagesBalance ?? null;
+  const remainingPages = availablePages !== null ? availablePages - totalPages : null;
+  const isBalanceTooLow = remainingPages !== null && remainingPages < 0;
+  const isReusingEverything = reused.length > 0 && totalPages === 0;
+  const canConfirm = !isCounting && !isCheckingDuplicates &&
+    (isReusingEverything || (availablePages !== null && !isBalanceTooLow));
+  const estimatedSeconds = isCounting ? null : estimateTranslationTime(files, pageCounts, targets, billedTargets);
+  const showTargetBreakdown = files.length === 1 && targets[0].toLangs.length > 1;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-lg overflow-hidden">
+        <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-4">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-white">Confirm Translation</h2>
+              <p className="text-indigo-200 text-sm">Review the pages that will be billed</p>
+            </div>
+            <button
+              onClick={onCancel}
+              className="text-white hover:text-indigo-200"
+            >
+              &times;
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6">
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg mb-4 max-h-60 overflow-y-auto">
+            {files.map((file, index) => (
+              <li key={`${file.name}-${index}`} className="flex items-center justify-between p-3">
+                <div className="flex items-center min-w-0">
+                  <FileText className="w-4 h-4 text-indigo-600 mr-2 shrink-0" />
+                  <span className="text-sm text-gray-800 truncate" title={file.name}>{file.name}</span>
+                </div>
+                <span className="text-sm text-gray-600 ml-3 whitespace-nowrap">
+                  {isCounting ? (
+                    <Loader2 className="h-4 w-4 animate-spin text-indigo-600" />
+                  ) : (
+                    <>
+                      {pageCounts[index].pages} page{pageCounts[index].pages !== 1 ? 's' : ''}
+                      {pageCounts[index].isEstimate && ' (est.)'}
+                      {pageCounts[index].isSelection && ' selected'}
+                    </>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+            {showTargetBreakdown && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Target languages</span>
+                <span className="text-gray-800">
+                  {isCounting ? '—' : `${pageCounts[0].pages} page${pageCounts[0].pages !== 1 ? 's' : ''} × ${billedTargets(0).length}`}
+                </span>
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span className="text-gray-600">Pages billed</span>
+              <span className="font-semibold text-gray-800">
+                {isCounting ? 'Counting…' : totalPages}
+              </span>
+            </div>
+            {estimatedSeconds !== null && totalPages > 0 && (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-600 flex items-center">
+                  <Clock className="h-4 w-4 mr-1 text-indigo-600" />
+                  Estimated time
+                </span>
+                <span className="text-gray-800" title="Based on how long your earlier translations of similar files took">
+                  about {formatDuration(estimatedSeconds)}
+                </span>
+              </div>
+            )}
+            <div className="flex justify-between items-center">
+              <span className="text-gray-600 flex items-center">
+                <CreditCard className="h-4 w-4 mr-1 text-indigo-600" />
+                Available pages
+              </span>
+              <span className="flex items-center font-semibold text-gray-800">
+                {balanceError ? (
+                  <span className="text-red-600 font-normal">{balanceError}</span>
+                ) : availablePages === null ? 'Loading…' : availablePages}
+                <button
+                  onClick={fetchBalance}
+                  disabled={isRefreshingBalance}
+                  className="ml-2 p-1 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-50"
+                  title="Refresh balance"
+                >
+                  <RefreshCw className={`h-3 w-3 ${isRefreshingBalance ? 'animate-spin' : ''}`} />
+                </button>
+              </span>
+            </div>
+            <div className="flex justify-between border-t border-gray-200 pt-2">
+              <span className="text-gray-600">Balance after translation</span>
+              <span className={`font-semibold ${isBalanceTooLow ? 'text-red-600' : 'text-indigo-700'}`}>
+                {isCounting || remainingPages === null ? '—' : remainingPages}
+              </span>
+            </div>
+          </div>
+
+          {hasEstimates && (
+            <p className="mt-2 text-xs text-gray-500">
+              Some page counts are estimated. You are billed for the pages the server processes.
+            </p>
+          )}
+
+          {isCheckingDuplicates && (
+            <p className="mt-2 text-xs text-gray-500 flex items-center">
+              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+              Checking for earlier translations of {files.length > 1 ? 'these documents' : 'this document'}…
+            </p>
+          )}
+
+          {duplicates?.length > 0 && (
+            <div className="mt-4 bg-green-50 p-4 rounded-lg border border-green-100">
+              <div className="flex items-start">
+                <History className="h-5 w-5 text-green-600 shrink-0 mt-0.5" />
+                <div className="ml-3 flex-1">
+                  <h3 className="text-sm font-medium text-green-800">Already translated</h3>
+                  <ul className="mt-1 text-sm text-green-700 space-y-1">
+                    {duplicates.map(({ fileIndex, toLang, translation }) => (
+                      <li key={`${fileIndex}-${toLang}`}>
+                        {files[fileIndex].name} → {getLanguageLabel(toLang)}
+                        {translation.createdAt && ` on ${new Date(translation.createdAt).toLocaleDateString()}`}
+                        {' '}
+                        <Link to={`/view/${translation.processId}`} className="font-medium underline hover:text-green-900">
+                          Open
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                  <label className="mt-2 flex items-center text-sm text-green-800">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={reuseExisting}
+                      onChange={(e) => setReuseExisting(e.target.checked)}
+                    />
+                    Reuse {duplicates.length > 1 ? 'these translations' : 'this translation'} instead of paying again
+                  </label>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {balance?.isDefault && (
+            <p className="mt-2 text-xs text-red-600">
+              Using default balance. Please sign in again.
+            </p>
+          )}
+
+          {isBalanceTooLow && !isReusingEverything && (
+            <div className="mt-4 bg-red-50 p-4 rounded-lg border border-red-100">
+              <div className="flex items-start">
+                <AlertTriangle className="h-5 w-5 text-red-500 shrink-0 mt-0.5" />
+                <div className="ml-3 flex-1">
+                  <h3 className="text-sm font-medium text-red-800">Not enough pages</h3>
+                  <p className="mt-1 text-sm text-red-700">
+                    You need {-remainingPages} more page{remainingPages !== -1 ? 's' : ''} to translate {files.length > 1 ? 'these documents' : 'this document'}.
+                  </p>
+                  <div className="mt-3">
+                    <PurchasePages
+                      onSuccess={handlePurchaseSuccess}
+                      className="text-sm px-3 py-1.5"
+                    />
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="button-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => onConfirm(pageCounts, reused)}
+              className="button-primary"
+              disabled={!canConfirm}
+            >
+              {isCounting
+                ? 'Counting pages…'
+                : isReusingEverything
+                  ? `Use Existing Translation${reused.length > 1 ? 's' : ''}`
+                  : `Translate ${totalPages} page${totalPages !== 1 ? 's' : ''}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import { useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Copy, Check, ExternalLink, FileText, History, Loader2, X, AlertTriangle } from 'lucide-react';
+import { toast } from 'sonner';
+import DocumentDownloadButton from './DocumentDownloadButton';
+import { getLanguageLabel } from '../constants/languages';
+import { formatBytes, formatDuration } from '../utils/transferStats';
+import { copyElementToClipboard } from '../utils/clipboard';
+import { ACTIVE_JOB_STATES } from '../services/jobStateMachine';
+
+// Note on a target that was translated before, with a link to the earlier result
+function ReusedTranslationNote({ job }) {
+  return (
+    <div className="mb-4 flex items-center justify-between gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm text-gray-700">
+      <span className="flex items-center">
+        <History className="h-4 w-4 mr-2 text-indigo-600 shrink-0" />
+        {job.loadError || 'Translated earlier, so nothing was billed for this language.'}
+      </span>
+      <Link to={`/view/${job.processId}`} className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 whitespace-nowrap">
+        Open
+        <ExternalLink className="h-3 w-3" />
+      </Link>
+    </div>
+  );
+}
+
+// Result panel for one target language
+function TranslationResultPanel({ job, fileName }) {
+  const [isCopied, setIsCopied] = useState(false);
+  const contentRef = useRef(null);
+
+  const handleCopyText = async () => {
+    if (!contentRef.current) return;
+
+    try {
+      const format = await copyElementToClipboard(contentRef.current);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+      toast.success(format === 'html' ? 'Text copied to clipboard with formatting!' : 'Text copied to clipboard (plain text only)');
+    } catch (err) {
+      toast.error('Failed to copy text to clipboard');
+    }
+  };
+
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    const { cancellation } = job;
+    return (
+      <div className="bg-red-50 p-4 rounded-lg border border-red-100 flex items-start">
+        <AlertTriangle className="h-5 w-5 text-red-500 shrink-0" />
+        <p className="ml-3 text-sm text-red-700">
+          {job.status === 'cancelled'
+            ? cancellation
+              ? `Translation cancelled after ${cancellation.pagesProcessed} of ${cancellation.totalPages} pages. ${cancellation.pagesBilled} billed.`
+              : 'Translation cancelled'
+            : job.error || 'Translation failed. Please try again.'}
+        </p>
+      </div>
+    );
+  }
+
+  if (job.isReused && !job.translatedText) {
+    return (
+      <div>
+        <ReusedTranslationNote job={job} />
+        {!job.loadError && (
+          <p className="flex items-center text-sm text-gray-600">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin text-indigo-600" />
+            Loading the earlier translation...
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (!job.translatedText) {
+    return (
+      <div className="bg-indigo-50 p-4 rounded-lg">
+        <div className="flex justify-between text-sm text-gray-700 mb-2">
+          <span className="flex items-center">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin text-indigo-600" />
+            {job.status === 'uploading' ? 'Waiting for upload...' : job.status === 'pending' ? 'Initializing translation...' : 'Translating...'}
+          </span>
+          <span className="font-medium">{Math.round(job.progress)}%</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-600 transition-all duration-300 ease-out"
+            style={{ width: `${job.progress}%` }}
+          />
+        </div>
+        {job.totalPages > 0 && (
+          <p className="mt-2 text-xs text-indigo-700 text-right">
+            Page {job.currentPage} of {job.totalPages}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {job.isReused && <ReusedTranslationNote job={job} />}
+      <div className="mb-4 flex justify-end gap-2">
+        <button
+          onClick={handleCopyText}
+          className="flex items-center gap-2 px-3 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+        >
+          {isCopied ? <Check size={16} /> : <Copy size={16} />}
+          {isCopied ? "Copied" : "Copy Text"}
+        </button>
+        <DocumentDownloadButton
+          text={job.translatedText}
+          language={job.toLang}
+          onError={(error) => toast.error(error)}
+          onSuccess={() => toast.success('Document downloaded successfully!')}
+          disabled={!job.translatedText}
+          className="flex items-center gap-2"
+        />
+      </div>
+
+      <div
+        ref={contentRef}
+        className="document-preview p-6 border rounded-lg bg-white"
+        style={{
+          direction: job.direction,
+          textAlign: job.direction === 'rtl' ? 'right' : 'left',
+          fontFamily: job.direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+        }}
+        dangerouslySetInnerHTML={{ __html: job.translatedText }}
+      />
+
+      <div className="mt-2 text-xs text-gray-500 text-right flex items-center justify-end gap-2">
+        <FileText className="h-3 w-3" />
+        Original file: {fileName}
+        {job.detectedLanguage && ` • Detected ${getLanguageLabel(job.detectedLanguage)}`}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Progress and results of one document translated into several languages.
+ * The file is uploaded once; afterwards each target has its own tab.
+ */
+export default function TranslationResultTabs({ fileName, uploadProgress, jobs, onCancel, isCancelling }) {
+  const [activeLang, setActiveLang] = useState(jobs[0]?.toLang);
+  const activeJob = jobs.find(job => job.toLang === activeLang) || jobs[0];
+  const isUploading = jobs.some(job => job.status === 'uploading');
+  const isActive = jobs.some(job => ACTIVE_JOB_STATES.includes(job.status));
+  const completedCount = jobs.filter(job => job.status === 'completed').length;
+  const uploadedCount = jobs.filter(job => !job.isReused).length;
+
+  return (
+    <div className="mt-8 border-t pt-6">
+      <div className="mb-4 flex justify-between items-center gap-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <FileText className="h-5 w-5 mr-2 text-indigo-600" />
+          Translated Documents
+        </h2>
+        <div className="flex items-center gap-3 text-sm text-gray-600">
+          {completedCount} of {jobs.length} complete
+          {isActive && (
+            <button
+              onClick={onCancel}
+              disabled={isCancelling}
+              className="p-1 rounded-full hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
+              aria-label="Cancel translations"
+            >
+              {isCancelling ? <Loader2 size={16} className="animate-spin" /> : <X size={16} />}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isUploading && (
+        <div className="mb-4 bg-indigo-50 p-4 rounded-lg">
+          <div className="flex justify-between text-sm text-gray-700 mb-2">
+            <span className="flex items-center">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin text-indigo-600" />
+              {uploadProgress?.isRetrying
+                ? 'Connection lost, resuming upload...'
+                : uploadProgress
+                  ? `Uploading ${formatBytes(uploadProgress.bytesSent)} of ${formatBytes(uploadProgress.totalBytes)}`
+                  : 'Preparing upload...'}
+            </span>
+            <span className="font-medium">{Math.round(uploadProgress?.percent || 0)}%</span>
+          </div>
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-600 transition-all duration-300 ease-out"
+              style={{ width: `${uploadProgress?.percent || 0}%` }}
+            />
+          </div>
+          {uploadProgress && (
+            <p className="mt-2 text-xs text-indigo-700 italic">
+              {formatBytes(uploadProgress.bytesPerSecond)}/s • {formatDuration(uploadProgress.etaSeconds)} left •
+              uploaded once for {uploadedCount} language{uploadedCount !== 1 ? 's' : ''}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex border-b border-gray-200 mb-4 overflow-x-auto" role="tablist">
+        {jobs.map(job => (
+          <button
+            key={job.toLang}
+            role="tab"
+            aria-selected={job.toLang === activeJob.toLang}
+            onClick={() => setActiveLang(job.toLang)}
+            className={`flex items-center px-4 py-2 text-sm font-medium border-b-2 -mb-px whitespace-nowrap ${
+              job.toLang === activeJob.toLang
+                ? 'border-indigo-600 text-indigo-700'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {getLanguageLabel(job.toLang)}
+            {ACTIVE_JOB_STATES.includes(job.status) && <Loader2 className="h-3 w-3 ml-2 animate-spin" />}
+            {job.status === 'completed' && <Check className="h-3 w-3 ml-2 text-green-600" />}
+            {(job.status === 'failed' || job.status === 'cancelled') && <X className="h-3 w-3 ml-2 text-red-500" />}
+          </button>
+        ))}
+      </div>
+
+      {activeJob && <TranslationResultPanel key={activeJob.toLang} job={activeJob} fileName={fileName} />}
+    </div>
+  );
+}
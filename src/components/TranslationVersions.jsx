@@ -0,0 +1,230 @@
+import { useState, useEffect, useMemo } from 'react';
+import { GitCompare, History, Loader2, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+import { historyService } from '../services/api';
+import { diffHtml, renderInlineDiff, renderSideBySideDiff } from '../utils/htmlDiff';
+
+const describeVersion = (version) => {
+  switch (version.kind) {
+    case 'machine':
+      return 'Machine translation';
+    case 'edit':
+      return 'Edited';
+    case 'retranslation':
+      return 'Pages translated again';
+    case 'restore':
+      return `Restored version ${version.restoredFrom}`;
+    default:
+      return 'Updated';
+  }
+};
+
+const describeAuthor = (version) => {
+  if (version.kind === 'machine' || version.kind === 'retranslation') return 'by the translation service';
+  return `by ${version.author?.name || version.author?.email || 'an unknown user'}`;
+};
+
+/**
+ * Versions of a translation (machine output, saved edits, re-translations and
+ * restores) with a word-level diff between any two, and restoring an earlier one.
+ * Reloads whenever currentContent changes, so new saves show up right away.
+ */
+export default function TranslationVersions({ processId, currentContent, direction, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [comparison, setComparison] = useState({ fromId: null, toId: null });
+  const [diffMode, setDiffMode] = useState('inline');
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setIsLoading(true);
+
+    historyService.getTranslationVersions(processId)
+      .then((loadedVersions) => {
+        if (isCancelled) return;
+        setVersions(loadedVersions);
+        // Compare the current version with the one before it
+        const latest = loadedVersions[loadedVersions.length - 1];
+        const previous = loadedVersions[loadedVersions.length - 2] || latest;
+        setComparison({ fromId: previous?.versionId || null, toId: latest?.versionId || null });
+      })
+      .catch(() => {
+        if (!isCancelled) toast.error('Failed to load the version history');
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [processId, currentContent]);
+
+  const fromVersion = versions.find(version => version.versionId === comparison.fromId);
+  const toVersion = versions.find(version => version.versionId === comparison.toId);
+  const latestVersion = versions[versions.length - 1];
+
+  const diff = useMemo(() => {
+    if (!fromVersion || !toVersion || fromVersion === toVersion) return null;
+    const { ops, insertedWords, deletedWords } = diffHtml(fromVersion.content, toVersion.content);
+    return {
+      insertedWords,
+      deletedWords,
+      inlineHtml: diffMode === 'inline' ? renderInlineDiff(ops) : null,
+      sideBySide: diffMode === 'side-by-side' ? renderSideBySideDiff(ops) : null
+    };
+  }, [fromVersion, toVersion, diffMode]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.number}? The current content stays available as an earlier version.`)) {
+      return;
+    }
+
+    setRestoringId(version.versionId);
+    try {
+      const restored = await historyService.restoreTranslationVersion(processId, version.versionId);
+      onRestored(restored);
+      toast.success(`Version ${version.number} restored`);
+    } catch (error) {
+      toast.error(typeof error === 'string' ? error : 'The version could not be restored.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const previewStyle = {
+    direction,
+    textAlign: direction === 'rtl' ? 'right' : 'left',
+    fontFamily: direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+  };
+
+  const versionSelect = (value, onChange) => (
+    <select
+      value={value || ''}
+      onChange={(event) => onChange(event.target.value)}
+      className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+    >
+      {versions.map(version => (
+        <option key={version.versionId} value={version.versionId}>
+          Version {version.number}: {describeVersion(version)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-md overflow-hidden border border-gray-200">
+      <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+          <History className="mr-2 h-5 w-5 text-indigo-600" />
+          Version History
+        </h2>
+      </div>
+
+      <div className="p-6">
+        {isLoading ? (
+          <div className="flex items-center text-sm text-gray-500">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Loading versions...
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="text-sm text-gray-500">No versions have been recorded for this translation.</p>
+        ) : (
+          <>
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {[...versions].reverse().map(version => (
+                <li key={version.versionId} className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      Version {version.number}: {describeVersion(version)}
+                      {version === latestVersion && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Current
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {describeAuthor(version)} • {new Date(version.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {version !== latestVersion && (
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setComparison({ fromId: version.versionId, toId: latestVersion.versionId })}
+                        className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                      >
+                        <GitCompare size={14} />
+                        Compare with current
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(version)}
+                        disabled={Boolean(restoringId)}
+                        className="flex items-center gap-1 px-2 py-1 text-xs border border-indigo-300 rounded-md text-indigo-700 hover:bg-indigo-50 disabled:opacity-50"
+                      >
+                        {restoringId === version.versionId ? <Loader2 size={14} className="animate-spin" /> : <RotateCcw size={14} />}
+                        Restore
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {versions.length > 1 && (
+              <div className="mt-6">
+                <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-700">
+                  <GitCompare className="h-4 w-4 text-indigo-600" />
+                  Compare
+                  {versionSelect(comparison.fromId, fromId => setComparison(prev => ({ ...prev, fromId })))}
+                  with
+                  {versionSelect(comparison.toId, toId => setComparison(prev => ({ ...prev, toId })))}
+                  <div className="ml-auto flex rounded-md border border-gray-300 overflow-hidden">
+                    {[['inline', 'Inline'], ['side-by-side', 'Side by side']].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        type="button"
+                        onClick={() => setDiffMode(mode)}
+                        className={`px-3 py-1 text-xs ${diffMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {!diff ? (
+                  <p className="text-sm text-gray-500">Choose two different versions to see what changed.</p>
+                ) : (
+                  <>
+                    <p className="mb-2 text-xs text-gray-500">
+                      <span className="text-green-700">{diff.insertedWords} words added</span>
+                      {' • '}
+                      <span className="text-red-700">{diff.deletedWords} words removed</span>
+                    </p>
+                    {diff.inlineHtml !== null ? (
+                      <div className="document-preview" style={previewStyle} dangerouslySetInnerHTML={{ __html: diff.inlineHtml }} />
+                    ) : (
+                      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                        <div>
+                          <p className="mb-1 text-xs font-medium text-gray-600">Version {fromVersion.number}</p>
+                          <div className="document-preview" style={previewStyle} dangerouslySetInnerHTML={{ __html: diff.sideBySide.oldHtml }} />
+                        </div>
+                        <div>
+                          <p className="mb-1 text-xs font-medium text-gray-600">Version {toVersion.number}</p>
+                          <div className="document-preview" style={previewStyle} dangerouslySetInnerHTML={{ __html: diff.sideBySide.newHtml }} />
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
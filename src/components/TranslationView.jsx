@@ -1,9 +1,16 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Loader2, FileText, Download, Languages, Copy, Check } from 'lucide-react';
-import { useApiAuth } from '../services/api';
+import { ArrowLeft, Loader2, FileText, Download, Languages, Copy, Check, Columns, Pencil, Search, Table } from 'lucide-react';
+import { useApiAuth, historyService } from '../services/api';
 import { toast } from 'sonner';
 import DocumentDownloadButton from './DocumentDownloadButton';
+import BilingualView from './BilingualView';
+import TranslationEditor from './TranslationEditor';
+import TranslationVersions from './TranslationVersions';
+import SegmentAlignmentTable from './SegmentAlignmentTable';
+import FindReplaceBar from './FindReplaceBar';
+import { splitTranslatedHtml } from '../utils/translatedPages';
+import { getSourceDocument, rememberSourceDocument } from '../utils/sourceDocuments';
 
 export default function TranslationView() {
   const { processId } = useParams();
@@ -12,8 +19,26 @@ export default function TranslationView() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isCopied, setIsCopied] = useState(false);
+  // 'document', 'side-by-side' (next to the original) or 'segments' (sentence table)
+  const [viewMode, setViewMode] = useState('document');
+  const [isEditing, setIsEditing] = useState(false);
+  const [isFindOpen, setIsFindOpen] = useState(false);
+  const contentRef = useRef(null);
+  // Original picked by the user when this session did not translate the document itself
+  const [chosenSource, setChosenSource] = useState(null);
   const { registerAuthInterceptor } = useApiAuth();
 
+  const translatedPages = useMemo(
+    () => splitTranslatedHtml(translationData?.combinedContent),
+    [translationData?.combinedContent]
+  );
+  const sourceDocument = chosenSource?.processId === processId ? chosenSource : getSourceDocument(processId);
+
+  const handleChooseSource = (file) => {
+    rememberSourceDocument(processId, file);
+    setChosenSource({ processId, file, pageNumbers: null });
+  };
+
   // Register auth interceptor on mount and load data
   useEffect(() => {
     registerAuthInterceptor();
@@ -82,6 +107,31 @@ export default function TranslationView() {
     }
   };
 
+  // Show new content (an edit or a restored version) from now on, including in the session cache
+  const applyContent = (html) => {
+    const editedPages = new Map(splitTranslatedHtml(html).map(page => [page.pageNumber, page.html]));
+    const updatedData = {
+      ...translationData,
+      combinedContent: html,
+      chunks: translationData.chunks?.map(chunk => (
+        editedPages.has(chunk.pageNumber) ? { ...chunk, content: editedPages.get(chunk.pageNumber) } : chunk
+      ))
+    };
+    setTranslationData(updatedData);
+    sessionStorage.setItem('viewTranslation', JSON.stringify(updatedData));
+  };
+
+  const saveContent = async (html) => {
+    await historyService.saveTranslationContent(processId, html);
+    applyContent(html);
+  };
+
+  const handleSaveEdit = async (html) => {
+    await saveContent(html);
+    setIsEditing(false);
+    toast.success('Your edits were saved');
+  };
+
   // Format the date for display
   const formatDate = (dateString) => {
     if (!dateString) return 'Unknown date';
@@ -114,7 +164,7 @@ export default function TranslationView() {
 
   return (
     <div className="py-8 px-4 bg-gray-50">
-      <div className="max-w-4xl mx-auto">
+      <div className={`${viewMode === 'document' ? 'max-w-4xl' : 'max-w-7xl'} mx-auto`}>
         {/* Header */}
         <div className="flex items-center mb-6">
           <button
@@ -195,6 +245,54 @@ export default function TranslationView() {
                 </div>
                 
                 <div className="flex justify-end mt-4 gap-2">
+                  <button
+                    onClick={() => {
+                      setIsFindOpen(open => !open);
+                      setViewMode('document');
+                    }}
+                    disabled={isEditing}
+                    className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors disabled:opacity-50 ${
+                      isFindOpen
+                        ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                    aria-pressed={isFindOpen}
+                  >
+                    <Search size={16} />
+                    Find
+                  </button>
+                  
+                  <button
+                    onClick={() => {
+                      setIsEditing(true);
+                      setIsFindOpen(false);
+                    }}
+                    disabled={isEditing}
+                    className="flex items-center gap-2 px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  >
+                    <Pencil size={16} />
+                    Edit
+                  </button>
+                  
+                  {[['side-by-side', Columns, 'Side by side'], ['segments', Table, 'Sentences']].map(([mode, Icon, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => {
+                        setViewMode(current => current === mode ? 'document' : mode);
+                        setIsFindOpen(false);
+                      }}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors ${
+                        viewMode === mode
+                          ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      aria-pressed={viewMode === mode}
+                    >
+                      <Icon size={16} />
+                      {label}
+                    </button>
+                  ))}
+                  
                   <button
                     onClick={handleCopyText}
                     className="flex items-center gap-2 px-3 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
@@ -223,16 +321,70 @@ export default function TranslationView() {
                 </h2>
               </div>
               
-              <div
-                className="document-preview p-6 overflow-auto"
-                style={{
-                  direction: translationData.metadata?.direction || 'ltr',
-                  textAlign: translationData.metadata?.direction === 'rtl' ? 'right' : 'left',
-                  fontFamily: translationData.metadata?.direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
-                }}
-                dangerouslySetInnerHTML={{ __html: translationData.combinedContent }}
-              />
+              {isFindOpen && !isEditing && viewMode === 'document' && (
+                <div className="px-6 pt-4">
+                  <FindReplaceBar
+                    key={processId}
+                    targetRef={contentRef}
+                    html={translationData.combinedContent}
+                    onReplace={saveContent}
+                    onClose={() => setIsFindOpen(false)}
+                  />
+                </div>
+              )}
+              
+              {isEditing ? (
+                <div className="p-6">
+                  <TranslationEditor
+                    key={processId}
+                    processId={processId}
+                    html={translationData.combinedContent}
+                    direction={translationData.metadata?.direction || 'ltr'}
+                    onSave={handleSaveEdit}
+                    onCancel={() => setIsEditing(false)}
+                  />
+                </div>
+              ) : viewMode === 'segments' ? (
+                <div className="p-6">
+                  <SegmentAlignmentTable
+                    chunks={translationData.chunks || translatedPages.map(page => ({ pageNumber: page.pageNumber, content: page.html }))}
+                    combinedContent={translationData.combinedContent}
+                    fromLang={translationData.metadata?.fromLang}
+                    toLang={translationData.metadata?.toLang}
+                    direction={translationData.metadata?.direction || 'ltr'}
+                    onEdit={saveContent}
+                  />
+                </div>
+              ) : viewMode === 'side-by-side' ? (
+                <div className="p-6">
+                  <BilingualView
+                    key={processId}
+                    pages={translatedPages}
+                    sourceDocument={sourceDocument}
+                    direction={translationData.metadata?.direction || 'ltr'}
+                    onChooseSource={handleChooseSource}
+                  />
+                </div>
+              ) : (
+                <div
+                  ref={contentRef}
+                  className="document-preview p-6 overflow-auto"
+                  style={{
+                    direction: translationData.metadata?.direction || 'ltr',
+                    textAlign: translationData.metadata?.direction === 'rtl' ? 'right' : 'left',
+                    fontFamily: translationData.metadata?.direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+                  }}
+                  dangerouslySetInnerHTML={{ __html: translationData.combinedContent }}
+                />
+              )}
             </div>
+            
+            <TranslationVersions
+              processId={processId}
+              currentContent={translationData.combinedContent}
+              direction={translationData.metadata?.direction || 'ltr'}
+              onRestored={(version) => applyContent(version.content)}
+            />
           </>
         )}
       </div>
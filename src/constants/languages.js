@@ -0,0 +1,34 @@
+// Languages offered in the translation selectors
+export const LANGUAGE_OPTIONS = [
+  { value: 'en', label: 'English' },
+  { value: 'ka', label: 'Georgian'},
+  { value: 'tr', label: 'Turkish'},
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+  { value: 'it', label: 'Italian' },
+  { value: 'pt', label: 'Portuguese' },
+  { value: 'ru', label: 'Russian' },
+  { value: 'zh', label: 'Chinese' },
+  { value: 'ja', label: 'Japanese' },
+  { value: 'ko', label: 'Korean' },
+  { value: 'ar', label: 'Arabic' },
+  { value: 'hi', label: 'Hindi' },
+  { value: 'az', label: 'Azerbaijani'},
+  { value: 'hy', label: 'Armenian'}
+  // { value: 'fa', label: 'Persian' },
+];
+
+// Source-only option: the server identifies the language itself
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+export const SOURCE_LANGUAGE_OPTIONS = [
+  { value: AUTO_DETECT_LANGUAGE, label: 'Auto-detect' },
+  ...LANGUAGE_OPTIONS
+];
+
+export const getLanguageLabel = (code) =>
+  LANGUAGE_OPTIONS.find(option => option.value === code)?.label || code;
+
+// Right-to-left target languages
+export const RTL_LANGUAGES = ['fa', 'ar'];
@@ -2,6 +2,9 @@
 import { useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { useAuth as useClerkAuth } from '@clerk/clerk-react';
+import { createTransferMeter } from '../utils/transferStats';
+import { hashFile } from '../utils/fileHash';
+import { readEventStream } from '../utils/eventStream';
 
 // Create axios instance with proper configuration
 const api = axios.create({
@@ -704,6 +707,56 @@ export const useApiAuth = () => {
   };
 };
 
+// Chunked upload settings
+const UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024; // 2MB per request
+const UPLOAD_MAX_RETRIES = 8; // Consecutive failures before giving up on a chunk
+const PENDING_UPLOADS_KEY = 'pendingUploads';
+const PENDING_UPLOAD_TTL = 24 * 60 * 60 * 1000; // Resume uploads started within the last day
+const REDACTED_FIELDS = ['pdf_password']; // Job fields never written to the console
+
+// Identify a local file across page reloads so an interrupted upload can resume
+const getUploadFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified || 0}`;
+
+const readPendingUploads = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY) || '{}');
+  } catch (e) {
+    console.warn('Failed to parse pending uploads:', e);
+    return {};
+  }
+};
+
+const writePendingUploads = (pendingUploads) => {
+  try {
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pendingUploads));
+  } catch (e) {
+    console.warn('Failed to store pending uploads:', e);
+  }
+};
+
+// Resolve immediately when online, otherwise when the browser reconnects
+const waitForOnline = () => {
+  if (typeof navigator === 'undefined' || navigator.onLine) {
+    return Promise.resolve();
+  }
+  console.log('📡 Browser is offline, waiting for the connection to return...');
+  return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+};
+
+// Thrown when the caller aborts an upload, so it is not mistaken for a timeout
+const createUploadCancelledError = () => {
+  const error = new Error('Upload cancelled');
+  error.isCancelled = true;
+  return error;
+};
+
+// Errors worth retrying a chunk for: dropped connections, timeouts and server hiccups
+const isRetryableUploadError = (error) =>
+  !error.response ||
+  error.code === 'ECONNABORTED' ||
+  error.response.status === 409 || // Offset mismatch, e.g. a chunk arrived but its response was lost
+  error.response.status >= 500;
+
 // Document Service with Improved Authentication and Error Handling
 export const documentService = {
   // Store ongoing requests to prevent duplicates
@@ -868,11 +921,14 @@ export const documentService = {
     }
   },
 
-  // Find translation by file name
-  findTranslationByFile: async (fileName) => {
+  // Find translation by file name. createdAfter (ms timestamp) skips older jobs.
+  findTranslationByFile: async (fileName, { createdAfter } = {}) => {
     try {
+      const params = new URLSearchParams({ file_name: fileName });
+      if (createdAfter) params.append('created_after', new Date(createdAfter).toISOString());
+      
       console.log(`🔄 Searching for translation of file: ${fileName}`);
-      const response = await api.get(`/documents/find?file_name=${encodeURIComponent(fileName)}`);
+      const response = await api.get(`/documents/find?${params}`);
       console.log("✅ Found translation:", response.data);
       return response.data;
     } catch (error) {
@@ -885,17 +941,223 @@ export const documentService = {
     }
   },
 
-  // that uses fetch API directly instead of axios
-  initiateTranslation: async (formData) => {
+  // Find the latest translation of the same file contents, regardless of file name.
+  // from_lang is left out for auto-detected sources so any source language matches.
+  // pageRange ("1-3, 7") matches jobs of exactly those pages; null matches whole-document
+  // jobs only, and leaving it out matches any. createdAfter (ms timestamp) skips older jobs.
+  findTranslationByHash: async (fileHash, { fromLang, toLang, pageRange, createdAfter } = {}) => {
+    try {
+      const params = new URLSearchParams({ file_hash: fileHash });
+      if (fromLang && fromLang !== 'auto') params.append('from_lang', fromLang);
+      if (toLang) params.append('to_lang', toLang);
+      if (pageRange !== undefined) params.append('page_range', pageRange || '');
+      if (createdAfter) params.append('created_after', new Date(createdAfter).toISOString());
+      
+      console.log(`🔄 Searching for translation of file hash: ${fileHash.slice(0, 12)}…`);
+      const response = await api.get(`/documents/find?${params}`);
+      console.log("✅ Found translation:", response.data);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.log("⚠️ No translation found for file hash:", fileHash.slice(0, 12));
+        return null;
+      }
+      console.error("❌ Error finding translation:", error);
+      throw error;
+    }
+  },
+
+  // Stop a queued or running job on the server. Resolves to the server's
+  // acknowledgement: { processId, status: 'cancelled', pagesProcessed, pagesBilled, totalPages }
+  cancelTranslation: async (processId) => {
+    console.log(`🛑 Cancelling translation: ${processId}`);
+    try {
+      const response = await api.post(`/documents/cancel/${processId}`);
+      console.log("✅ Cancellation acknowledged:", response.data);
+      documentService._updateLastKnownStatus(processId, response.data);
+      
+      // A cancelled job must not be picked up again by timeout recovery
+      try {
+        const recentTranslations = JSON.parse(localStorage.getItem('recentTranslations') || '[]');
+        localStorage.setItem('recentTranslations', JSON.stringify(
+          recentTranslations.filter(translation => translation.processId !== processId)
+        ));
+      } catch (storageError) {
+        console.warn("⚠️ Failed to update local storage:", storageError);
+      }
+      
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error cancelling translation:", error);
+      if (error.response?.status === 409) {
+        throw error.response.data?.detail || 'The translation has already finished and can no longer be cancelled.';
+      }
+      throw error.response?.data?.detail || 'The server did not confirm the cancellation. The translation may still be running.';
+    }
+  },
+
+  // Translate the given failed pages of a finished job again. The job goes back to
+  // in_progress and, once it completes, its result has the new pages merged in.
+  retryPages: async (processId, pages) => {
+    console.log(`🔁 Retrying pages ${pages.join(', ')} of translation: ${processId}`);
+    try {
+      const response = await api.post(`/documents/retry/${processId}`, { pages });
+      console.log("✅ Page retry started:", response.data);
+      documentService._updateLastKnownStatus(processId, response.data);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error retrying pages:", error);
+      throw error.response?.data?.detail || 'The pages could not be retried. Please try again.';
+    }
+  },
+
+  // Create an upload session, or resume the one saved for this file
+  _openUploadSession: async (file) => {
+    const fingerprint = getUploadFingerprint(file);
+    const pendingUploads = readPendingUploads();
+    const saved = pendingUploads[fingerprint];
+    
+    if (saved && Date.now() - saved.createdAt < PENDING_UPLOAD_TTL) {
+      try {
+        const response = await api.get(`/documents/uploads/${saved.uploadId}`);
+        console.log(`♻️ Resuming upload ${saved.uploadId} at byte ${response.data.receivedBytes || 0}`);
+        return {
+          uploadId: saved.uploadId,
+          receivedBytes: response.data.receivedBytes || 0,
+          chunkSize: response.data.chunkSize || UPLOAD_CHUNK_SIZE
+        };
+      } catch (error) {
+        console.warn('⚠️ Saved upload session is no longer available, starting a new one');
+      }
+    }
+    
+    const response = await api.post('/documents/uploads', {
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type,
+      chunkSize: UPLOAD_CHUNK_SIZE
+    });
+    
+    pendingUploads[fingerprint] = {
+      uploadId: response.data.uploadId,
+      createdAt: Date.now()
+    };
+    writePendingUploads(pendingUploads);
+    
+    console.log(`✅ Upload session created: ${response.data.uploadId}`);
+    return {
+      uploadId: response.data.uploadId,
+      receivedBytes: response.data.receivedBytes || 0,
+      chunkSize: response.data.chunkSize || UPLOAD_CHUNK_SIZE
+    };
+  },
+  
+  // Forget the saved upload session once a job has been created from it
+  _clearPendingUpload: (file) => {
+    const pendingUploads = readPendingUploads();
+    delete pendingUploads[getUploadFingerprint(file)];
+    writePendingUploads(pendingUploads);
+  },
+  
+  // Upload a file in chunks, resuming from the server's offset after network drops.
+  // onProgress receives { bytesSent, totalBytes, percent, bytesPerSecond, etaSeconds, isRetrying }.
+  uploadFileInChunks: async (file, { onProgress, signal } = {}) => {
+    const { uploadId, receivedBytes, chunkSize } = await documentService._openUploadSession(file);
+    const meter = createTransferMeter(file.size, receivedBytes);
+    let offset = receivedBytes;
+    let retries = 0;
+    
+    onProgress?.(meter.update(offset));
+    
+    while (offset < file.size) {
+      if (signal?.aborted) {
+        throw createUploadCancelledError();
+      }
+      const end = Math.min(offset + chunkSize, file.size);
+      
+      try {
+        const chunkStart = offset;
+        const response = await api.put(`/documents/uploads/${uploadId}`, file.slice(chunkStart, end), {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${chunkStart}-${end - 1}/${file.size}`
+          },
+          timeout: 120000, // 2 minutes per chunk on slow connections
+          signal,
+          onUploadProgress: (event) => onProgress?.(meter.update(chunkStart + event.loaded))
+        });
+        
+        offset = response.data.receivedBytes ?? end;
+        retries = 0;
+        onProgress?.(meter.update(offset));
+      } catch (error) {
+        if (signal?.aborted) {
+          throw createUploadCancelledError();
+        }
+        if (!isRetryableUploadError(error)) {
+          throw error;
+        }
+        
+        if (retries >= UPLOAD_MAX_RETRIES) {
+          throw new Error('Upload interrupted. Check your connection and try again - the upload will continue where it stopped.');
+        }
+        
+        retries += 1;
+        const delay = Math.min(1000 * Math.pow(2, retries), 30000);
+        console.warn(`⚠️ Chunk upload failed at byte ${offset}, retry #${retries}/${UPLOAD_MAX_RETRIES} in ${delay}ms:`, error.message);
+        onProgress?.({ ...meter.update(offset), isRetrying: true });
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+        await waitForOnline();
+        
+        // Ask the server how much it actually stored before sending more
+        try {
+          const status = await api.get(`/documents/uploads/${uploadId}`);
+          offset = status.data.receivedBytes || 0;
+        } catch (statusError) {
+          console.warn('⚠️ Could not read upload offset, retrying from last known position');
+        }
+        meter.reset(offset);
+      }
+    }
+    
+    console.log(`✅ Upload ${uploadId} complete (${file.size} bytes)`);
+    return uploadId;
+  },
+
+  // Uploads the file in chunks, then starts the job with a direct fetch call.
+  // options.onUploadProgress receives byte-level progress while the file is sent.
+  // formData may carry an upload_id instead of a file; pass options.fileName then.
+  initiateTranslation: async (formData, { onUploadProgress, signal, fileName: uploadedFileName } = {}) => {
     const startTime = Date.now();
     console.log(`🔄 [${new Date().toISOString()}] Initiating document translation with direct fetch API...`);
     
     // Extract file name for potential recovery
     const file = formData.get('file');
-    const fileName = file ? file.name : 'unknown';
+    const fileName = file ? file.name : (uploadedFileName || 'unknown');
+    let fileHash = formData.get('file_hash');
     console.log(`📄 Starting translation for file: ${fileName}`);
     
     try {
+      // Send the file first; the job request then only references the upload
+      const jobData = new FormData();
+      for (const [key, value] of formData.entries()) {
+        if (key !== 'file') {
+          jobData.append(key, value);
+        }
+      }
+      
+      // The content hash lets the server spot re-uploads of renamed files
+      if (file && !fileHash) {
+        fileHash = await hashFile(file);
+        jobData.append('file_hash', fileHash);
+      }
+      
+      if (file) {
+        const uploadId = await documentService.uploadFileInChunks(file, { onProgress: onUploadProgress, signal });
+        jobData.append('upload_id', uploadId);
+      }
+      
       // Force a fresh token before starting translation
       let token;
       try {
@@ -920,10 +1182,12 @@ export const documentService = {
       
       // Log FormData contents for debugging
       console.log('FormData contains:');
-      for (let key of formData.keys()) {
-        const value = formData.get(key);
+      for (let key of jobData.keys()) {
+        const value = jobData.get(key);
         if (value instanceof File) {
           console.log(`- ${key}: File (${value.name}, ${value.type}, ${value.size} bytes)`);
+        } else if (REDACTED_FIELDS.includes(key)) {
+          console.log(`- ${key}: [redacted]`);
         } else {
           console.log(`- ${key}: ${value}`);
         }
@@ -941,7 +1205,7 @@ export const documentService = {
           'Authorization': `Bearer ${token}`
           // No Content-Type header for FormData - browser sets it with boundary
         },
-        body: formData, // FormData is handled correctly by fetch
+        body: jobData, // FormData is handled correctly by fetch
         credentials: 'include', // Send cookies if needed
         mode: 'cors' // Enable CORS
       });
@@ -972,11 +1236,18 @@ export const documentService = {
       const duration = Date.now() - startTime;
       console.log(`✅ [${new Date().toISOString()}] Translation initiated successfully with direct fetch in ${duration}ms, processId: ${data.processId}`);
       
+      if (file) {
+        documentService._clearPendingUpload(file);
+      }
+      
       // Store in local storage for recovery purposes
       try {
         const translationInfo = {
           processId: data.processId,
           fileName: fileName,
+          fileHash: fileHash,
+          fromLang: jobData.get('from_lang'),
+          toLang: jobData.get('to_lang'),
           timestamp: Date.now(),
           status: data.status || 'pending'
         };
@@ -1001,6 +1272,10 @@ export const documentService = {
       const duration = Date.now() - startTime;
       console.error(`❌ [${new Date().toISOString()}] Translation initiation failed after ${duration}ms:`, error);
       
+      if (error.isCancelled) {
+        throw error;
+      }
+      
       // For timeouts, try to recover by finding active translations
       if (error.name === 'AbortError' || error.message.includes('timeout')) {
         console.log("⏳ Upload request timed out, but the server might still be processing it");
@@ -1010,7 +1285,16 @@ export const documentService = {
           // Give the server a moment to create the record
           await new Promise(resolve => setTimeout(resolve, 1000));
           
-          const foundTranslation = await documentService.findTranslationByFile(fileName);
+          // Match on content when we have a hash; names are ambiguous. Only a job created
+          // by this request will do, not an earlier translation of the same file.
+          const foundTranslation = fileHash
+            ? await documentService.findTranslationByHash(fileHash, {
+                fromLang: formData.get('from_lang'),
+                toLang: formData.get('to_lang'),
+                pageRange: formData.get('page_range'),
+                createdAfter: startTime
+              })
+            : await documentService.findTranslationByFile(fileName, { createdAfter: startTime });
           if (foundTranslation) {
             console.log("🔍 Found translation after timeout:", foundTranslation.processId);
             // Return the found translation
@@ -1032,6 +1316,45 @@ export const documentService = {
     }
   },
 
+  // Upload the file once, then start one job per target language from that upload.
+  // Resolves to one entry per target: { toLang, processId, status } or { toLang, error }.
+  initiateMultiTargetTranslation: async (formData, targetLanguages, { onUploadProgress, signal } = {}) => {
+    const file = formData.get('file');
+    console.log(`🔄 Starting ${targetLanguages.length} translations of ${file.name}: ${targetLanguages.join(', ')}`);
+    
+    if (!formData.has('file_hash')) {
+      formData.append('file_hash', await hashFile(file));
+    }
+    const uploadId = await documentService.uploadFileInChunks(file, { onProgress: onUploadProgress, signal });
+    
+    const jobs = [];
+    for (const toLang of targetLanguages) {
+      const jobData = new FormData();
+      for (const [key, value] of formData.entries()) {
+        if (key !== 'file' && key !== 'to_lang') {
+          jobData.append(key, value);
+        }
+      }
+      jobData.append('to_lang', toLang);
+      jobData.append('upload_id', uploadId);
+      
+      try {
+        const response = await documentService.initiateTranslation(jobData, { fileName: file.name });
+        jobs.push({ toLang, processId: response.processId, status: response.status || 'pending' });
+      } catch (error) {
+        console.error(`❌ Failed to start ${toLang} translation:`, error);
+        jobs.push({ toLang, error: error.message || 'Failed to start translation' });
+      }
+    }
+    
+    // Keep the upload resumable if no job could be created from it
+    if (jobs.some(job => job.processId)) {
+      documentService._clearPendingUpload(file);
+    }
+    
+    return jobs;
+  },
+
   checkTranslationStatusWithToken: async (processId, token = null) => {
     let retryCount = 0;
     const maxRetries = 2;
@@ -1133,6 +1456,39 @@ export const documentService = {
     return documentService._createFallbackStatus(processId);
   },
   
+  // Open the server-sent event stream for a job and pass each event to onEvent until
+  // the server closes it. Rejects with error.isStreamUnsupported set when the server
+  // has no stream for this job, so callers can fall back to polling.
+  streamTranslationStatus: async (processId, { token = null, lastEventId = null, signal, onEvent } = {}) => {
+    const baseUrl = import.meta.env.VITE_API_URL || '/api';
+    const headers = { 'Accept': 'text/event-stream' };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (lastEventId) {
+      headers['Last-Event-ID'] = lastEventId;
+    }
+
+    console.log(`📡 Opening status stream for process: ${processId}${lastEventId ? ` (resuming after ${lastEventId})` : ''}`);
+    const response = await fetch(`${baseUrl}/documents/events/${processId}`, { headers, signal });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream') || !response.body) {
+      const error = new Error(`Status stream unavailable (HTTP ${response.status})`);
+      error.isStreamUnsupported = response.status !== 401 && response.status !== 403;
+      error.status = response.status;
+      throw error;
+    }
+
+    await readEventStream(response.body, (event) => {
+      lastActivityTimestamp = Date.now();
+      if (event.type === 'status') {
+        documentService._updateLastKnownStatus(processId, event.data);
+      }
+      onEvent(event);
+    });
+  },
+  
   exportToPdf: async (text, fileName) => {
     console.log(`🔄 Exporting document to PDF: ${fileName}...`);
     try {
@@ -1527,7 +1883,7 @@ export const historyService = {
     }
   },
   
-  // Get full translation content
+  // Get full translation content: combinedContent and per-page chunks of { pageNumber, content, sourceContent }
   getTranslationContent: async (processId) => {
     console.log(`🔄 Fetching full content for translation: ${processId}...`);
     try {
@@ -1551,6 +1907,11 @@ export const historyService = {
                 <h1>Full Translation Document</h1>
                 <p>This is page 1 of the mock translated document. This simulates the content you would see when viewing a full translation.</p>
                 <p>Real content would preserve the original document's formatting and layout.</p>
+              </div>`,
+              sourceContent: `<div class="page">
+                <h1>Full Source Document</h1>
+                <p>This is page 1 of the mock source document. It stands in for the text of the uploaded file.</p>
+                <p>Real content would be the text extracted from the original page.</p>
               </div>`
             },
             {
@@ -1559,6 +1920,11 @@ export const historyService = {
                 <h2>Page 2 Content</h2>
                 <p>This is the second page of the mock translated document.</p>
                 <p>In a real application, this would contain the actual translated content from your document.</p>
+              </div>`,
+              sourceContent: `<div class="page">
+                <h2>Page 2 Source</h2>
+                <p>This is the second page of the mock source document.</p>
+                <p>In a real application, this would contain the original text of your document.</p>
               </div>`
             }
           ],
@@ -1598,6 +1964,61 @@ export const historyService = {
     }
   },
   
+  // Store an edited translation so later views and exports use it instead of the machine output
+  saveTranslationContent: async (processId, html) => {
+    console.log(`💾 Saving edited translation: ${processId}...`);
+    try {
+      const response = await api.put(`/history/history/${processId}/content`, { content: html });
+      console.log('✅ Edited translation saved');
+
+      // The view page caches content for the session, which now holds the old version
+      try {
+        const cachedData = JSON.parse(sessionStorage.getItem('viewTranslation') || 'null');
+        if (cachedData?.processId === processId) {
+          sessionStorage.removeItem('viewTranslation');
+        }
+      } catch (storageError) {
+        console.warn('⚠️ Failed to clear the cached translation:', storageError);
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to save translation content:', error);
+      throw error.response?.data?.detail || 'The edited translation could not be saved. Your draft is kept in this browser.';
+    }
+  },
+  
+  // Versions of a translation's content, oldest first: the machine output, then each
+  // saved edit, re-translation and restore as { versionId, number, kind, author, createdAt, content }
+  getTranslationVersions: async (processId) => {
+    console.log(`🔄 Fetching versions of translation: ${processId}...`);
+    try {
+      const response = await api.get(`/history/history/${processId}/versions`);
+      console.log(`✅ Fetched ${response.data.versions?.length || 0} versions`);
+      return response.data.versions || [];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.warn('⚠️ No version history for this translation');
+        return [];
+      }
+      console.error('❌ Failed to fetch translation versions:', error);
+      throw error;
+    }
+  },
+
+  // Make an earlier version the current content again; the server records it as a new version
+  restoreTranslationVersion: async (processId, versionId) => {
+    console.log(`⏪ Restoring version ${versionId} of translation: ${processId}...`);
+    try {
+      const response = await api.post(`/history/history/${processId}/versions/${versionId}/restore`);
+      console.log('✅ Version restored');
+      return response.data.version;
+    } catch (error) {
+      console.error('❌ Failed to restore translation version:', error);
+      throw error.response?.data?.detail || 'The version could not be restored.';
+    }
+  },
+  
   // Get user's translation statistics
   getTranslationStats: async () => {
     console.log('🔄 Fetching translation statistics...');
@@ -1616,6 +2037,20 @@ export const historyService = {
   }
 };
 
+// Balance Service
+export const balanceService = {
+  // Get the signed-in user's page balance
+  getBalance: async () => {
+    try {
+      const response = await api.get('/balance/me/balance');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch balance:', error);
+      throw error;
+    }
+  }
+};
+
 // Add a global function for checking token info from browser console
 window.checkTokenInfo = async () => {
   try {
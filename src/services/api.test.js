@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { documentService } from './api';
+
+// api.js registers activity listeners and console helpers on window when it loads
+vi.hoisted(() => {
+  globalThis.window = { addEventListener: () => {} };
+});
+
+const http = vi.hoisted(() => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  put: vi.fn(),
+  interceptors: {
+    request: { use: vi.fn(), eject: vi.fn() },
+    response: { use: vi.fn(), eject: vi.fn() }
+  }
+}));
+
+vi.mock('axios', () => ({ default: { create: () => http } }));
+vi.mock('@clerk/clerk-react', () => ({ useAuth: () => ({}) }));
+
+const UPLOAD_ID = 'upload-1';
+const FINGERPRINT = 'report.pdf:10:1000';
+
+const createFile = () => new File(['0123456789'], 'report.pdf', { type: 'application/pdf', lastModified: 1000 });
+
+// A stand-in for localStorage that starts empty in every test
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const pendingUploads = () => JSON.parse(localStorage.getItem('pendingUploads') || '{}');
+
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status ${status}`), {
+  response: { status, data }
+});
+
+// Store chunks like the server does, answering with the bytes received so far
+const acceptChunks = () => http.put.mockImplementation(async (url, chunk, { headers }) => {
+  const [, , end] = headers['Content-Range'].match(/bytes (\d+)-(\d+)/);
+  return { data: { uploadId: UPLOAD_ID, receivedBytes: Number(end) + 1 } };
+});
+
+const sentRanges = () => http.put.mock.calls.map(([, , config]) => config.headers['Content-Range']);
+
+// Run an upload while letting its retry delays pass
+const upload = async (options) => {
+  const result = documentService.uploadFileInChunks(createFile(), options);
+  result.catch(() => {});
+  await vi.runAllTimersAsync();
+  return result;
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.stubGlobal('localStorage', createStorage());
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  http.get.mockReset();
+  http.post.mockReset().mockResolvedValue({ data: { uploadId: UPLOAD_ID, receivedBytes: 0, chunkSize: 4 } });
+  http.put.mockReset();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('documentService.uploadFileInChunks', () => {
+  it('sends the file in chunks and remembers the session for resuming', async () => {
+    acceptChunks();
+    const onProgress = vi.fn();
+
+    await expect(upload({ onProgress })).resolves.toBe(UPLOAD_ID);
+
+    expect(http.post).toHaveBeenCalledWith('/documents/uploads', expect.objectContaining({ fileName: 'report.pdf', fileSize: 10 }));
+    expect(sentRanges()).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(pendingUploads()[FINGERPRINT].uploadId).toBe(UPLOAD_ID);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ bytesSent: 10, totalBytes: 10 }));
+  });
+
+  it('resumes a saved session from the offset the server has', async () => {
+    localStorage.setItem('pendingUploads', JSON.stringify({ [FINGERPRINT]: { uploadId: UPLOAD_ID, createdAt: Date.now() } }));
+    http.get.mockResolvedValue({ data: { uploadId: UPLOAD_ID, receivedBytes: 6, chunkSize: 4 } });
+    acceptChunks();
+
+    await expect(upload()).resolves.toBe(UPLOAD_ID);
+
+    expect(http.get).toHaveBeenCalledWith(`/documents/uploads/${UPLOAD_ID}`);
+    expect(http.post).not.toHaveBeenCalled();
+    expect(sentRanges()).toEqual(['bytes 6-9/10']);
+  });
+
+  it('starts a new session when the saved one has expired', async () => {
+    localStorage.setItem('pendingUploads', JSON.stringify({
+      [FINGERPRINT]: { uploadId: 'old-upload', createdAt: Date.now() - 25 * 60 * 60 * 1000 }
+    }));
+    acceptChunks();
+
+    await upload();
+
+    expect(http.get).not.toHaveBeenCalled();
+    expect(http.post).toHaveBeenCalledTimes(1);
+    expect(pendingUploads()[FINGERPRINT].uploadId).toBe(UPLOAD_ID);
+  });
+
+  it('starts a new session when the server no longer knows the saved one', async () => {
+    localStorage.setItem('pendingUploads', JSON.stringify({ [FINGERPRINT]: { uploadId: 'old-upload', createdAt: Date.now() } }));
+    http.get.mockRejectedValue(httpError(404));
+    acceptChunks();
+
+    await upload();
+
+    expect(http.post).toHaveBeenCalledTimes(1);
+    expect(sentRanges()[0]).toBe('bytes 0-3/10');
+  });
+
+  it('retries a dropped chunk with growing delays from the offset the server reports', async () => {
+    acceptChunks()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError());
+    http.get.mockResolvedValue({ data: { receivedBytes: 0 } });
+    const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout');
+    const onProgress = vi.fn();
+
+    await expect(upload({ onProgress })).resolves.toBe(UPLOAD_ID);
+
+    const delays = setTimeoutSpy.mock.calls.map(([, delay]) => delay).filter(delay => delay >= 1000);
+    expect(delays).toEqual([2000, 4000]);
+    expect(http.get).toHaveBeenCalledTimes(2);
+    expect(sentRanges()).toEqual(['bytes 0-3/10', 'bytes 0-3/10', 'bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ isRetrying: true }));
+  });
+
+  it('continues from the server offset after a 409 offset mismatch', async () => {
+    acceptChunks().mockRejectedValueOnce(httpError(409, { detail: 'Unexpected offset', receivedBytes: 4 }));
+    http.get.mockResolvedValue({ data: { receivedBytes: 4 } });
+
+    await expect(upload()).resolves.toBe(UPLOAD_ID);
+
+    expect(sentRanges()).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  });
+
+  it('gives up on errors that retrying cannot fix', async () => {
+    http.put.mockRejectedValue(httpError(413));
+
+    await expect(upload()).rejects.toMatchObject({ response: { status: 413 } });
+    expect(http.put).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after 8 failed retries of the same chunk', async () => {
+    http.put.mockRejectedValue(networkError());
+    http.get.mockResolvedValue({ data: { receivedBytes: 0 } });
+
+    await expect(upload()).rejects.toThrow('Upload interrupted');
+    expect(http.put).toHaveBeenCalledTimes(9);
+  });
+
+  it('stops with a cancelled error when the signal is aborted', async () => {
+    const controller = new AbortController();
+    http.put.mockImplementation(async () => {
+      controller.abort();
+      throw networkError();
+    });
+
+    await expect(upload({ signal: controller.signal })).rejects.toMatchObject({ isCancelled: true });
+    expect(http.put).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('documentService._clearPendingUpload', () => {
+  it('forgets the saved session of the file only', () => {
+    localStorage.setItem('pendingUploads', JSON.stringify({
+      [FINGERPRINT]: { uploadId: UPLOAD_ID, createdAt: Date.now() },
+      'other.pdf:5:1': { uploadId: 'upload-2', createdAt: Date.now() }
+    }));
+
+    documentService._clearPendingUpload(createFile());
+
+    expect(Object.keys(pendingUploads())).toEqual(['other.pdf:5:1']);
+  });
+});
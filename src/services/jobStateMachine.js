@@ -0,0 +1,303 @@
+// src/services/jobStateMachine.js - States of a translation job and the transitions allowed between them
+
+/**
+ * A job moves uploading → pending → in_progress → completed, and can end failed or
+ * cancelled from any state that is not finished. partial means results were fetched
+ * before the server finished; stalled means we lost track of a job that may still be
+ * running (the upload timed out, or status checks kept failing).
+ */
+export const ACTIVE_JOB_STATES = ['uploading', 'pending', 'in_progress'];
+export const TERMINAL_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
+const TRANSITIONS = {
+  idle: ['uploading', 'pending', 'in_progress'],
+  uploading: ['pending', 'in_progress', 'failed', 'cancelled', 'stalled'],
+  pending: ['in_progress', 'partial', 'completed', 'failed', 'cancelled', 'stalled'],
+  in_progress: ['partial', 'completed', 'failed', 'cancelled', 'stalled'],
+  partial: ['in_progress', 'completed', 'failed', 'cancelled', 'stalled'],
+  stalled: ['pending', 'in_progress', 'partial', 'completed', 'failed', 'cancelled'],
+  // Checked again only when the failure was ours, e.g. the result could not be fetched
+  failed: ['pending', 'in_progress'],
+  completed: [],
+  cancelled: []
+};
+
+export const canTransition = (from, to) => from === to || (TRANSITIONS[from || 'idle'] || []).includes(to);
+
+export const initialJobState = {
+  status: 'idle',
+  isLoading: false,
+  processId: null,
+  fileName: null,
+  fileInfo: null,
+  direction: 'ltr',
+  expectedPages: 0,
+  uploadProgress: null,
+  progress: 0,
+  currentPage: 0,
+  totalPages: 0,
+  detectedLanguage: null,
+  translatedText: null,
+  pages: {}, // Finished pages keyed by page number
+  error: null,
+  isServerFailure: false,
+  cancellation: null,
+  isCancelling: false,
+  stallReason: null, // 'timeout' (upload) or 'connection' (status checks)
+  isRecovering: false,
+  isFetchingResult: false,
+  isPollingFallback: false,
+  consecutiveFailures: 0,
+  lastStatusUpdate: null,
+  statusDelayedSince: null
+};
+
+const toPageMap = (pages) => Object.fromEntries(pages.map(page => [page.pageNumber, page]));
+
+const fromResult = (result) => ({
+  translatedText: result.translatedText,
+  fileName: result.metadata?.originalFileName,
+  direction: result.direction,
+  currentPage: result.metadata?.currentPage || 0,
+  totalPages: result.metadata?.totalPages || 0,
+  detectedLanguage: result.metadata?.detectedLanguage || null
+});
+
+const moveTo = (state, status, changes = {}) => {
+  if (!canTransition(state.status, status)) {
+    console.warn(`⚠️ Ignored job transition ${state.status} → ${status}`);
+    return state;
+  }
+  return { ...state, ...changes, status };
+};
+
+const reduce = (state, event) => {
+  switch (event.type) {
+    case 'reset':
+      return initialJobState;
+
+    // { fileName, fileInfo, direction, expectedPages }
+    case 'uploadStarted':
+      if (ACTIVE_JOB_STATES.includes(state.status)) return state;
+      return moveTo(initialJobState, 'uploading', {
+        fileName: event.fileName,
+        fileInfo: event.fileInfo,
+        direction: event.direction,
+        expectedPages: event.expectedPages || 0,
+        lastStatusUpdate: Date.now()
+      });
+
+    case 'uploadProgress':
+      if (state.status !== 'uploading') return state;
+      return { ...state, uploadProgress: event.uploadProgress, lastStatusUpdate: Date.now() };
+
+    // { processId, status } from the server once the upload finished
+    case 'jobCreated':
+      if (state.status !== 'uploading') return state;
+      return moveTo(state, event.status === 'in_progress' ? 'in_progress' : 'pending', {
+        processId: event.processId,
+        uploadProgress: null,
+        lastStatusUpdate: Date.now()
+      });
+
+    // { job } with at least processId and status: a job resumed after a reload or found by recovery
+    case 'jobAttached':
+      if (state.isServerFailure) return state;
+      return moveTo(state, event.job.status === 'pending' ? 'pending' : 'in_progress', {
+        ...event.job,
+        status: undefined,
+        error: null,
+        stallReason: null,
+        isRecovering: false,
+        consecutiveFailures: 0,
+        statusDelayedSince: null,
+        lastStatusUpdate: Date.now()
+      });
+
+    // { processId, statusData } from the status stream or a poll
+    case 'statusReceived': {
+      if (!state.isLoading) return state;
+      const { statusData } = event;
+      const changes = {
+        progress: statusData.progress || 0,
+        currentPage: statusData.currentPage || 0,
+        totalPages: statusData.totalPages || 0,
+        detectedLanguage: statusData.detectedLanguage || state.detectedLanguage,
+        consecutiveFailures: 0,
+        statusDelayedSince: null,
+        lastStatusUpdate: Date.now()
+      };
+
+      if (statusData.status === 'completed') {
+        // Still in progress until the result is fetched
+        return moveTo(state, 'in_progress', { ...changes, progress: 100, isFetchingResult: true });
+      }
+      if (statusData.status === 'failed') {
+        return moveTo(state, 'failed', {
+          ...changes,
+          error: statusData.error || 'Translation failed. Please try again.',
+          isServerFailure: true
+        });
+      }
+      if (statusData.status === 'cancelled') {
+        return moveTo(state, 'cancelled', { ...changes, translatedText: null, pages: {}, error: 'Translation cancelled' });
+      }
+      return moveTo(state, statusData.status === 'pending' && state.status === 'pending' ? 'pending' : 'in_progress', changes);
+    }
+
+    case 'pollFailed':
+      return state.isLoading ? { ...state, consecutiveFailures: state.consecutiveFailures + 1 } : state;
+
+    case 'statusDelayed':
+      return state.isLoading && !state.statusDelayedSince ? { ...state, statusDelayedSince: Date.now() } : state;
+
+    case 'fallbackStarted':
+      return state.isLoading ? { ...state, isPollingFallback: true } : state;
+
+    // { processId, page } as each page finishes
+    case 'pageReceived':
+      if (!state.isLoading) return state;
+      return { ...state, pages: { ...state.pages, [event.page.pageNumber]: event.page } };
+
+    // { processId, pages }: every page finished so far
+    case 'pagesReceived':
+      return state.isLoading ? { ...state, pages: toPageMap(event.pages) } : state;
+
+    // { processId, result, pages }
+    case 'resultReceived':
+      return moveTo(state, 'completed', {
+        ...fromResult(event.result),
+        pages: toPageMap(event.pages),
+        progress: 100,
+        error: null,
+        isFetchingResult: false,
+        stallReason: null,
+        statusDelayedSince: null,
+        lastStatusUpdate: Date.now()
+      });
+
+    // { processId, result, pages }: what the server had when it was not finished yet
+    case 'partialReceived':
+      return moveTo(state, 'partial', {
+        ...fromResult(event.result),
+        pages: toPageMap(event.pages),
+        error: null,
+        isFetchingResult: false,
+        statusDelayedSince: null,
+        lastStatusUpdate: Date.now()
+      });
+
+    // The result was asked for but is not ready, so keep tracking
+    case 'resultPending':
+      return state.isLoading ? { ...state, isFetchingResult: false, lastStatusUpdate: Date.now() } : state;
+
+    // { error, isServerFailure }
+    case 'failed':
+      return moveTo(state, 'failed', {
+        error: event.error,
+        isServerFailure: Boolean(event.isServerFailure),
+        isCancelling: false,
+        uploadProgress: null,
+        isFetchingResult: false,
+        isRecovering: false
+      });
+
+    // { reason, error }
+    case 'stalled':
+      return moveTo(state, 'stalled', {
+        stallReason: event.reason,
+        error: event.error,
+        isCancelling: false,
+        uploadProgress: null,
+        isRecovering: false,
+        statusDelayedSince: null
+      });
+
+    case 'recoveryStarted':
+      return state.status === 'stalled' ? { ...state, isRecovering: true, error: null, lastStatusUpdate: Date.now() } : state;
+
+    case 'cancelRequested':
+      return TERMINAL_JOB_STATES.includes(state.status) || state.status === 'idle' ? state : { ...state, isCancelling: true };
+
+    case 'cancelRejected':
+      return { ...state, isCancelling: false };
+
+    // { processId, cancellation } once the server confirmed the cancellation
+    case 'cancelled':
+      return moveTo(state, 'cancelled', {
+        processId: event.processId || state.processId,
+        isCancelling: false,
+        uploadProgress: null,
+        error: null,
+        translatedText: null,
+        pages: {},
+        cancellation: event.cancellation
+      });
+
+    case 'retryPolling':
+      if (!state.processId || state.isServerFailure) return state;
+      return moveTo(state, 'in_progress', {
+        error: null,
+        stallReason: null,
+        consecutiveFailures: 0,
+        statusDelayedSince: null,
+        lastStatusUpdate: Date.now()
+      });
+
+    case 'partialAccepted':
+      return moveTo(state, 'completed');
+
+    // { processId, translatedText, pages } after failed pages were translated again
+    case 'translationUpdated':
+      if (!['completed', 'partial'].includes(state.status)) return state;
+      return { ...state, translatedText: event.translatedText, pages: toPageMap(event.pages) };
+
+    default:
+      console.warn(`⚠️ Unknown job event: ${event.type}`);
+      return state;
+  }
+};
+
+/**
+ * Reducer for one job, usable with useReducer or on its own. Events for another
+ * job than the current one (late updates from an earlier run) are ignored, as are
+ * transitions the table above does not allow.
+ */
+export const jobReducer = (state, event) => {
+  if (event.processId && state.processId && event.processId !== state.processId) {
+    return state;
+  }
+
+  const next = reduce(state, event);
+  if (next === state) return state;
+  return { ...next, isLoading: ACTIVE_JOB_STATES.includes(next.status) || next.isRecovering };
+};
+
+/**
+ * Progress to show for a job. While status updates are delayed before any progress
+ * was reported, it is estimated from the time since the job started: with earlier
+ * jobs' seconds per page when known, otherwise one percent every three seconds.
+ * Returns { value, page, total, isEstimated }.
+ */
+export const getDisplayProgress = (state, { startedAt, secondsPerPage, now = Date.now() } = {}) => {
+  if (state.status === 'uploading') {
+    return { value: state.uploadProgress?.percent || 0, page: 0, total: 0, isEstimated: false };
+  }
+  if (!state.isLoading || !state.statusDelayedSince || state.progress > 0) {
+    return { value: state.progress, page: state.currentPage, total: state.totalPages, isEstimated: false };
+  }
+
+  const total = state.totalPages || state.expectedPages || 1;
+  if (secondsPerPage && startedAt) {
+    const pagesDone = (now - startedAt) / 1000 / secondsPerPage;
+    return {
+      value: Math.min(90, Math.max(5, Math.round((pagesDone / total) * 100))),
+      page: Math.min(total, Math.floor(pagesDone) + 1),
+      total,
+      isEstimated: true
+    };
+  }
+
+  const value = Math.min(90, 5 + Math.floor((now - state.statusDelayedSince) / 3000));
+  return { value, page: Math.min(total, Math.floor(value / (100 / total)) + 1), total, isEstimated: true };
+};
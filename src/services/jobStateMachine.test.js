@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { canTransition, jobReducer, initialJobState, getDisplayProgress } from './jobStateMachine';
+
+const PROCESS_ID = 'job-1';
+
+const reduceAll = (events, state = initialJobState) => events.reduce(jobReducer, state);
+
+const runningJob = () => reduceAll([
+  { type: 'uploadStarted', fileName: 'report.pdf', expectedPages: 4 },
+  { type: 'jobCreated', processId: PROCESS_ID, status: 'pending' },
+  { type: 'statusReceived', processId: PROCESS_ID, statusData: { status: 'in_progress', progress: 40, currentPage: 2, totalPages: 4 } }
+]);
+
+beforeEach(() => {
+  // Rejected transitions are logged
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('canTransition', () => {
+  it('allows the transitions of a normal run', () => {
+    expect(canTransition('idle', 'uploading')).toBe(true);
+    expect(canTransition('uploading', 'pending')).toBe(true);
+    expect(canTransition('pending', 'in_progress')).toBe(true);
+    expect(canTransition('in_progress', 'completed')).toBe(true);
+  });
+
+  it('allows staying in the same state', () => {
+    expect(canTransition('completed', 'completed')).toBe(true);
+  });
+
+  it('rejects leaving a finished state', () => {
+    expect(canTransition('completed', 'in_progress')).toBe(false);
+    expect(canTransition('cancelled', 'pending')).toBe(false);
+    expect(canTransition('failed', 'completed')).toBe(false);
+  });
+
+  it('treats a missing state as idle', () => {
+    expect(canTransition(undefined, 'pending')).toBe(true);
+    expect(canTransition(null, 'completed')).toBe(false);
+  });
+});
+
+describe('jobReducer', () => {
+  it('follows a job from upload to its result', () => {
+    let state = jobReducer(initialJobState, { type: 'uploadStarted', fileName: 'report.pdf', expectedPages: 4 });
+    expect(state).toMatchObject({ status: 'uploading', isLoading: true, expectedPages: 4 });
+
+    state = jobReducer(state, { type: 'jobCreated', processId: PROCESS_ID, status: 'pending' });
+    expect(state).toMatchObject({ status: 'pending', processId: PROCESS_ID });
+
+    state = jobReducer(state, { type: 'statusReceived', processId: PROCESS_ID, statusData: { status: 'completed', totalPages: 4 } });
+    expect(state).toMatchObject({ status: 'in_progress', progress: 100, isFetchingResult: true, isLoading: true });
+
+    state = jobReducer(state, {
+      type: 'resultReceived',
+      processId: PROCESS_ID,
+      result: { translatedText: '<p>Hola</p>', metadata: { totalPages: 4 } },
+      pages: [{ pageNumber: 1, status: 'done', html: '<p>Hola</p>' }]
+    });
+    expect(state).toMatchObject({ status: 'completed', isLoading: false, isFetchingResult: false, translatedText: '<p>Hola</p>' });
+    expect(state.pages[1].html).toBe('<p>Hola</p>');
+  });
+
+  it('ignores a status update that arrives after completion', () => {
+    const completed = jobReducer(runningJob(), { type: 'resultReceived', processId: PROCESS_ID, result: {}, pages: [] });
+    const next = jobReducer(completed, { type: 'statusReceived', processId: PROCESS_ID, statusData: { status: 'in_progress', progress: 50 } });
+
+    expect(next).toBe(completed);
+  });
+
+  it('rejects going back from completed to in_progress', () => {
+    const completed = jobReducer(runningJob(), { type: 'resultReceived', processId: PROCESS_ID, result: {}, pages: [] });
+    const next = jobReducer(completed, { type: 'retryPolling' });
+
+    expect(next).toBe(completed);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Ignored job transition completed → in_progress');
+  });
+
+  it('ignores events for another job', () => {
+    const state = runningJob();
+
+    expect(jobReducer(state, { type: 'statusReceived', processId: 'old-job', statusData: { status: 'completed' } })).toBe(state);
+    expect(jobReducer(state, { type: 'cancelled', processId: 'old-job' })).toBe(state);
+    expect(jobReducer(state, { type: 'pageReceived', processId: 'old-job', page: { pageNumber: 1 } })).toBe(state);
+  });
+
+  it('records a failure reported by the server and does not poll it again', () => {
+    const failed = jobReducer(runningJob(), {
+      type: 'statusReceived',
+      processId: PROCESS_ID,
+      statusData: { status: 'failed', error: 'Out of pages' }
+    });
+    expect(failed).toMatchObject({ status: 'failed', isLoading: false, isServerFailure: true, error: 'Out of pages' });
+
+    expect(jobReducer(failed, { type: 'retryPolling' })).toBe(failed);
+  });
+
+  it('checks a job again after a failure of our own', () => {
+    const failed = jobReducer(runningJob(), { type: 'failed', error: 'The result could not be fetched' });
+    const next = jobReducer(failed, { type: 'retryPolling' });
+
+    expect(next).toMatchObject({ status: 'in_progress', isLoading: true, error: null });
+  });
+
+  describe('partial results', () => {
+    const partialJob = () => jobReducer(runningJob(), {
+      type: 'partialReceived',
+      processId: PROCESS_ID,
+      result: { translatedText: '<p>Uno</p>', metadata: { currentPage: 1, totalPages: 4 } },
+      pages: [{ pageNumber: 1, status: 'done', html: '<p>Uno</p>' }]
+    });
+
+    it('stops loading with what the server had', () => {
+      expect(partialJob()).toMatchObject({ status: 'partial', isLoading: false, translatedText: '<p>Uno</p>', totalPages: 4 });
+    });
+
+    it('ignores status updates until tracking resumes', () => {
+      const state = partialJob();
+      expect(jobReducer(state, { type: 'statusReceived', processId: PROCESS_ID, statusData: { status: 'in_progress' } })).toBe(state);
+    });
+
+    it('resumes tracking, or is accepted as the final result', () => {
+      expect(jobReducer(partialJob(), { type: 'retryPolling' })).toMatchObject({ status: 'in_progress', isLoading: true });
+      expect(jobReducer(partialJob(), { type: 'partialAccepted' })).toMatchObject({ status: 'completed', isLoading: false });
+    });
+
+    it('accepts edited content, unlike a running job', () => {
+      const running = runningJob();
+      const update = { type: 'translationUpdated', processId: PROCESS_ID, translatedText: '<p>Edited</p>', pages: [] };
+
+      expect(jobReducer(partialJob(), update).translatedText).toBe('<p>Edited</p>');
+      expect(jobReducer(running, update)).toBe(running);
+    });
+  });
+
+  describe('stalled jobs', () => {
+    const stalledJob = () => jobReducer(runningJob(), {
+      type: 'stalled',
+      reason: 'connection',
+      error: 'Lost contact with the server'
+    });
+
+    it('stops loading and keeps the reason', () => {
+      expect(stalledJob()).toMatchObject({ status: 'stalled', isLoading: false, stallReason: 'connection' });
+    });
+
+    it('loads again while recovering', () => {
+      expect(jobReducer(stalledJob(), { type: 'recoveryStarted' })).toMatchObject({
+        status: 'stalled',
+        isRecovering: true,
+        isLoading: true,
+        error: null
+      });
+    });
+
+    it('continues when the job is found again', () => {
+      const state = reduceAll([
+        { type: 'recoveryStarted' },
+        { type: 'jobAttached', job: { processId: PROCESS_ID, status: 'in_progress', progress: 60 } }
+      ], stalledJob());
+
+      expect(state).toMatchObject({ status: 'in_progress', isRecovering: false, stallReason: null, progress: 60, isLoading: true });
+    });
+
+    it('ignores recovery for a job that is not stalled', () => {
+      const state = runningJob();
+      expect(jobReducer(state, { type: 'recoveryStarted' })).toBe(state);
+    });
+  });
+
+  it('cancels a running job and clears its results', () => {
+    const state = reduceAll([
+      { type: 'pageReceived', processId: PROCESS_ID, page: { pageNumber: 1, status: 'done', html: '<p>Uno</p>' } },
+      { type: 'cancelRequested' },
+      { type: 'cancelled', processId: PROCESS_ID, cancellation: { pagesProcessed: 1, pagesBilled: 1, totalPages: 4 } }
+    ], runningJob());
+
+    expect(state).toMatchObject({ status: 'cancelled', isLoading: false, isCancelling: false, pages: {} });
+    expect(state.cancellation.pagesBilled).toBe(1);
+  });
+
+  it('starts over after a reset', () => {
+    const completed = jobReducer(runningJob(), { type: 'resultReceived', processId: PROCESS_ID, result: {}, pages: [] });
+    expect(jobReducer(completed, { type: 'reset' })).toEqual(initialJobState);
+  });
+});
+
+describe('getDisplayProgress', () => {
+  const now = 1_000_000;
+  const delayedJob = () => ({
+    ...runningJob(),
+    progress: 0,
+    currentPage: 0,
+    totalPages: 0,
+    statusDelayedSince: now - 30000
+  });
+
+  it('shows upload progress while uploading', () => {
+    const state = reduceAll([
+      { type: 'uploadStarted', fileName: 'report.pdf' },
+      { type: 'uploadProgress', uploadProgress: { percent: 35 } }
+    ]);
+    expect(getDisplayProgress(state)).toEqual({ value: 35, page: 0, total: 0, isEstimated: false });
+  });
+
+  it('shows reported progress as is', () => {
+    expect(getDisplayProgress(runningJob(), { now })).toEqual({ value: 40, page: 2, total: 4, isEstimated: false });
+  });
+
+  it('estimates from elapsed time without earlier jobs', () => {
+    expect(getDisplayProgress(delayedJob(), { now })).toEqual({ value: 15, page: 1, total: 4, isEstimated: true });
+  });
+
+  it('estimates from seconds per page of earlier jobs', () => {
+    expect(getDisplayProgress(delayedJob(), { now, startedAt: now - 25000, secondsPerPage: 10 }))
+      .toEqual({ value: 63, page: 3, total: 4, isEstimated: true });
+  });
+
+  it('caps estimates below completion', () => {
+    expect(getDisplayProgress(delayedJob(), { now, startedAt: now - 600000, secondsPerPage: 10 }))
+      .toMatchObject({ value: 90, page: 4, isEstimated: true });
+  });
+});
@@ -0,0 +1,190 @@
+// src/services/translationJobs.js - Standalone status tracking for translation jobs
+import { documentService } from './api';
+import { TERMINAL_JOB_STATES } from './jobStateMachine';
+
+const BASE_POLL_INTERVAL = 3000; // 3 seconds between status checks
+const MAX_POLL_BACKOFF = 30000; // 30 seconds maximum after repeated failures
+const MAX_CONSECUTIVE_FAILURES = 20;
+const STREAM_MAX_RECONNECTS = 3; // Consecutive dropped streams before falling back to polling
+
+// Get a Clerk token for a single request, falling back to the default auth on failure
+const getRequestToken = async (skipCache = false) => {
+  try {
+    return await window.Clerk.session.getToken({
+      skipCache,
+      expiration: 60 * 60
+    });
+  } catch (tokenError) {
+    console.warn('Token fetch error in job tracker, continuing with existing token');
+    return null;
+  }
+};
+
+/**
+ * Follow one job over the server's event stream, which pushes each status change
+ * and every finished page as it happens. One token is fetched per connection
+ * rather than per update. Dropped connections are resumed from the last event;
+ * when the server has no stream, or it keeps dropping, onFallback is called once
+ * and the caller should poll instead.
+ *
+ * onStatus receives status objects shaped like /documents/status responses,
+ * onPartial receives { pageNumber, totalPages, html } for each finished page.
+ * Returns a function that stops watching.
+ */
+export const watchTranslationJob = (processId, { onStatus, onPartial, onFallback } = {}) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let failures = 0;
+  let isFinished = false;
+
+  const connect = async () => {
+    if (controller.signal.aborted) return;
+    const token = await getRequestToken(failures > 0);
+    let receivedEvents = false;
+
+    try {
+      await documentService.streamTranslationStatus(processId, {
+        token,
+        lastEventId,
+        signal: controller.signal,
+        onEvent: ({ type, data, id }) => {
+          receivedEvents = true;
+          if (id) lastEventId = id;
+
+          if (type === 'partial') {
+            onPartial?.(data);
+          } else if (type === 'status') {
+            isFinished = TERMINAL_JOB_STATES.includes(data.status);
+            onStatus?.(data);
+          }
+        }
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      if (error.isStreamUnsupported) {
+        console.log(`📡 No status stream for ${processId}, falling back to polling`);
+        onFallback?.();
+        return;
+      }
+      console.warn(`⚠️ Status stream for ${processId} dropped:`, error);
+    }
+
+    if (controller.signal.aborted || isFinished) return;
+
+    // A connection that delivered events was healthy, so start counting again
+    failures = receivedEvents ? 1 : failures + 1;
+    if (failures > STREAM_MAX_RECONNECTS) {
+      console.warn(`⚠️ Status stream for ${processId} keeps dropping, falling back to polling`);
+      onFallback?.();
+      return;
+    }
+    setTimeout(connect, Math.pow(2, failures - 1) * 1000);
+  };
+
+  connect();
+
+  return () => controller.abort();
+};
+
+/**
+ * Track one translation job until it completes, fails or is stopped: over the
+ * event stream when the server offers one, otherwise by polling its status.
+ * Unlike the polling loop in DocumentTranslationPage this holds no React state, so
+ * any number of jobs (e.g. a batch queue) can be tracked side by side.
+ *
+ * Returns a function that stops tracking.
+ */
+export const trackTranslationJob = (processId, { onUpdate, onPartial, onComplete, onError } = {}) => {
+  let stopped = false;
+  let timeoutId = null;
+  let attempt = 0;
+  let failures = 0;
+
+  const schedule = (delay) => {
+    if (!stopped) {
+      timeoutId = setTimeout(poll, delay);
+    }
+  };
+
+  // Shared by the stream and the poller; resolves to true once the job has finished
+  const handleStatus = async (statusData, token) => {
+    onUpdate?.(statusData);
+
+    if (statusData.status === 'completed') {
+      const result = await documentService.getTranslationResultWithToken(processId, false, token);
+      if (!stopped) {
+        onComplete?.(result);
+      }
+      return true;
+    }
+
+    if (statusData.status === 'failed') {
+      onError?.(new Error(statusData.error || 'Translation failed. Please try again.'));
+      return true;
+    }
+
+    if (statusData.status === 'cancelled') {
+      const error = new Error('The translation was cancelled.');
+      error.isCancelled = true;
+      onError?.(error);
+      return true;
+    }
+
+    return false;
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+    attempt += 1;
+
+    try {
+      const token = await getRequestToken(attempt > 3);
+      const statusData = await documentService.checkTranslationStatusWithToken(processId, token);
+      if (stopped) return;
+
+      failures = statusData.isNetworkEstimate ? failures + 1 : 0;
+      if (await handleStatus(statusData, token)) {
+        return;
+      }
+    } catch (error) {
+      console.error(`🚨 Job tracker error for ${processId}:`, error);
+      failures += 1;
+
+      if (failures > MAX_CONSECUTIVE_FAILURES) {
+        onError?.(error);
+        return;
+      }
+    }
+
+    // Jitter keeps many tracked jobs from polling in lockstep
+    const jitter = Math.floor(Math.random() * 1000) - 500;
+    const backoff = failures > 0 ? Math.min(Math.pow(1.5, failures) * 1000, MAX_POLL_BACKOFF) : 0;
+    schedule(BASE_POLL_INTERVAL + jitter + backoff);
+  };
+
+  const stopWatching = watchTranslationJob(processId, {
+    onStatus: async (statusData) => {
+      if (stopped) return;
+      try {
+        await handleStatus(statusData, statusData.status === 'completed' ? await getRequestToken() : null);
+      } catch (error) {
+        // The poller retries the result fetch with its own backoff
+        console.warn(`⚠️ Could not fetch the result of ${processId} after the stream finished:`, error);
+        poll();
+      }
+    },
+    onPartial: (page) => {
+      if (!stopped) onPartial?.(page);
+    },
+    onFallback: poll
+  });
+
+  return () => {
+    stopped = true;
+    stopWatching();
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
+};
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { documentService } from './api';
+import { watchTranslationJob, trackTranslationJob } from './translationJobs';
+
+vi.mock('./api', () => ({
+  documentService: {
+    streamTranslationStatus: vi.fn(),
+    checkTranslationStatusWithToken: vi.fn(),
+    getTranslationResultWithToken: vi.fn()
+  }
+}));
+
+const PROCESS_ID = 'job-1';
+
+const dropped = () => Object.assign(new Error('network error'), { name: 'TypeError' });
+const unsupported = () => Object.assign(new Error('No status stream'), { isStreamUnsupported: true });
+
+/**
+ * Script the status stream: each connection delivers its events, then ends the way
+ * it says ('drop', 'unsupported' or 'close'). Returns the options of every connection.
+ */
+const scriptStream = (connections) => {
+  const opened = [];
+  documentService.streamTranslationStatus.mockImplementation(async (processId, options) => {
+    opened.push(options);
+    const { events = [], end = 'drop' } = connections[opened.length - 1] || {};
+    events.forEach(options.onEvent);
+    if (end === 'drop') throw dropped();
+    if (end === 'unsupported') throw unsupported();
+  });
+  return opened;
+};
+
+const statusEvent = (id, data) => ({ type: 'status', id, data });
+
+let getToken;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  getToken = vi.fn().mockResolvedValue('token');
+  vi.stubGlobal('window', { Clerk: { session: { getToken } } });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  Object.values(documentService).forEach(mock => mock.mockReset());
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('watchTranslationJob', () => {
+  it('passes status and page events on and stops at a finished status', async () => {
+    const opened = scriptStream([{
+      events: [
+        statusEvent('1', { status: 'in_progress', progress: 50 }),
+        { type: 'partial', id: '2', data: { pageNumber: 1, totalPages: 2, html: '<p>Uno</p>' } },
+        statusEvent('3', { status: 'completed', progress: 100 })
+      ],
+      end: 'close'
+    }]);
+    const onStatus = vi.fn();
+    const onPartial = vi.fn();
+
+    watchTranslationJob(PROCESS_ID, { onStatus, onPartial });
+    await vi.runAllTimersAsync();
+
+    expect(onStatus.mock.calls.map(([data]) => data.status)).toEqual(['in_progress', 'completed']);
+    expect(onPartial).toHaveBeenCalledWith({ pageNumber: 1, totalPages: 2, html: '<p>Uno</p>' });
+    expect(opened).toHaveLength(1);
+  });
+
+  it('reconnects after a drop from the last event with a fresh token', async () => {
+    const opened = scriptStream([
+      { events: [statusEvent('7', { status: 'in_progress', progress: 20 })] },
+      { events: [statusEvent('8', { status: 'completed', progress: 100 })], end: 'close' }
+    ]);
+
+    watchTranslationJob(PROCESS_ID, { onStatus: vi.fn() });
+    await vi.runAllTimersAsync();
+
+    expect(opened).toHaveLength(2);
+    expect(opened[0]).toMatchObject({ token: 'token', lastEventId: null });
+    expect(opened[1]).toMatchObject({ token: 'token', lastEventId: '7' });
+    expect(getToken.mock.calls.map(([options]) => options.skipCache)).toEqual([false, true]);
+  });
+
+  it('falls back to polling once the stream has dropped three times in a row', async () => {
+    const opened = scriptStream([]);
+    const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout');
+    const onFallback = vi.fn();
+
+    watchTranslationJob(PROCESS_ID, { onFallback });
+    await vi.runAllTimersAsync();
+
+    expect(opened).toHaveLength(4);
+    expect(setTimeoutSpy.mock.calls.map(([, delay]) => delay)).toEqual([1000, 2000, 4000]);
+    expect(onFallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts counting drops again after a connection that delivered events', async () => {
+    const opened = scriptStream([
+      {},
+      {},
+      { events: [statusEvent('1', { status: 'in_progress' })] },
+      {},
+      {},
+      {}
+    ]);
+    const onFallback = vi.fn();
+
+    watchTranslationJob(PROCESS_ID, { onFallback });
+    await vi.runAllTimersAsync();
+
+    expect(opened).toHaveLength(6);
+    expect(onFallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to polling at once when the server has no stream', async () => {
+    const opened = scriptStream([{ end: 'unsupported' }]);
+    const onFallback = vi.fn();
+
+    watchTranslationJob(PROCESS_ID, { onFallback });
+    await vi.runAllTimersAsync();
+
+    expect(opened).toHaveLength(1);
+    expect(onFallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops reconnecting once stopped', async () => {
+    const opened = scriptStream([]);
+    const onFallback = vi.fn();
+
+    const stop = watchTranslationJob(PROCESS_ID, { onFallback });
+    await vi.advanceTimersByTimeAsync(0);
+    stop();
+    await vi.runAllTimersAsync();
+
+    expect(opened).toHaveLength(1);
+    expect(opened[0].signal.aborted).toBe(true);
+    expect(onFallback).not.toHaveBeenCalled();
+  });
+});
+
+describe('trackTranslationJob', () => {
+  it('polls after falling back and fetches the result once the job completes', async () => {
+    scriptStream([{ end: 'unsupported' }]);
+    documentService.checkTranslationStatusWithToken
+      .mockResolvedValueOnce({ status: 'in_progress', progress: 50 })
+      .mockResolvedValueOnce({ status: 'completed', progress: 100 });
+    documentService.getTranslationResultWithToken.mockResolvedValue({ translatedText: '<p>Hola</p>' });
+    const onUpdate = vi.fn();
+    const onComplete = vi.fn();
+
+    trackTranslationJob(PROCESS_ID, { onUpdate, onComplete });
+    await vi.runAllTimersAsync();
+
+    expect(onUpdate.mock.calls.map(([data]) => data.status)).toEqual(['in_progress', 'completed']);
+    expect(documentService.getTranslationResultWithToken).toHaveBeenCalledWith(PROCESS_ID, false, 'token');
+    expect(onComplete).toHaveBeenCalledWith({ translatedText: '<p>Hola</p>' });
+  });
+
+  it('reports a job cancelled on the server as a cancelled error', async () => {
+    scriptStream([{ events: [statusEvent('1', { status: 'cancelled' })], end: 'close' }]);
+    const onError = vi.fn();
+
+    trackTranslationJob(PROCESS_ID, { onError });
+    await vi.runAllTimersAsync();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ isCancelled: true }));
+    expect(documentService.checkTranslationStatusWithToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+// src/store/backgroundJobs.js - App-wide store of translation jobs, persisted across reloads
+import { useEffect } from 'react';
+import { atom, useSetAtom } from 'jotai';
+import { atomWithStorage, createJSONStorage } from 'jotai/utils';
+import { recordThroughput } from '../utils/throughputStats';
+import { canTransition } from '../services/jobStateMachine';
+
+export const ACTIVE_JOB_STATUSES = ['pending', 'in_progress'];
+const MAX_STORED_JOBS = 20;
+// A job not heard from for longer finished unobserved, e.g. while the app was closed
+const MAX_TIMED_UPDATE_GAP = 2 * 60 * 1000;
+
+/**
+ * Jobs started in this browser, newest first. Each entry is
+ * { processId, userId, fileName, fileType, fromLang, toLang, status, progress,
+ *   currentPage, totalPages, error, startedAt, updatedAt }.
+ * Only status is stored; results are fetched again from the server when opened.
+ */
+export const backgroundJobsAtom = atomWithStorage(
+  'backgroundJobs',
+  [],
+  createJSONStorage(() => localStorage),
+  { getOnInit: true }
+);
+
+// Jobs a mounted page is tracking itself; the tray leaves these alone
+export const foregroundJobIdsAtom = atom([]);
+
+// Time a job watched until it completed, so later estimates for similar files use it
+const recordCompletedJob = (existing, job) => {
+  if (job.status !== 'completed' || !ACTIVE_JOB_STATUSES.includes(existing.status)) return;
+  if (Date.now() - existing.updatedAt > MAX_TIMED_UPDATE_GAP) return;
+
+  recordThroughput({
+    fileType: existing.fileType,
+    fromLang: existing.fromLang,
+    toLang: existing.toLang,
+    pages: job.totalPages || existing.totalPages,
+    seconds: (Date.now() - existing.startedAt) / 1000
+  });
+};
+
+// The fields stored for a job, taken from its state machine state (see jobStateMachine.js)
+export const toStoredJob = (job) => ({
+  processId: job.processId,
+  status: job.status,
+  progress: job.progress,
+  currentPage: job.currentPage,
+  totalPages: job.totalPages,
+  error: job.error
+});
+
+// Add a job, or merge changes into the stored one with the same processId. Status
+// changes the job state machine does not allow, e.g. a late update after completion, are dropped.
+export const saveJobAtom = atom(null, (get, set, job) => {
+  const jobs = get(backgroundJobsAtom);
+  const existing = jobs.find(stored => stored.processId === job.processId);
+
+  if (existing) {
+    if (job.status && !canTransition(existing.status, job.status)) return;
+    recordCompletedJob(existing, job);
+    set(backgroundJobsAtom, jobs.map(stored => stored === existing
+      ? { ...existing, ...job, updatedAt: Date.now() }
+      : stored));
+    return;
+  }
+
+  set(backgroundJobsAtom, [
+    { startedAt: Date.now(), ...job, updatedAt: Date.now() },
+    ...jobs
+  ].slice(0, MAX_STORED_JOBS));
+});
+
+export const dismissJobAtom = atom(null, (get, set, processId) => {
+  set(backgroundJobsAtom, get(backgroundJobsAtom).filter(job => job.processId !== processId));
+});
+
+export const clearFinishedJobsAtom = atom(null, (get, set, userId) => {
+  set(backgroundJobsAtom, get(backgroundJobsAtom).filter(job =>
+    job.userId !== userId || ACTIVE_JOB_STATUSES.includes(job.status)
+  ));
+});
+
+// Mark jobs as tracked by the calling component while it is mounted
+export const useForegroundJobs = (processIds) => {
+  const setForegroundJobIds = useSetAtom(foregroundJobIdsAtom);
+  const key = processIds.filter(Boolean).join(',');
+
+  useEffect(() => {
+    if (!key) return;
+    const ids = key.split(',');
+    setForegroundJobIds(prev => [...prev, ...ids]);
+    return () => setForegroundJobIds(prev => {
+      const remaining = [...prev];
+      // Remove one claim per id, in case another component claimed the same job
+      ids.forEach(id => remaining.splice(remaining.indexOf(id), 1));
+      return remaining;
+    });
+  }, [key, setForegroundJobIds]);
+};
@@ -0,0 +1,44 @@
+// src/utils/clipboard.js - Copy rendered translations to the clipboard
+
+/**
+ * Copy an element's content with its formatting, falling back to plain text.
+ * Resolves to 'html' or 'text' depending on what the browser accepted.
+ */
+export const copyElementToClipboard = async (element) => {
+  const htmlContent = element.innerHTML;
+  const plainText = element.innerText;
+
+  try {
+    if (navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
+      // Modern clipboard API with HTML support
+      const clipboardItem = new ClipboardItem({
+        'text/html': new Blob([htmlContent], { type: 'text/html' }),
+        'text/plain': new Blob([plainText], { type: 'text/plain' })
+      });
+
+      await navigator.clipboard.write([clipboardItem]);
+    } else {
+      // Fallback for browsers without HTML clipboard support
+      const tempElement = document.createElement('div');
+      tempElement.innerHTML = htmlContent;
+      document.body.appendChild(tempElement);
+
+      const range = document.createRange();
+      range.selectNodeContents(tempElement);
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      document.execCommand('copy');
+      document.body.removeChild(tempElement);
+    }
+    return 'html';
+  } catch (err) {
+    console.error('Failed to copy text:', err);
+
+    // Fallback to plain text if HTML copy fails
+    await navigator.clipboard.writeText(plainText);
+    return 'text';
+  }
+};
@@ -0,0 +1,62 @@
+// src/utils/eventStream.js - Parse a text/event-stream (Server-Sent Events) response body
+
+/**
+ * Read SSE events from a fetch Response body until the stream ends.
+ * fetch is used instead of EventSource because EventSource cannot send an
+ * Authorization header. Each event is passed to onEvent as { type, data, id },
+ * with data parsed as JSON when possible.
+ */
+export const readEventStream = async (body, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let event = { type: 'message', data: [], id: null };
+
+  const dispatch = () => {
+    if (event.data.length > 0) {
+      const raw = event.data.join('\n');
+      let data = raw;
+      try {
+        data = JSON.parse(raw);
+      } catch {
+        // Plain-text payload
+      }
+      onEvent({ type: event.type, data, id: event.id });
+    }
+    event = { type: 'message', data: [], id: null };
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    // Lines starting with a colon are comments, used as keep-alives
+    if (line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event.type = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.id = value;
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    // A trailing \r may be the first half of a \r\n split across reads, so it waits for the next chunk
+    const complete = buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer;
+    const lines = complete.split(/\r\n|\r|\n/);
+    // The last piece may be an incomplete line
+    buffer = lines.pop() + buffer.slice(complete.length);
+    lines.forEach(processLine);
+  }
+
+  // A \r held back at the end of the stream did end its line
+  if (buffer.endsWith('\r')) {
+    processLine(buffer.slice(0, -1));
+  }
+};
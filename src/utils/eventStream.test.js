@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { readEventStream } from './eventStream';
+
+// A response body that delivers the chunks as separate reads
+const streamOf = (chunks) => new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+    controller.close();
+  }
+});
+
+const readAll = async (chunks) => {
+  const events = [];
+  await readEventStream(streamOf(chunks), event => events.push(event));
+  return events;
+};
+
+describe('readEventStream', () => {
+  it('parses events with their type, id and JSON data', async () => {
+    const events = await readAll(['event: status\nid: 3\ndata: {"progress":40}\n\n', 'data: plain\n\n']);
+
+    expect(events).toEqual([
+      { type: 'status', data: { progress: 40 }, id: '3' },
+      { type: 'message', data: 'plain', id: null }
+    ]);
+  });
+
+  it('joins data lines and skips comments', async () => {
+    const events = await readAll([': keep-alive\n', 'data: one\ndata: two\n\n']);
+
+    expect(events).toEqual([{ type: 'message', data: 'one\ntwo', id: null }]);
+  });
+
+  it('reads a line split across chunks', async () => {
+    const events = await readAll(['event: sta', 'tus\ndata: {"progr', 'ess":10}\n', '\n']);
+
+    expect(events).toEqual([{ type: 'status', data: { progress: 10 }, id: null }]);
+  });
+
+  it('treats a CRLF split across chunks as one line break', async () => {
+    const events = await readAll(['event: status\r', '\ndata: {"a":1}\r', '\ndata: {"b":2}\r\n\r', '\n']);
+
+    expect(events).toEqual([{ type: 'status', data: '{"a":1}\n{"b":2}', id: null }]);
+  });
+
+  it('accepts CR-only line breaks', async () => {
+    const events = await readAll(['data: one\r', '\r', 'data: two\r\r']);
+
+    expect(events.map(event => event.data)).toEqual(['one', 'two']);
+  });
+});
@@ -0,0 +1,265 @@
+// src/utils/fileFormats.js - Registry of supported upload formats, identified by file signature
+
+const MB = 1024 * 1024;
+const SNIFF_LENGTH = 4096; // Bytes read from the start of a file to identify it
+const ZIP_EOCD_SEARCH_LENGTH = 64 * 1024 + 22; // Longest possible ZIP comment plus the end record
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, index) => bytes[offset + index] === byte);
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Formats accepted for translation. `matches` receives what was read from the
+ * file: { bytes, text, zip } where text is set for text-like files and zip
+ * ({ mimetype, entries }) for ZIP containers. Order matters: the first match wins,
+ * so the loosely matched text formats come last.
+ */
+export const FILE_FORMATS = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    mimeType: 'application/pdf',
+    extensions: ['pdf'],
+    maxSize: 200 * MB,
+    // Some generators put junk before the header, which readers tolerate
+    matches: ({ bytes }) => ascii(bytes, 0, 1024).includes('%PDF-')
+  },
+  {
+    id: 'docx',
+    label: 'DOCX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['docx'],
+    maxSize: 100 * MB,
+    matches: ({ zip }) => Boolean(zip?.entries.has('word/document.xml'))
+  },
+  {
+    id: 'odt',
+    label: 'ODT',
+    mimeType: 'application/vnd.oasis.opendocument.text',
+    extensions: ['odt'],
+    maxSize: 100 * MB,
+    matches: ({ zip }) => zip?.mimetype === 'application/vnd.oasis.opendocument.text'
+  },
+  {
+    id: 'pptx',
+    label: 'PPTX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extensions: ['pptx'],
+    maxSize: 200 * MB,
+    matches: ({ zip }) => Boolean(zip?.entries.has('ppt/presentation.xml'))
+  },
+  {
+    id: 'xlsx',
+    label: 'XLSX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extensions: ['xlsx'],
+    maxSize: 50 * MB,
+    matches: ({ zip }) => Boolean(zip?.entries.has('xl/workbook.xml'))
+  },
+  {
+    id: 'epub',
+    label: 'EPUB',
+    mimeType: 'application/epub+zip',
+    extensions: ['epub'],
+    maxSize: 100 * MB,
+    matches: ({ zip }) => zip?.mimetype === 'application/epub+zip'
+  },
+  {
+    id: 'jpeg',
+    label: 'JPEG',
+    mimeType: 'image/jpeg',
+    aliases: ['image/jpg', 'image/pjpeg'],
+    extensions: ['jpg', 'jpeg', 'jfif'],
+    maxSize: 25 * MB,
+    matches: ({ bytes }) => startsWith(bytes, [0xff, 0xd8, 0xff])
+  },
+  {
+    id: 'png',
+    label: 'PNG',
+    mimeType: 'image/png',
+    extensions: ['png'],
+    maxSize: 25 * MB,
+    matches: ({ bytes }) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  {
+    id: 'webp',
+    label: 'WEBP',
+    mimeType: 'image/webp',
+    extensions: ['webp'],
+    maxSize: 25 * MB,
+    matches: ({ bytes }) => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP'
+  },
+  {
+    id: 'heic',
+    label: 'HEIC',
+    mimeType: 'image/heic',
+    aliases: ['image/heif'],
+    extensions: ['heic', 'heif'],
+    maxSize: 25 * MB,
+    matches: ({ bytes }) => ascii(bytes, 4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(bytes, 8, 12))
+  },
+  {
+    id: 'rtf',
+    isText: true,
+    label: 'RTF',
+    mimeType: 'application/rtf',
+    aliases: ['text/rtf'],
+    extensions: ['rtf'],
+    maxSize: 50 * MB,
+    matches: ({ text }) => text?.startsWith('{\\rtf') ?? false
+  },
+  {
+    id: 'html',
+    isText: true,
+    label: 'HTML',
+    mimeType: 'text/html',
+    aliases: ['application/xhtml+xml'],
+    extensions: ['html', 'htm', 'xhtml'],
+    maxSize: 20 * MB,
+    matches: ({ text }) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html)[\s>]/i.test(text || '')
+  },
+  {
+    id: 'txt',
+    isText: true,
+    label: 'TXT',
+    mimeType: 'text/plain',
+    extensions: ['txt', 'text'],
+    maxSize: 20 * MB,
+    matches: ({ text }) => text !== null
+  }
+];
+
+export const SUPPORTED_FORMAT_LABELS = FILE_FORMATS.map(format => format.label).join(', ');
+
+export const MAX_UPLOAD_SIZE = Math.max(...FILE_FORMATS.map(format => format.maxSize));
+
+// MIME types and extensions both, since browsers do not know every type (EPUB, HEIC)
+export const FILE_INPUT_ACCEPT = FILE_FORMATS
+  .flatMap(format => [format.mimeType, ...format.extensions.map(extension => `.${extension}`)])
+  .join(',');
+
+export const formatSizeLimit = (bytes) => `${Math.round(bytes / MB)}MB`;
+
+const getExtension = (file) => /\.([^.]+)$/.exec(file?.name || '')?.[1].toLowerCase();
+
+// The format a file claims to be from its MIME type or extension; cheap, but not trustworthy
+export const getFileFormat = (file) => {
+  const extension = getExtension(file);
+  return FILE_FORMATS.find(format => file?.type && (format.mimeType === file.type || format.aliases?.includes(file.type))) ||
+    FILE_FORMATS.find(format => format.extensions.includes(extension)) ||
+    null;
+};
+
+// Treat a sample as text when it has no NUL bytes; legacy encodings are fine too
+const decodeText = (bytes) => {
+  if (bytes.includes(0)) return null;
+  return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+};
+
+// List entry names from the ZIP central directory without loading the whole archive
+const readZipEntries = async (file) => {
+  const tailStart = Math.max(0, file.size - ZIP_EOCD_SEARCH_LENGTH);
+  const tail = new Uint8Array(await file.slice(tailStart).arrayBuffer());
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (startsWith(tail, [0x50, 0x4b, 0x05, 0x06], i)) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) return new Set();
+
+  const tailView = new DataView(tail.buffer);
+  const directorySize = tailView.getUint32(eocd + 12, true);
+  const directoryOffset = tailView.getUint32(eocd + 16, true);
+  const directory = new Uint8Array(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const view = new DataView(directory.buffer);
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Set();
+
+  let offset = 0;
+  while (offset + 46 <= directory.length && startsWith(directory, [0x50, 0x4b, 0x01, 0x02], offset)) {
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.add(decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength)));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// ODF and EPUB store an uncompressed "mimetype" file as the first entry of the archive
+const readZipMimetype = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const nameLength = view.getUint16(26, true);
+  const extraLength = view.getUint16(28, true);
+  if (ascii(bytes, 30, 30 + nameLength) !== 'mimetype') return null;
+
+  const dataStart = 30 + nameLength + extraLength;
+  return ascii(bytes, dataStart, dataStart + view.getUint32(18, true)).trim();
+};
+
+/**
+ * Identify a file from its contents. Returns the matching FILE_FORMATS entry, or
+ * null when the contents are not a supported format whatever the file is called.
+ */
+export const detectFileFormat = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+  const isZip = bytes.length >= 30 && startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]);
+
+  const sample = {
+    bytes,
+    text: isZip ? null : decodeText(bytes),
+    zip: isZip ? { mimetype: readZipMimetype(bytes), entries: await readZipEntries(file) } : null
+  };
+
+  const detected = FILE_FORMATS.find(format => format.matches(sample)) || null;
+
+  // Text formats overlap (HTML saved as .txt is valid text too), so keep the one the file claims
+  const claimed = getFileFormat(file);
+  if (detected?.isText && claimed?.isText && claimed.matches(sample)) return claimed;
+
+  return detected;
+};
+
+/**
+ * Check an upload against the registry. Resolves to { file, format, error }:
+ * file carries the detected MIME type (browsers often report none, or the wrong
+ * one), and error is a message for files that cannot be translated.
+ */
+export const inspectFile = async (file) => {
+  let format;
+  try {
+    format = await detectFileFormat(file);
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${file.name} to check its format:`, error);
+    return { file, format: null, error: 'This file could not be read.' };
+  }
+
+  if (!format) {
+    return {
+      file,
+      format: null,
+      error: `Unsupported file type. Supported formats: ${SUPPORTED_FORMAT_LABELS}.`
+    };
+  }
+
+  if (file.size > format.maxSize) {
+    return {
+      file,
+      format,
+      error: `File too large. Maximum size for ${format.label} files is ${formatSizeLimit(format.maxSize)}.`
+    };
+  }
+
+  if (file.type !== format.mimeType) {
+    console.log(`🔍 ${file.name} reported as "${file.type || 'unknown'}", contents are ${format.label}`);
+    file = new File([file], file.name, { type: format.mimeType, lastModified: file.lastModified });
+  }
+
+  return { file, format, error: null };
+};
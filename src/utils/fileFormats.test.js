@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import JSZip from 'jszip';
+import { detectFileFormat, getFileFormat, inspectFile } from './fileFormats';
+
+const fileOf = (contents, name, type = '') => new File([contents], name, { type });
+const bytesOf = (...values) => new Uint8Array(values);
+
+// A ZIP container with the given entries, in order
+const zipOf = async (entries) => {
+  const zip = new JSZip();
+  entries.forEach(([name, content]) => zip.file(name, content, { compression: name === 'mimetype' ? 'STORE' : 'DEFLATE' }));
+  return zip.generateAsync({ type: 'uint8array' });
+};
+
+const detectedId = async (file) => (await detectFileFormat(file))?.id ?? null;
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('detectFileFormat', () => {
+  it('recognises PDFs, including junk before the header', async () => {
+    expect(await detectedId(fileOf('%PDF-1.7\n', 'a.pdf'))).toBe('pdf');
+    expect(await detectedId(fileOf('garbage\n%PDF-1.4\n', 'a.bin'))).toBe('pdf');
+  });
+
+  it('recognises images by their magic bytes', async () => {
+    expect(await detectedId(fileOf(bytesOf(0xff, 0xd8, 0xff, 0xe0, 0, 0x10), 'photo'))).toBe('jpeg');
+    expect(await detectedId(fileOf(bytesOf(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0), 'scan'))).toBe('png');
+    expect(await detectedId(fileOf('RIFF\0\0\0\0WEBPVP8 ', 'image'))).toBe('webp');
+    expect(await detectedId(fileOf('\0\0\0\x18ftypheic\0\0\0\0', 'IMG_0001'))).toBe('heic');
+  });
+
+  it('tells office documents apart by the entries of the ZIP', async () => {
+    expect(await detectedId(fileOf(await zipOf([['word/document.xml', '<w:document/>']]), 'a.zip'))).toBe('docx');
+    expect(await detectedId(fileOf(await zipOf([['ppt/presentation.xml', '<p/>']]), 'a.zip'))).toBe('pptx');
+    expect(await detectedId(fileOf(await zipOf([['xl/workbook.xml', '<w/>']]), 'a.zip'))).toBe('xlsx');
+  });
+
+  it('reads the mimetype entry of ODF and EPUB archives', async () => {
+    const odt = await zipOf([['mimetype', 'application/vnd.oasis.opendocument.text'], ['content.xml', '<office/>']]);
+    const epub = await zipOf([['mimetype', 'application/epub+zip'], ['META-INF/container.xml', '<container/>']]);
+
+    expect(await detectedId(fileOf(odt, 'book.odt'))).toBe('odt');
+    expect(await detectedId(fileOf(epub, 'book'))).toBe('epub');
+  });
+
+  it('rejects ZIP archives that are not documents', async () => {
+    expect(await detectedId(fileOf(await zipOf([['photos/1.jpg', 'jpeg']]), 'photos.docx'))).toBeNull();
+  });
+
+  it('recognises text formats, keeping the one the file claims when both fit', async () => {
+    expect(await detectedId(fileOf('{\\rtf1\\ansi Hello}', 'letter'))).toBe('rtf');
+    expect(await detectedId(fileOf('\uFEFF<!-- saved --><!DOCTYPE html><p>Hi</p>', 'page'))).toBe('html');
+    expect(await detectedId(fileOf('<html><body>Hi</body></html>', 'page.txt', 'text/plain'))).toBe('txt');
+    expect(await detectedId(fileOf('Plain notes', 'notes.html'))).toBe('txt');
+  });
+
+  it('does not take binary data for text', async () => {
+    expect(await detectedId(fileOf(bytesOf(0x01, 0x00, 0x02, 0x03), 'data.txt', 'text/plain'))).toBeNull();
+  });
+});
+
+describe('getFileFormat', () => {
+  it('goes by MIME type, its aliases, then the extension', () => {
+    expect(getFileFormat(fileOf('', 'x', 'image/jpg')).id).toBe('jpeg');
+    expect(getFileFormat(fileOf('', 'book.EPUB')).id).toBe('epub');
+    expect(getFileFormat(fileOf('', 'archive.7z'))).toBeNull();
+  });
+});
+
+describe('inspectFile', () => {
+  it('corrects the MIME type the browser reported', async () => {
+    const { file, format, error } = await inspectFile(fileOf('%PDF-1.7\n', 'scan.pdf', 'application/octet-stream'));
+
+    expect(error).toBeNull();
+    expect(format.id).toBe('pdf');
+    expect(file.type).toBe('application/pdf');
+    expect(file.name).toBe('scan.pdf');
+  });
+
+  it('explains unsupported files and size limits', async () => {
+    const unsupported = await inspectFile(fileOf(bytesOf(0x00, 0x01), 'tool.exe'));
+    expect(unsupported.error).toMatch(/^Unsupported file type\. Supported formats: PDF, DOCX/);
+
+    const large = fileOf('%PDF-1.7\n', 'big.pdf', 'application/pdf');
+    Object.defineProperty(large, 'size', { value: 201 * 1024 * 1024 });
+    const tooLarge = await inspectFile(large);
+    expect(tooLarge.error).toBe('File too large. Maximum size for PDF files is 200MB.');
+  });
+});
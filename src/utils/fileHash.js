@@ -0,0 +1,25 @@
+// src/utils/fileHash.js - Content hashes that identify a document regardless of its name
+
+// Keyed by File object, so the preflight check and the upload hash each file only once
+const hashCache = new WeakMap();
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * SHA-256 of the file contents as a hex string.
+ * SubtleCrypto has no streaming digest, so the whole file is read into memory once.
+ */
+export const hashFile = (file) => {
+  if (!hashCache.has(file)) {
+    const promise = file.arrayBuffer()
+      .then(buffer => crypto.subtle.digest('SHA-256', buffer))
+      .then(toHex)
+      .catch(error => {
+        hashCache.delete(file);
+        throw error;
+      });
+    hashCache.set(file, promise);
+  }
+  return hashCache.get(file);
+};
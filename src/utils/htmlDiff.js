@@ -0,0 +1,152 @@
+// src/utils/htmlDiff.js - Word-level differences between two HTML documents that keep their markup
+
+// Edit distance beyond which the changed region is shown as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+// Tags, words and runs of whitespace; tags are compared whole so markup is never split
+const tokenize = (html) => (html || '').match(/<[^>]*>|[^<\s]+|\s+/g) || [];
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Myers' diff of two token lists, as [type, token] pairs with type 'equal',
+ * 'insert' or 'delete'. Returns null when the lists differ by more than maxDistance.
+ */
+const diffTokens = (a, b, maxDistance) => {
+  const n = a.length;
+  const m = b.length;
+  // trace[d] holds the furthest x reached on each diagonal k in [-d, d], at index k + d
+  const trace = [];
+
+  const isDown = (previous, d, k) => k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1]);
+
+  for (let d = 0; d <= Math.min(n + m, maxDistance); d++) {
+    const previous = trace[d - 1];
+    const current = new Int32Array(2 * d + 1);
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = d === 0 ? 0 : isDown(previous, d, k) ? previous[k + 1 + d - 1] : previous[k - 1 + d - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      current[k + d] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(current);
+        return backtrack(trace, a, b, isDown);
+      }
+    }
+    trace.push(current);
+  }
+  return null;
+};
+
+const backtrack = (trace, a, b, isDown) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const previousK = isDown(previous, d, k) ? k + 1 : k - 1;
+    const previousX = previous[previousK + d - 1];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push(['equal', a[--x]]);
+      y--;
+    }
+    if (x === previousX) ops.push(['insert', b[--y]]);
+    else ops.push(['delete', a[--x]]);
+  }
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[--x]]);
+    y--;
+  }
+  return ops.reverse();
+};
+
+/**
+ * Compare two HTML documents word by word. Tags count as single tokens and are
+ * never marked, so a change of formatting alone shows no marked text.
+ * Returns { ops, insertedWords, deletedWords }.
+ */
+export const diffHtml = (oldHtml, newHtml) => {
+  const a = tokenize(oldHtml);
+  const b = tokenize(newHtml);
+
+  // Most edits touch a small part of the document, so only diff what lies between the common ends
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const oldMiddle = a.slice(start, a.length - end);
+  const newMiddle = b.slice(start, b.length - end);
+  const middle = diffTokens(oldMiddle, newMiddle, MAX_EDIT_DISTANCE) || [
+    ...oldMiddle.map(token => ['delete', token]),
+    ...newMiddle.map(token => ['insert', token])
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(a.length - end).map(token => ['equal', token])
+  ];
+  const countWords = (type) => ops.filter(([opType, token]) => opType === type && !isTag(token) && token.trim()).length;
+
+  return { ops, insertedWords: countWords('insert'), deletedWords: countWords('delete') };
+};
+
+/**
+ * Turn diff ops back into HTML. Changed text is wrapped per run in the tag given for
+ * its type in marks (ops of types without one are left out), and only tags of the
+ * types in keepTags are kept, so marks never straddle markup.
+ */
+const renderOps = (ops, { marks, keepTags }) => {
+  let html = '';
+  let run = '';
+  let runTag = null;
+
+  const flush = () => {
+    if (run) html += `<${runTag} class="diff-${runTag}">${run}</${runTag}>`;
+    run = '';
+    runTag = null;
+  };
+
+  for (const [type, token] of ops) {
+    if (isTag(token)) {
+      if (keepTags.includes(type)) {
+        flush();
+        html += token;
+      }
+    } else if (type === 'equal') {
+      flush();
+      html += token;
+    } else if (marks[type]) {
+      if (runTag !== marks[type]) flush();
+      runTag = marks[type];
+      run += token;
+    }
+  }
+  flush();
+  return html;
+};
+
+/**
+ * The new document with inserted text in <ins> and removed text in <del>. Removed
+ * tags are dropped so the result keeps the new document's structure.
+ */
+export const renderInlineDiff = (ops) => renderOps(ops, {
+  marks: { insert: 'ins', delete: 'del' },
+  keepTags: ['equal', 'insert']
+});
+
+// The old and new documents on their own, with removed and added text marked in each
+export const renderSideBySideDiff = (ops) => ({
+  oldHtml: renderOps(ops, { marks: { delete: 'del' }, keepTags: ['equal', 'delete'] }),
+  newHtml: renderOps(ops, { marks: { insert: 'ins' }, keepTags: ['equal', 'insert'] })
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { diffHtml, renderInlineDiff, renderSideBySideDiff } from './htmlDiff';
+
+describe('diffHtml', () => {
+  it('finds no changes between equal documents', () => {
+    const { ops, insertedWords, deletedWords } = diffHtml('<p>Same text</p>', '<p>Same text</p>');
+
+    expect(ops.every(([type]) => type === 'equal')).toBe(true);
+    expect({ insertedWords, deletedWords }).toEqual({ insertedWords: 0, deletedWords: 0 });
+  });
+
+  it('counts changed words, not whitespace or tags', () => {
+    const { insertedWords, deletedWords } = diffHtml(
+      '<p>The quick brown fox</p>',
+      '<p>The slow brown fox jumps</p>'
+    );
+
+    expect({ insertedWords, deletedWords }).toEqual({ insertedWords: 2, deletedWords: 1 });
+  });
+
+  it('keeps tags whole', () => {
+    const { ops } = diffHtml('<p class="a">Hi</p>', '<p class="b">Hi</p>');
+
+    expect(ops).toContainEqual(['delete', '<p class="a">']);
+    expect(ops).toContainEqual(['insert', '<p class="b">']);
+  });
+
+  it('handles empty documents', () => {
+    expect(diffHtml('', '<p>New</p>').insertedWords).toBe(1);
+    expect(diffHtml(null, null).ops).toEqual([]);
+  });
+
+  it('marks a large rewrite as replaced wholesale', () => {
+    const words = (prefix) => Array.from({ length: 1500 }, (_, index) => `${prefix}${index}`).join(' ');
+    const { insertedWords, deletedWords } = diffHtml(`<p>${words('a')}</p>`, `<p>${words('b')}</p>`);
+
+    expect({ insertedWords, deletedWords }).toEqual({ insertedWords: 1500, deletedWords: 1500 });
+  });
+});
+
+describe('renderInlineDiff', () => {
+  it('marks inserted and removed runs in the new document', () => {
+    const { ops } = diffHtml('<p>The quick brown fox</p>', '<p>The slow brown fox jumps</p>');
+
+    expect(renderInlineDiff(ops)).toBe(
+      '<p>The <del class="diff-del">quick</del><ins class="diff-ins">slow</ins> brown fox<ins class="diff-ins"> jumps</ins></p>'
+    );
+  });
+
+  it('keeps the structure of the new document and marks nothing for a formatting change', () => {
+    const { ops } = diffHtml('<p>Hello world</p>', '<p>Hello <b>world</b></p>');
+
+    expect(renderInlineDiff(ops)).toBe('<p>Hello <b>world</b></p>');
+  });
+});
+
+describe('renderSideBySideDiff', () => {
+  it('marks removed text in the old document and added text in the new one', () => {
+    const { ops } = diffHtml('<p>One two</p>', '<p>One three</p>');
+
+    expect(renderSideBySideDiff(ops)).toEqual({
+      oldHtml: '<p>One <del class="diff-del">two</del></p>',
+      newHtml: '<p>One <ins class="diff-ins">three</ins></p>'
+    });
+  });
+});
@@ -0,0 +1,215 @@
+// src/utils/imageProcessing.js - Canvas helpers for cleaning up photographed documents before upload
+
+const MAX_OUTPUT_DIMENSION = 3000; // Longest side of the processed image; plenty for OCR
+const JPEG_QUALITY = 0.92;
+
+export const isHeicFile = (file) =>
+  ['image/heic', 'image/heif'].includes(file?.type) || /\.hei[cf]$/i.test(file?.name || '');
+
+const replaceExtension = (fileName, extension) =>
+  `${fileName.replace(/\.[^.]+$/, '') || 'image'}.${extension}`;
+
+/**
+ * Convert a HEIC/HEIF photo to JPEG. Most browsers cannot decode HEIC, and the
+ * OCR pipeline handles JPEG more reliably, so this runs before anything else.
+ */
+export const convertHeicToJpeg = async (file) => {
+  // heic2any bundles a large decoder, so only load it for HEIC files
+  const { default: heic2any } = await import('heic2any');
+  const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: JPEG_QUALITY });
+  const blob = Array.isArray(converted) ? converted[0] : converted;
+  return new File([blob], replaceExtension(file.name, 'jpg'), { type: 'image/jpeg', lastModified: Date.now() });
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+};
+
+// Decode an image file into a canvas at its natural size
+export const loadImageCanvas = async (file) => {
+  const source = isHeicFile(file) ? await convertHeicToJpeg(file) : file;
+  const url = URL.createObjectURL(source);
+
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The image could not be decoded'));
+      img.src = url;
+    });
+
+    const canvas = createCanvas(image.naturalWidth, image.naturalHeight);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Rotate by a multiple of 90 degrees; positive turns are clockwise
+export const rotateCanvas = (source, quarterTurns) => {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  const isSideways = turns % 2 === 1;
+  const canvas = createCanvas(
+    isSideways ? source.height : source.width,
+    isSideways ? source.width : source.height
+  );
+  const ctx = canvas.getContext('2d');
+
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((turns * Math.PI) / 2);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
+
+// Solve the 8x8 system for the homography mapping each `from` point onto its `to` point
+const computeHomography = (from, to) => {
+  const matrix = [];
+  from.forEach(({ x, y }, index) => {
+    const { x: u, y: v } = to[index];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+    if (Math.abs(matrix[col][col]) < 1e-10) {
+      throw new Error('The selected corners do not form a usable shape');
+    }
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < 9; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+
+  return [...matrix.map((row, index) => row[8] / row[index]), 1];
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const isAxisAligned = ([topLeft, topRight, bottomRight, bottomLeft]) =>
+  topLeft.y === topRight.y && bottomLeft.y === bottomRight.y &&
+  topLeft.x === bottomLeft.x && topRight.x === bottomRight.x;
+
+// Map the quadrilateral onto an upright rectangle, sampling the source bilinearly
+const warpPerspective = (source, corners, width, height) => {
+  const output = createCanvas(width, height);
+  const target = [
+    { x: 0, y: 0 },
+    { x: output.width, y: 0 },
+    { x: output.width, y: output.height },
+    { x: 0, y: output.height }
+  ];
+  // Inverse mapping: for every output pixel, find where it comes from in the source
+  const [a, b, c, d, e, f, g, h] = computeHomography(target, corners);
+
+  const src = source.getContext('2d').getImageData(0, 0, source.width, source.height).data;
+  const outCtx = output.getContext('2d');
+  const outImage = outCtx.createImageData(output.width, output.height);
+  const out = outImage.data;
+  const maxX = source.width - 1;
+  const maxY = source.height - 1;
+
+  for (let y = 0; y < output.height; y++) {
+    for (let x = 0; x < output.width; x++) {
+      const w = g * x + h * y + 1;
+      const sx = Math.min(maxX, Math.max(0, (a * x + b * y + c) / w));
+      const sy = Math.min(maxY, Math.max(0, (d * x + e * y + f) / w));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(maxX, x0 + 1);
+      const y1 = Math.min(maxY, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const outIndex = (y * output.width + x) * 4;
+
+      for (let channel = 0; channel < 4; channel++) {
+        const top = src[(y0 * source.width + x0) * 4 + channel] * (1 - fx) + src[(y0 * source.width + x1) * 4 + channel] * fx;
+        const bottom = src[(y1 * source.width + x0) * 4 + channel] * (1 - fx) + src[(y1 * source.width + x1) * 4 + channel] * fx;
+        out[outIndex + channel] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+
+  outCtx.putImageData(outImage, 0, 0);
+  return output;
+};
+
+const applyTone = (canvas, { contrast, grayscale }) => {
+  if (contrast === 1 && !grayscale) return;
+
+  const ctx = canvas.getContext('2d');
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = image.data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+
+    if (grayscale) {
+      r = g = b = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    // Clamped by the Uint8ClampedArray
+    data[i] = (r - 128) * contrast + 128;
+    data[i + 1] = (g - 128) * contrast + 128;
+    data[i + 2] = (b - 128) * contrast + 128;
+  }
+
+  ctx.putImageData(image, 0, 0);
+};
+
+/**
+ * Produce the cleaned-up image: the area inside `corners` (top-left, top-right,
+ * bottom-right, bottom-left, in source pixels) straightened into a rectangle,
+ * then contrast and grayscale applied.
+ */
+export const renderProcessedImage = (source, { corners, contrast = 1, grayscale = false }) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  let width = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  let height = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+
+  const scale = Math.min(1, MAX_OUTPUT_DIMENSION / Math.max(width, height));
+  width *= scale;
+  height *= scale;
+
+  let output;
+  if (isAxisAligned(corners)) {
+    // Plain crop; drawImage is much faster than the warp
+    output = createCanvas(width, height);
+    output.getContext('2d').drawImage(
+      source,
+      topLeft.x, topLeft.y, topRight.x - topLeft.x, bottomLeft.y - topLeft.y,
+      0, 0, output.width, output.height
+    );
+  } else {
+    output = warpPerspective(source, corners, width, height);
+  }
+
+  applyTone(output, { contrast, grayscale });
+  return output;
+};
+
+export const canvasToJpegFile = (canvas, originalName) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      reject(new Error('Failed to encode the processed image'));
+      return;
+    }
+    resolve(new File([blob], replaceExtension(originalName, 'jpg'), { type: 'image/jpeg', lastModified: Date.now() }));
+  }, 'image/jpeg', JPEG_QUALITY);
+});
@@ -0,0 +1,135 @@
+// src/utils/languageDetection.js - Guess a document's source language from its text before upload
+import JSZip from 'jszip';
+import { loadPdfDocument, isPdfFile } from './pdfDocument';
+import { isDocxFile } from './pageCount';
+
+const SAMPLE_PAGES = 3; // PDF pages read for the sample
+const SAMPLE_LENGTH = 5000; // Characters inspected at most
+const MIN_LETTERS = 20; // Below this the sample is too short to judge
+const MIN_SCRIPT_SHARE = 0.6; // The dominant script must cover this share of letters
+
+// Scripts that identify one of the offered languages on their own
+const SCRIPTS = [
+  { script: 'Georgian', language: 'ka', pattern: /[\u10A0-\u10FF\u1C90-\u1CBF\u2D00-\u2D2F]/ },
+  { script: 'Armenian', language: 'hy', pattern: /[\u0530-\u058F\uFB13-\uFB17]/ },
+  { script: 'Cyrillic', language: 'ru', pattern: /[\u0400-\u04FF]/ },
+  { script: 'Arabic', language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/ },
+  { script: 'Devanagari', language: 'hi', pattern: /[\u0900-\u097F]/ },
+  { script: 'Hangul', language: 'ko', pattern: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/ },
+  { script: 'Kana', language: 'ja', pattern: /[\u3040-\u30FF]/ },
+  { script: 'Han', language: 'zh', pattern: /[\u3400-\u4DBF\u4E00-\u9FFF]/ },
+  { script: 'Latin', language: null, pattern: /[A-Za-z\u00C0-\u024F\u0259]/ }
+];
+
+// Latin-script languages are told apart by their most frequent words
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'this'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'del', 'las', 'por'],
+  fr: ['le', 'la', 'les', 'de', 'et', 'des', 'est', 'une', 'dans', 'pour'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'von', 'sich'],
+  it: ['il', 'di', 'che', 'la', 'e', 'per', 'un', 'non', 'della', 'sono'],
+  pt: ['o', 'de', 'que', 'e', 'do', 'da', 'em', 'não', 'uma', 'os'],
+  tr: ['ve', 'bir', 'bu', 'için', 'ile', 'da', 'de', 'olarak', 'olan', 'gibi'],
+  az: ['və', 'bir', 'bu', 'üçün', 'ilə', 'olan', 'da', 'də', 'kimi', 'edir']
+};
+
+const detectLatinLanguage = (text) => {
+  const words = text.toLowerCase().match(/[a-z\u00C0-\u024F\u0259]+/g) || [];
+  const scores = Object.entries(LATIN_STOPWORDS).map(([language, stopwords]) => ({
+    language,
+    hits: words.filter(word => stopwords.includes(word)).length
+  }));
+  scores.sort((a, b) => b.hits - a.hits);
+
+  // Require a clear winner; short or mixed samples stay undetected
+  const [best, runnerUp] = scores;
+  if (best.hits < 5 || best.hits < runnerUp.hits * 1.5) {
+    return null;
+  }
+  return best.language;
+};
+
+/**
+ * Detect the language of a text sample from its writing system.
+ * Returns { language, script } or null when the sample is inconclusive.
+ */
+export const detectLanguageFromText = (text) => {
+  const sample = (text || '').slice(0, SAMPLE_LENGTH);
+  const counts = new Map();
+  let letters = 0;
+
+  for (const char of sample) {
+    const match = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (match) {
+      counts.set(match, (counts.get(match) || 0) + 1);
+      letters += 1;
+    }
+  }
+
+  if (letters < MIN_LETTERS) {
+    return null;
+  }
+
+  // Kana marks Japanese even when kanji outnumber it
+  const kana = SCRIPTS.find(entry => entry.script === 'Kana');
+  const han = SCRIPTS.find(entry => entry.script === 'Han');
+  if (counts.has(kana) && counts.has(han)) {
+    counts.set(kana, counts.get(kana) + counts.get(han));
+    counts.delete(han);
+  }
+
+  const [dominant, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  if (count / letters < MIN_SCRIPT_SHARE) {
+    return null;
+  }
+
+  const language = dominant.language || detectLatinLanguage(sample);
+  return language ? { language, script: dominant.script } : null;
+};
+
+const extractPdfText = async (file) => {
+  const pdf = await loadPdfDocument(file);
+  try {
+    const parts = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, SAMPLE_PAGES); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      parts.push(content.items.map(item => item.str).join(' '));
+      page.cleanup();
+    }
+    return parts.join('\n');
+  } finally {
+    pdf.destroy();
+  }
+};
+
+const extractDocxText = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const documentXml = await zip.file('word/document.xml')?.async('string') || '';
+  return documentXml.replace(/<[^>]+>/g, ' ');
+};
+
+/**
+ * Read a text sample from a PDF, DOCX or plain-text file and detect its language.
+ * Scanned documents and images have no text layer, so they resolve to null and
+ * are left for the server to detect.
+ */
+export const detectDocumentLanguage = async (file) => {
+  try {
+    let text = '';
+    if (isPdfFile(file)) {
+      text = await extractPdfText(file);
+    } else if (isDocxFile(file)) {
+      text = await extractDocxText(file);
+    } else if (file.type.startsWith('text/')) {
+      text = await file.slice(0, SAMPLE_LENGTH * 4).text();
+      if (file.type === 'text/html') {
+        text = text.replace(/<(script|style)[\s\S]*?<\/\1>|<[^>]+>/gi, ' ');
+      }
+    }
+    return detectLanguageFromText(text);
+  } catch (error) {
+    console.warn(`⚠️ Could not detect the language of ${file.name}:`, error);
+    return null;
+  }
+};
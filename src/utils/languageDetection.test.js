@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import JSZip from 'jszip';
+import { detectLanguageFromText, detectDocumentLanguage } from './languageDetection';
+
+// pdf.js needs a browser; the text-only paths below never load a PDF
+vi.mock('./pdfDocument', () => ({
+  loadPdfDocument: vi.fn(),
+  isPdfFile: (file) => file.type === 'application/pdf'
+}));
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('detectLanguageFromText', () => {
+  it('identifies languages with a script of their own', () => {
+    expect(detectLanguageFromText('საქართველო არის ქვეყანა კავკასიაში')).toEqual({ language: 'ka', script: 'Georgian' });
+    expect(detectLanguageFromText('Հայաստանը երկիր է Հարավային Կովկասում')).toEqual({ language: 'hy', script: 'Armenian' });
+    expect(detectLanguageFromText('Москва является столицей России и крупным городом')).toEqual({ language: 'ru', script: 'Cyrillic' });
+    expect(detectLanguageFromText('서울은 대한민국의 수도이며 가장 큰 도시입니다')).toEqual({ language: 'ko', script: 'Hangul' });
+  });
+
+  it('takes kanji with kana for Japanese rather than Chinese', () => {
+    expect(detectLanguageFromText('東京都は日本の首都であり、経済と文化の中心地です。人口は多いです。')).toEqual({ language: 'ja', script: 'Kana' });
+    expect(detectLanguageFromText('北京是中华人民共和国的首都，也是全国的政治和文化中心城市。')).toEqual({ language: 'zh', script: 'Han' });
+  });
+
+  it('tells Latin-script languages apart by their common words', () => {
+    const english = 'The report is ready and the team will send it to the board with the notes for this week.';
+    const spanish = 'El informe de la empresa está listo y los datos de las ventas en el mes son por fin claros.';
+
+    expect(detectLanguageFromText(english)).toEqual({ language: 'en', script: 'Latin' });
+    expect(detectLanguageFromText(spanish)).toEqual({ language: 'es', script: 'Latin' });
+  });
+
+  it('leaves short, mixed or unclear samples undetected', () => {
+    expect(detectLanguageFromText('Hello')).toBeNull();
+    expect(detectLanguageFromText('')).toBeNull();
+    expect(detectLanguageFromText('Invoice Rechnung Factura Fattura Nummer Number Numero')).toBeNull();
+    expect(detectLanguageFromText('Москва Moscow Столица Capital город city')).toBeNull();
+  });
+});
+
+describe('detectDocumentLanguage', () => {
+  it('reads plain text and HTML without markup', async () => {
+    const text = new File(['Москва является столицей России и крупным городом'], 'notes.txt', { type: 'text/plain' });
+    const html = new File([
+      '<html><style>.title { color: red; }</style><body><p>Москва является столицей России и крупным городом</p></body></html>'
+    ], 'page.html', { type: 'text/html' });
+
+    expect(await detectDocumentLanguage(text)).toEqual({ language: 'ru', script: 'Cyrillic' });
+    expect(await detectDocumentLanguage(html)).toEqual({ language: 'ru', script: 'Cyrillic' });
+  });
+
+  it('reads the text of a DOCX', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<w:document><w:body><w:p><w:r><w:t>საქართველო არის ქვეყანა კავკასიაში</w:t></w:r></w:p></w:body></w:document>');
+    const docx = new File([await zip.generateAsync({ type: 'uint8array' })], 'letter.docx');
+
+    expect(await detectDocumentLanguage(docx)).toEqual({ language: 'ka', script: 'Georgian' });
+  });
+
+  it('leaves images to the server', async () => {
+    const image = new File([new Uint8Array([0xff, 0xd8, 0xff])], 'scan.jpg', { type: 'image/jpeg' });
+    expect(await detectDocumentLanguage(image)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// src/utils/notifications.js - Desktop notifications and a tab title/favicon badge for finished jobs
+
+const PROMPT_DISMISSED_KEY = 'notificationPromptDismissed';
+
+const BADGE_COLORS = {
+  completed: '#16a34a',
+  failed: '#dc2626'
+};
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () =>
+  isNotificationSupported() ? Notification.permission : 'unsupported';
+
+// Browsers only show the permission prompt in response to a click, so call this from a handler
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.warn('⚠️ Notification permission request failed:', error);
+    return Notification.permission;
+  }
+};
+
+export const isNotificationPromptDismissed = () => localStorage.getItem(PROMPT_DISMISSED_KEY) === 'true';
+
+export const dismissNotificationPrompt = () => localStorage.setItem(PROMPT_DISMISSED_KEY, 'true');
+
+// A document icon with a coloured status dot, as an SVG data URL
+const createBadgeIcon = (status) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">
+    <rect x="5" y="2" width="20" height="26" rx="3" fill="#4f46e5"/>
+    <rect x="9" y="9" width="12" height="2" fill="#fff"/>
+    <rect x="9" y="14" width="10" height="2" fill="#fff"/>
+    <rect x="9" y="19" width="12" height="2" fill="#fff"/>
+    <circle cx="24" cy="24" r="7" fill="${BADGE_COLORS[status]}" stroke="#fff" stroke-width="2"/>
+  </svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * Show a desktop notification for a finished job if permission was granted.
+ * Clicking it focuses the tab before calling onClick. Returns the Notification, or null.
+ */
+export const showNotification = (title, { body, tag, status = 'completed', onClick } = {}) => {
+  if (getNotificationPermission() !== 'granted') return null;
+
+  try {
+    const notification = new Notification(title, { body, tag, icon: createBadgeIcon(status) });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+    return notification;
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('⚠️ Could not show notification:', error);
+    return null;
+  }
+};
+
+let badge = null; // { title, iconHref, count, hasFailure } while a badge is shown
+
+const clearTabBadge = () => {
+  if (!badge || document.hidden) return;
+
+  document.title = badge.title;
+  const icon = document.querySelector('link[rel~="icon"]');
+  if (icon) {
+    icon.href = badge.iconHref;
+  }
+  badge = null;
+  document.removeEventListener('visibilitychange', clearTabBadge);
+};
+
+/**
+ * Count a finished job in the tab title and favicon while the tab is hidden.
+ * The badge is removed when the user comes back to the tab.
+ */
+export const showTabBadge = (status) => {
+  if (!document.hidden) return;
+
+  const icon = document.querySelector('link[rel~="icon"]');
+  if (!badge) {
+    badge = { title: document.title, iconHref: icon?.href || '', count: 0, hasFailure: false };
+    document.addEventListener('visibilitychange', clearTabBadge);
+  }
+  badge.count += 1;
+  badge.hasFailure = badge.hasFailure || status === 'failed';
+
+  const symbol = badge.hasFailure ? '✗' : '✓';
+  document.title = `(${badge.count}) ${symbol} ${badge.title}`;
+  if (icon) {
+    icon.href = createBadgeIcon(badge.hasFailure ? 'failed' : 'completed');
+  }
+};
@@ -0,0 +1,118 @@
+// src/utils/pageCount.js - Count billable pages in the browser before upload
+import JSZip from 'jszip';
+import { loadPdfDocument, isPdfFile } from './pdfDocument';
+import { getFileFormat } from './fileFormats';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const WORDS_PER_PAGE = 500; // For text formats, and DOCX files without a stored page count
+
+export const isDocxFile = (file) =>
+  file?.type === DOCX_TYPE || /\.docx$/i.test(file?.name || '');
+
+const countPdfPages = async (file) => {
+  const pdf = await loadPdfDocument(file);
+  try {
+    return { pages: pdf.numPages, isEstimate: false };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+// Word stores the page count of the last save in docProps/app.xml
+const countDocxPages = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+
+  const appXml = await zip.file('docProps/app.xml')?.async('string');
+  const storedPages = appXml?.match(/<Pages>(\d+)<\/Pages>/);
+  if (storedPages && parseInt(storedPages[1], 10) > 0) {
+    return { pages: parseInt(storedPages[1], 10), isEstimate: false };
+  }
+
+  // Fall back to a word-count estimate for files saved by other editors
+  const documentXml = await zip.file('word/document.xml')?.async('string') || '';
+  const text = documentXml.replace(/<[^>]+>/g, ' ');
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return { pages: Math.max(1, Math.ceil(words / WORDS_PER_PAGE)), isEstimate: true };
+};
+
+// Each slide is billed as a page; PowerPoint stores the count in docProps/app.xml
+const countPptxPages = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const appXml = await zip.file('docProps/app.xml')?.async('string');
+  const storedSlides = appXml?.match(/<Slides>(\d+)<\/Slides>/);
+  if (storedSlides) {
+    return { pages: Math.max(1, parseInt(storedSlides[1], 10)), isEstimate: false };
+  }
+
+  const slides = zip.file(/^ppt\/slides\/slide\d+\.xml$/).length;
+  return { pages: Math.max(1, slides), isEstimate: false };
+};
+
+// LibreOffice records the page count of the last save in meta.xml
+const countOdtPages = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const metaXml = await zip.file('meta.xml')?.async('string');
+  const storedPages = metaXml?.match(/meta:page-count="(\d+)"/);
+  if (storedPages && parseInt(storedPages[1], 10) > 0) {
+    return { pages: parseInt(storedPages[1], 10), isEstimate: false };
+  }
+  return null;
+};
+
+const MARKUP_PATTERNS = {
+  html: /<[^>]+>/g,
+  rtf: /\\[a-z]+-?\d* ?|[{}]/gi
+};
+
+// Word-count estimate for plain text and markup formats
+const countTextPages = async (file, formatId) => {
+  let text = await file.text();
+  if (MARKUP_PATTERNS[formatId]) {
+    text = text.replace(MARKUP_PATTERNS[formatId], ' ');
+  }
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return { pages: Math.max(1, Math.ceil(words / WORDS_PER_PAGE)), isEstimate: true };
+};
+
+/**
+ * Count the pages a file will be billed for.
+ * Returns { pages, isEstimate }; isEstimate is set when the count could not be read exactly.
+ */
+export const countDocumentPages = async (file) => {
+  try {
+    if (isPdfFile(file)) {
+      return await countPdfPages(file);
+    }
+
+    if (isDocxFile(file)) {
+      return await countDocxPages(file);
+    }
+
+    if (file.type.startsWith('image/')) {
+      return { pages: 1, isEstimate: false };
+    }
+
+    const format = getFileFormat(file);
+
+    if (format?.id === 'pptx') {
+      return await countPptxPages(file);
+    }
+
+    if (format?.id === 'odt') {
+      const counted = await countOdtPages(file);
+      if (counted) return counted;
+    }
+
+    if (format?.isText) {
+      return await countTextPages(file, format.id);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not count pages for ${file.name}:`, error);
+  }
+
+  // Last resort: the size heuristic previously used for progress estimates
+  return { pages: Math.max(1, Math.floor(file.size / (100 * 1024))), isEstimate: true };
+};
+
+// Count pages for a set of files; results keep the input order
+export const countPagesForFiles = (files) => Promise.all(files.map(countDocumentPages));
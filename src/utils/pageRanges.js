@@ -0,0 +1,61 @@
+// src/utils/pageRanges.js - Parse and format page selections such as "1-3, 7, 10-12"
+
+/**
+ * Parse a page range string into a sorted list of unique page numbers.
+ * Returns { pages, error }; error describes the first invalid part of the input.
+ */
+export const parsePageRanges = (input, maxPage) => {
+  const pages = new Set();
+  const parts = input.split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    return { pages: [], error: 'Enter at least one page' };
+  }
+
+  for (const part of parts) {
+    const match = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) {
+      return { pages: [], error: `"${part}" is not a page or range` };
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+
+    if (start < 1 || end < start) {
+      return { pages: [], error: `"${part}" is not a valid range` };
+    }
+    if (maxPage && end > maxPage) {
+      return { pages: [], error: `The document has only ${maxPage} pages` };
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.add(page);
+    }
+  }
+
+  return { pages: [...pages].sort((a, b) => a - b), error: null };
+};
+
+// Collapse a list of page numbers back into the compact "1-3, 7" form
+export const formatPageRanges = (pages) => {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b);
+  const ranges = [];
+  let start = null;
+  let previous = null;
+
+  sorted.forEach(page => {
+    if (start === null) {
+      start = page;
+    } else if (page !== previous + 1) {
+      ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+      start = page;
+    }
+    previous = page;
+  });
+
+  if (start !== null) {
+    ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+  }
+
+  return ranges.join(', ');
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { parsePageRanges, formatPageRanges } from './pageRanges';
+
+describe('parsePageRanges', () => {
+  it('reads single pages and ranges into sorted unique pages', () => {
+    expect(parsePageRanges('7, 1-3, 2 - 4')).toEqual({ pages: [1, 2, 3, 4, 7], error: null });
+  });
+
+  it('ignores empty parts', () => {
+    expect(parsePageRanges(' 5, , 6,').pages).toEqual([5, 6]);
+  });
+
+  it('needs at least one page', () => {
+    expect(parsePageRanges(' , ')).toEqual({ pages: [], error: 'Enter at least one page' });
+  });
+
+  it('rejects text and reversed or zero ranges', () => {
+    expect(parsePageRanges('1, two').error).toBe('"two" is not a page or range');
+    expect(parsePageRanges('5-3').error).toBe('"5-3" is not a valid range');
+    expect(parsePageRanges('0-2').error).toBe('"0-2" is not a valid range');
+  });
+
+  it('rejects pages past the end of the document', () => {
+    expect(parsePageRanges('2-12', 10)).toEqual({ pages: [], error: 'The document has only 10 pages' });
+    expect(parsePageRanges('2-10', 10).error).toBeNull();
+  });
+});
+
+describe('formatPageRanges', () => {
+  it('collapses consecutive pages into ranges', () => {
+    expect(formatPageRanges([10, 1, 2, 3, 7, 11, 12])).toBe('1-3, 7, 10-12');
+  });
+
+  it('ignores duplicates', () => {
+    expect(formatPageRanges([4, 4, 5])).toBe('4-5');
+  });
+
+  it('formats an empty selection as an empty string', () => {
+    expect(formatPageRanges([])).toBe('');
+  });
+
+  it('round-trips with parsePageRanges', () => {
+    const input = '1-3, 7, 10-12';
+    expect(formatPageRanges(parsePageRanges(input).pages)).toBe(input);
+  });
+});
@@ -0,0 +1,39 @@
+// src/utils/pdfAssembly.js - Build a PDF in the browser from captured page images
+
+const A4_SHORT_SIDE = 595.28; // Points
+const A4_LONG_SIDE = 841.89;
+
+/**
+ * Combine JPEG/PNG page images into one PDF File, one image per A4 page.
+ * Each page follows the orientation of its image, and the image is scaled to fit.
+ */
+export const assembleImagesToPdf = async (images, fileName) => {
+  // pdf-lib is only needed once a capture is finished
+  const { PDFDocument } = await import('pdf-lib');
+  const pdf = await PDFDocument.create();
+
+  for (const image of images) {
+    const bytes = await image.arrayBuffer();
+    const embedded = image.type === 'image/png'
+      ? await pdf.embedPng(bytes)
+      : await pdf.embedJpg(bytes);
+
+    const isLandscape = embedded.width > embedded.height;
+    const pageWidth = isLandscape ? A4_LONG_SIDE : A4_SHORT_SIDE;
+    const pageHeight = isLandscape ? A4_SHORT_SIDE : A4_LONG_SIDE;
+    const scale = Math.min(pageWidth / embedded.width, pageHeight / embedded.height);
+    const width = embedded.width * scale;
+    const height = embedded.height * scale;
+
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    page.drawImage(embedded, {
+      x: (pageWidth - width) / 2,
+      y: (pageHeight - height) / 2,
+      width,
+      height
+    });
+  }
+
+  const bytes = await pdf.save();
+  return new File([bytes], fileName, { type: 'application/pdf', lastModified: Date.now() });
+};
@@ -0,0 +1,118 @@
+// src/utils/pdfDocument.js - Lazy-loaded pdf.js helpers for client-side PDF inspection
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+let pdfjsPromise = null;
+
+// pdf.js is large, so only load it once a PDF actually needs parsing
+export const getPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist').then((pdfjsLib) => {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+      return pdfjsLib;
+    });
+  }
+  return pdfjsPromise;
+};
+
+// Passwords the user entered for encrypted PDFs; kept in memory only, for as long as the File lives
+const pdfPasswords = new WeakMap();
+
+export const setPdfPassword = (file, password) => {
+  pdfPasswords.set(file, password);
+};
+
+export const getPdfPassword = (file) => pdfPasswords.get(file) ?? null;
+
+/**
+ * Open a PDF File/Blob with pdf.js, using the password stored with setPdfPassword
+ * unless one is given. Callers own the returned document and should call destroy() when done.
+ */
+export const loadPdfDocument = async (file, { password = getPdfPassword(file) } = {}) => {
+  const pdfjsLib = await getPdfjs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const loadingTask = pdfjsLib.getDocument({ data, password: password ?? undefined });
+
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    loadingTask.destroy();
+    throw error;
+  }
+};
+
+export const PDF_REPAIR_HINT =
+  'Try opening it in a PDF viewer and printing or saving it as a new PDF, then upload that copy.';
+
+// pdf.js rebuilds worker errors on the main thread, so they are told apart by name
+const describePdfError = (error) => {
+  if (error?.name === 'InvalidPDFException') {
+    return 'This PDF is damaged: its internal structure could not be read.';
+  }
+  if (error?.name === 'MissingPDFException') {
+    return 'This PDF is empty.';
+  }
+  return 'This PDF could not be opened.';
+};
+
+/**
+ * Check that a PDF can be read before it is uploaded, so encrypted and damaged
+ * files are caught here rather than failing on the server.
+ * Resolves to { status: 'ok', numPages }, { status: 'needs_password' },
+ * { status: 'wrong_password' } or { status: 'damaged', reason }.
+ */
+export const inspectPdf = async (file, { password } = {}) => {
+  const pdfjsLib = await getPdfjs();
+  let pdf = null;
+
+  try {
+    pdf = await loadPdfDocument(file, { password });
+    // Some damage only shows once a page is parsed
+    await pdf.getPage(1);
+    return { status: 'ok', numPages: pdf.numPages };
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      return {
+        status: error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD ? 'wrong_password' : 'needs_password'
+      };
+    }
+    console.warn(`⚠️ ${file.name} failed the PDF check:`, error);
+    return { status: 'damaged', reason: describePdfError(error) };
+  } finally {
+    pdf?.destroy();
+  }
+};
+
+// Why a PDF cannot be translated without the user's help (as in a batch), or null when it can
+export const getUnattendedPdfError = async (file) => {
+  const check = await inspectPdf(file);
+  if (check.status === 'damaged') {
+    return `${check.reason} ${PDF_REPAIR_HINT}`;
+  }
+  if (check.status !== 'ok') {
+    return 'This PDF is password-protected. Translate it on its own to enter the password.';
+  }
+  return null;
+};
+
+export const isPdfFile = (file) =>
+  file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+
+/**
+ * Render one page of an open pdf.js document into a canvas scaled to the given width.
+ * Resolves once the page has been drawn.
+ */
+export const renderPdfPage = async (pdf, pageNumber, canvas, { width = 120 } = {}) => {
+  const page = await pdf.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / baseViewport.width });
+
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+
+  const renderTask = page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport
+  });
+  await renderTask.promise;
+  page.cleanup();
+};
@@ -0,0 +1,100 @@
+// src/utils/sentenceAlignment.js - Split pages into sentences and pair source sentences with their translations
+import { getTextBlocks } from './textRanges';
+
+// [source sentences, target sentences, penalty] for each way sentences can correspond
+const ALIGNMENT_MOVES = [[1, 1, 0], [2, 1, 2], [1, 2, 2], [2, 2, 3], [1, 0, 5], [0, 1, 5]];
+
+export const normalizeSentence = (text) => text.replace(/\s+/g, ' ').trim();
+
+const createSegmenter = (lang) => {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+  try {
+    return new Intl.Segmenter(lang && lang !== 'auto' ? lang : undefined, { granularity: 'sentence' });
+  } catch {
+    return new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  }
+};
+
+// Sentence ranges of a text; Intl.Segmenter knows abbreviations and scripts a regex would not
+const getSentenceRanges = (text, segmenter) => {
+  if (segmenter) {
+    return [...segmenter.segment(text)].map(({ segment, index }) => ({ start: index, end: index + segment.length }));
+  }
+  return [...text.matchAll(/[^.!?。！？]+[.!?。！？]*/g)]
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+};
+
+/**
+ * Sentences of each text block under root as { blockIndex, start, end, text }. start
+ * and end are offsets in the block's textContent, as replaceTextRange expects; text
+ * has its whitespace collapsed.
+ */
+export const getSentenceSegments = (root, lang) => {
+  const segmenter = createSegmenter(lang);
+
+  return getTextBlocks(root).flatMap((block, blockIndex) => {
+    const content = block.textContent;
+    return getSentenceRanges(content, segmenter).flatMap(({ start, end }) => {
+      const raw = content.slice(start, end);
+      const text = normalizeSentence(raw);
+      if (!text) return [];
+
+      const leading = raw.length - raw.trimStart().length;
+      const trailing = raw.length - raw.trimEnd().length;
+      return [{ blockIndex, start: start + leading, end: end - trailing, text }];
+    });
+  });
+};
+
+/**
+ * Pair source and target sentences in order by their lengths, in the manner of Gale
+ * and Church: a sentence may be translated as two (or two as one), and a sentence
+ * may have no counterpart. Returns rows of { source: [...], target: [...] }.
+ */
+export const alignSentences = (source, target) => {
+  const sourceEnds = [0];
+  source.forEach(sentence => sourceEnds.push(sourceEnds[sourceEnds.length - 1] + sentence.text.length));
+  const targetEnds = [0];
+  target.forEach(sentence => targetEnds.push(targetEnds[targetEnds.length - 1] + sentence.text.length));
+
+  // Languages differ in length, so compare target lengths with the expected ratio
+  const ratio = sourceEnds[source.length] > 0 && targetEnds[target.length] > 0
+    ? targetEnds[target.length] / sourceEnds[source.length]
+    : 1;
+  const lengthCost = (sourceLength, targetLength) =>
+    Math.abs(targetLength - sourceLength * ratio) / Math.sqrt(sourceLength * ratio + targetLength + 1);
+
+  const cost = Array.from({ length: source.length + 1 }, () => new Float64Array(target.length + 1).fill(Infinity));
+  const moves = Array.from({ length: source.length + 1 }, () => new Int8Array(target.length + 1));
+  cost[0][0] = 0;
+
+  for (let i = 0; i <= source.length; i++) {
+    for (let j = 0; j <= target.length; j++) {
+      ALIGNMENT_MOVES.forEach(([sourceCount, targetCount, penalty], moveIndex) => {
+        if (i < sourceCount || j < targetCount || (sourceCount === 0 && targetCount === 0)) return;
+        const previous = cost[i - sourceCount][j - targetCount];
+        if (previous === Infinity) return;
+
+        const total = previous + penalty + lengthCost(
+          sourceEnds[i] - sourceEnds[i - sourceCount],
+          targetEnds[j] - targetEnds[j - targetCount]
+        );
+        if (total < cost[i][j]) {
+          cost[i][j] = total;
+          moves[i][j] = moveIndex;
+        }
+      });
+    }
+  }
+
+  const rows = [];
+  let i = source.length;
+  let j = target.length;
+  while (i > 0 || j > 0) {
+    const [sourceCount, targetCount] = ALIGNMENT_MOVES[moves[i][j]];
+    rows.push({ source: source.slice(i - sourceCount, i), target: target.slice(j - targetCount, j) });
+    i -= sourceCount;
+    j -= targetCount;
+  }
+  return rows.reverse();
+};
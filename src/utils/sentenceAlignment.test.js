@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { alignSentences, normalizeSentence } from './sentenceAlignment';
+
+const sentences = (...texts) => texts.map(text => ({ text }));
+
+// Row shapes as "source count:target count"
+const shape = (rows) => rows.map(row => `${row.source.length}:${row.target.length}`);
+
+describe('normalizeSentence', () => {
+  it('collapses whitespace and trims', () => {
+    expect(normalizeSentence('  One\n  two\tthree  ')).toBe('One two three');
+  });
+});
+
+describe('alignSentences', () => {
+  it('pairs sentences one to one when the lengths agree', () => {
+    const source = sentences('The contract starts in May.', 'It runs for two years.', 'Either side may end it early.');
+    const target = sentences('El contrato empieza en mayo.', 'Dura unos dos años.', 'Cualquier parte puede terminarlo.');
+
+    const rows = alignSentences(source, target);
+
+    expect(shape(rows)).toEqual(['1:1', '1:1', '1:1']);
+    expect(rows[1]).toEqual({ source: [source[1]], target: [target[1]] });
+  });
+
+  it('joins a sentence translated as two', () => {
+    const source = sentences(
+      'Payment is due within thirty days of the invoice date, after which interest is charged.',
+      'Thank you.'
+    );
+    const target = sentences(
+      'Die Zahlung ist innerhalb von dreißig Tagen nach Rechnungsdatum fällig.',
+      'Danach werden Zinsen berechnet.',
+      'Danke.'
+    );
+
+    expect(shape(alignSentences(source, target))).toEqual(['1:2', '1:1']);
+  });
+
+  it('joins two sentences translated as one', () => {
+    const source = sentences('Sign here.', 'Date it too.', 'Return the form to the office by the end of the month.');
+    const target = sentences('Firme y ponga la fecha.', 'Devuelva el formulario a la oficina antes de fin de mes.');
+
+    expect(shape(alignSentences(source, target))).toEqual(['2:1', '1:1']);
+  });
+
+  it('handles empty sides', () => {
+    expect(alignSentences([], [])).toEqual([]);
+    expect(shape(alignSentences(sentences('Only source.'), []))).toEqual(['1:0']);
+    expect(shape(alignSentences([], sentences('Solo destino.', 'Dos.')))).toEqual(['0:1', '0:1']);
+  });
+});
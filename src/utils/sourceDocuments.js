@@ -0,0 +1,29 @@
+// src/utils/sourceDocuments.js - Original files of this session's translations, for side-by-side review
+import { getFileFormat } from './fileFormats';
+
+// Files are only kept in memory: the server does not send originals back, and a reload drops them
+const sourceDocuments = new Map();
+
+/**
+ * Remember the file a job translated. pageNumbers lists the source pages that were
+ * sent when only a page range was translated, so translated page N is pageNumbers[N - 1].
+ */
+export const rememberSourceDocument = (processId, file, { pageNumbers = null } = {}) => {
+  if (!processId || !file) return;
+  sourceDocuments.set(processId, { file, pageNumbers });
+};
+
+export const getSourceDocument = (processId) => sourceDocuments.get(processId) || null;
+
+// How the original can be shown next to the translation: 'pdf', 'image' or null
+export const getSourcePreviewType = (file) => {
+  const format = getFileFormat(file);
+  if (format?.id === 'pdf') return 'pdf';
+  // HEIC is not displayed by most browsers
+  if (['jpeg', 'png', 'webp'].includes(format?.id)) return 'image';
+  return null;
+};
+
+// The source page shown next to a translated page
+export const getSourcePageNumber = (document, translatedPageNumber) =>
+  document?.pageNumbers?.[translatedPageNumber - 1] ?? translatedPageNumber;
@@ -0,0 +1,53 @@
+// src/utils/textRanges.js - Read and change the text of HTML elements without touching their markup
+
+// Elements that hold running text; table cells and list items count as their own blocks
+const TEXT_BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, td, th, caption, blockquote, pre, dt, dd';
+
+// Text nodes under an element, with where each starts and ends in the element's textContent
+export const getTextNodes = (root) => {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let offset = 0;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    nodes.push({ node, start: offset, end: offset + node.data.length });
+    offset += node.data.length;
+  }
+  return nodes;
+};
+
+/**
+ * The innermost text blocks (paragraphs, list items, cells...) under an element,
+ * or the element itself when it has none.
+ */
+export const getTextBlocks = (root) => {
+  const blocks = [...root.querySelectorAll(TEXT_BLOCK_SELECTOR)]
+    .filter(block => !block.querySelector(TEXT_BLOCK_SELECTOR));
+  return blocks.length > 0 ? blocks : [root];
+};
+
+/**
+ * Replace characters [start, end) of the text spanned by consecutive text nodes, as
+ * { node, start, end } entries like getTextNodes returns. The new text goes into the
+ * node where the range starts and the rest of the range is cut from the nodes it
+ * covers, so the elements around the text are kept. Returns false when there is no
+ * text at that position.
+ */
+export const replaceTextInNodes = (nodes, start, end, text) => {
+  const first = nodes.find(entry => start >= entry.start && start < entry.end) ||
+    nodes.find(entry => start === entry.end);
+  if (!first) return false;
+
+  for (const { node, start: nodeStart, end: nodeEnd } of nodes) {
+    const isFirst = node === first.node;
+    if (!isFirst && (nodeEnd <= start || nodeStart >= end)) continue;
+
+    const from = Math.max(start, nodeStart) - nodeStart;
+    const to = Math.min(end, nodeEnd) - nodeStart;
+    node.data = node.data.slice(0, from) + (isFirst ? text : '') + node.data.slice(Math.max(from, to));
+  }
+  return true;
+};
+
+// Replace characters [start, end) of an element's textContent (see replaceTextInNodes)
+export const replaceTextRange = (root, start, end, text) => replaceTextInNodes(getTextNodes(root), start, end, text);
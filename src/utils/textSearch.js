@@ -0,0 +1,110 @@
+// src/utils/textSearch.js - Find and replace text in rendered HTML without breaking its markup
+import { replaceTextInNodes } from './textRanges';
+
+// Text is matched within one of these; a match never runs from one paragraph or cell into the next
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CAPTION', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'LI', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY',
+  'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+const getBlock = (node, root) => {
+  let element = node.parentElement;
+  while (element && element !== root && !BLOCK_TAGS.has(element.tagName)) {
+    element = element.parentElement;
+  }
+  return element || root;
+};
+
+/**
+ * Consecutive text nodes that read as one piece of text (those in the same block),
+ * as { nodes, text } with each node's offsets in text.
+ */
+const getTextRuns = (root) => {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const runs = [];
+  let current = null;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.parentElement?.closest('script, style')) continue;
+
+    const block = getBlock(node, root);
+    if (!current || current.block !== block) {
+      current = { block, nodes: [], text: '' };
+      runs.push(current);
+    }
+    current.nodes.push({ node, start: current.text.length, end: current.text.length + node.data.length });
+    current.text += node.data;
+  }
+  return runs;
+};
+
+/**
+ * The regular expression for a search, as { pattern, error }. Whole words are
+ * bounded by anything that is not a letter or digit in any script.
+ */
+export const buildSearchPattern = (query, { matchCase = false, wholeWord = false, useRegex = false } = {}) => {
+  if (!query) return { pattern: null, error: null };
+
+  let source = useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let flags = matchCase ? 'g' : 'gi';
+  if (wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    flags += 'u';
+  }
+
+  try {
+    return { pattern: new RegExp(source, flags), error: null };
+  } catch {
+    return { pattern: null, error: 'Invalid regular expression' };
+  }
+};
+
+// Non-empty matches under root in document order, as { run, start, end, match }
+export const findTextMatches = (root, pattern) => getTextRuns(root).flatMap(run => (
+  [...run.text.matchAll(pattern)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ run, start: match.index, end: match.index + match[0].length, match }))
+));
+
+// A DOM Range over a match, for highlighting or selecting it
+export const createMatchRange = ({ run, start, end }) => {
+  const startNode = run.nodes.find(entry => start < entry.end);
+  const endNode = run.nodes.find(entry => end <= entry.end);
+  const range = startNode.node.ownerDocument.createRange();
+  range.setStart(startNode.node, start - startNode.start);
+  range.setEnd(endNode.node, end - endNode.start);
+  return range;
+};
+
+// The text to put in place of a match; regular expressions can refer to $&, $1 or $<name>
+const expandReplacement = (match, replacement, useRegex) => {
+  if (!useRegex) return replacement;
+  return replacement.replace(/\$(\$|&|[1-9]\d?|<([^>]+)>)/g, (token, reference, name) => {
+    if (reference === '$') return '$';
+    if (reference === '&') return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? '';
+    return match[Number(reference)] ?? '';
+  });
+};
+
+/**
+ * Replace matches of pattern in an HTML string, in its text only. matchIndexes
+ * picks matches by their position in document order; all are replaced when it is
+ * omitted. Returns { html, count }.
+ */
+export const replaceInHtml = (html, pattern, replacement, { useRegex = false, matchIndexes = null } = {}) => {
+  // Parsed the way innerHTML parses it, so the matches are the ones shown on screen
+  const container = document.implementation.createHTMLDocument('').createElement('div');
+  container.innerHTML = html;
+
+  const matches = findTextMatches(container, pattern);
+  const selected = matchIndexes ? matchIndexes.map(index => matches[index]).filter(Boolean) : matches;
+
+  // Last to first, so the offsets of earlier matches in the same text stay valid
+  [...selected].reverse().forEach(({ run, start, end, match }) => {
+    replaceTextInNodes(run.nodes, start, end, expandReplacement(match, replacement, useRegex));
+  });
+  return { html: container.innerHTML, count: selected.length };
+};
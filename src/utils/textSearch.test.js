@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { buildSearchPattern, findTextMatches, replaceInHtml } from './textSearch';
+
+const matchesIn = (text, query, options) => [...text.matchAll(buildSearchPattern(query, options).pattern)].map(match => match[0]);
+
+const replaceAll = (html, query, replacement, options = {}) =>
+  replaceInHtml(html, buildSearchPattern(query, options).pattern, replacement, options);
+
+describe('buildSearchPattern', () => {
+  it('has no pattern for an empty query', () => {
+    expect(buildSearchPattern('')).toEqual({ pattern: null, error: null });
+  });
+
+  it('matches plain text literally, ignoring case unless asked', () => {
+    expect(matchesIn('Cost: $5.00 or $5x00', '$5.00')).toEqual(['$5.00']);
+    expect(matchesIn('Page page PAGE', 'page')).toEqual(['Page', 'page', 'PAGE']);
+    expect(matchesIn('Page page PAGE', 'page', { matchCase: true })).toEqual(['page']);
+  });
+
+  it('matches whole words in any script', () => {
+    expect(matchesIn('cat catalog cat_1 (cat)', 'cat', { wholeWord: true })).toEqual(['cat', 'cat']);
+    expect(matchesIn('дом домик дом.', 'дом', { wholeWord: true })).toEqual(['дом', 'дом']);
+  });
+
+  it('accepts regular expressions and reports invalid ones', () => {
+    expect(matchesIn('v1.2 and v10', 'v\\d+', { useRegex: true })).toEqual(['v1', 'v10']);
+    expect(matchesIn('cat cats', 'cats?', { useRegex: true, wholeWord: true })).toEqual(['cat', 'cats']);
+    expect(buildSearchPattern('(unclosed', { useRegex: true })).toEqual({ pattern: null, error: 'Invalid regular expression' });
+  });
+});
+
+describe('findTextMatches', () => {
+  it('finds text split by inline markup but not across blocks', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p>Hello <b>wor</b>ld</p><p>world</p><style>.world {}</style>';
+
+    const matches = findTextMatches(root, buildSearchPattern('world').pattern);
+
+    expect(matches.map(match => match.run.block.outerHTML)).toEqual(['<p>Hello <b>wor</b>ld</p>', '<p>world</p>']);
+  });
+});
+
+describe('replaceInHtml', () => {
+  it('replaces text only, leaving tags and attributes alone', () => {
+    const result = replaceAll('<p class="note">A note</p><p title="note">Another note</p>', 'note', 'memo');
+
+    expect(result).toEqual({ html: '<p class="note">A memo</p><p title="note">Another memo</p>', count: 2 });
+  });
+
+  it('replaces a match that spans formatting', () => {
+    expect(replaceAll('<p>Hello <b>wor</b>ld</p>', 'world', 'there').html).toBe('<p>Hello <b>there</b></p>');
+  });
+
+  it('replaces only the chosen matches', () => {
+    const { pattern } = buildSearchPattern('one');
+
+    expect(replaceInHtml('<p>one one one</p>', pattern, '1', { matchIndexes: [1] })).toEqual({ html: '<p>one 1 one</p>', count: 1 });
+    expect(replaceInHtml('<p>one</p>', pattern, '1', { matchIndexes: [5] })).toEqual({ html: '<p>one</p>', count: 0 });
+  });
+
+  it('expands group references when replacing with a regular expression', () => {
+    const options = { useRegex: true };
+
+    expect(replaceAll('<p>2024-05-01</p>', '(\\d+)-(\\d+)-(\\d+)', '$3.$2.$1', options).html).toBe('<p>01.05.2024</p>');
+    expect(replaceAll('<p>Total: 5</p>', '(?<n>\\d)', '[$<n>] $$ $&', options).html).toBe('<p>Total: [5] $ 5</p>');
+  });
+
+  it('inserts replacement text literally without a regular expression', () => {
+    expect(replaceAll('<p>price</p>', 'price', '$1 & <b>', {}).html).toBe('<p>$1 &amp; &lt;b&gt;</p>');
+  });
+});
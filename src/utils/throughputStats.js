@@ -0,0 +1,90 @@
+// src/utils/throughputStats.js - Per-page translation times measured from finished jobs, for ETAs
+import { getFileFormat } from './fileFormats';
+
+const STORAGE_KEY = 'translationThroughput';
+const MAX_SAMPLES = 20; // Most recent jobs kept per file type and language pair
+const MIN_LIVE_PAGES = 2; // Pages a running job must finish before its own pace is trusted
+
+// File type used to group timings, e.g. 'pdf' or 'docx'
+export const getFileType = (file) => getFileFormat(file)?.id || 'other';
+
+const getKey = (fileType, fromLang, toLang) => `${fileType || 'other'}:${fromLang || 'auto'}>${toLang}`;
+
+const loadSamples = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Remember how long a completed job took, from submission to completion
+export const recordThroughput = ({ fileType, fromLang, toLang, pages, seconds }) => {
+  if (!(pages > 0) || !(seconds > 0)) return;
+
+  const samples = loadSamples();
+  const key = getKey(fileType, fromLang, toLang);
+  samples[key] = [...(samples[key] || []), { pages, seconds }].slice(-MAX_SAMPLES);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(samples));
+    console.log(`⏱️ Recorded ${(seconds / pages).toFixed(1)}s per page for ${key}`);
+  } catch (error) {
+    console.warn('⚠️ Could not save translation timings:', error);
+  }
+};
+
+/**
+ * Average seconds per page from earlier jobs, weighted by page count. Falls back to
+ * the same file type in other language pairs, then to every job. Returns
+ * { secondsPerPage, sampleCount, isExactMatch }, or null before the first job finishes.
+ */
+export const getSecondsPerPage = ({ fileType, fromLang, toLang }) => {
+  const samples = loadSamples();
+  const entries = Object.entries(samples);
+  const candidates = [
+    samples[getKey(fileType, fromLang, toLang)] || [],
+    entries.filter(([key]) => key.startsWith(`${fileType || 'other'}:`)).flatMap(([, list]) => list),
+    entries.flatMap(([, list]) => list)
+  ];
+
+  const match = candidates.find(list => list.length > 0);
+  if (!match) return null;
+
+  const pages = match.reduce((sum, sample) => sum + sample.pages, 0);
+  const seconds = match.reduce((sum, sample) => sum + sample.seconds, 0);
+  return { secondsPerPage: seconds / pages, sampleCount: match.length, isExactMatch: match === candidates[0] };
+};
+
+// Expected translation time for a number of pages, or null without history
+export const estimateDuration = (pages, job) => {
+  const rate = getSecondsPerPage(job);
+  return rate ? { ...rate, seconds: Math.round(pages * rate.secondsPerPage) } : null;
+};
+
+/**
+ * Pace and time left for a running job. Its own pace is used once it has finished a
+ * few pages, earlier jobs' pace before that. Returns
+ * { pagesPerMinute, secondsLeft, source: 'live' | 'history' }, or null.
+ */
+export const estimateRemaining = ({ currentPage, totalPages, startedAt, history }) => {
+  if (!(totalPages > 0)) return null;
+
+  let secondsPerPage = null;
+  let source = null;
+  if (startedAt && currentPage >= MIN_LIVE_PAGES) {
+    secondsPerPage = (Date.now() - startedAt) / 1000 / currentPage;
+    source = 'live';
+  } else if (history) {
+    secondsPerPage = history.secondsPerPage;
+    source = 'history';
+  }
+  if (!(secondsPerPage > 0)) return null;
+
+  const remainingPages = Math.max(0, totalPages - currentPage);
+  return {
+    pagesPerMinute: 60 / secondsPerPage,
+    secondsLeft: Math.round(remainingPages * secondsPerPage),
+    source
+  };
+};
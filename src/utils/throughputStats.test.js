@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getFileType, recordThroughput, getSecondsPerPage, estimateDuration, estimateRemaining } from './throughputStats';
+
+const PDF_EN_ES = { fileType: 'pdf', fromLang: 'en', toLang: 'es' };
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('getFileType', () => {
+  it('groups files by their format', () => {
+    expect(getFileType(new File([''], 'report.pdf', { type: 'application/pdf' }))).toBe('pdf');
+    expect(getFileType(new File([''], 'archive.7z'))).toBe('other');
+  });
+});
+
+describe('getSecondsPerPage', () => {
+  it('has nothing before the first job finishes', () => {
+    expect(getSecondsPerPage(PDF_EN_ES)).toBeNull();
+  });
+
+  it('weights earlier jobs by their page count', () => {
+    recordThroughput({ ...PDF_EN_ES, pages: 1, seconds: 30 });
+    recordThroughput({ ...PDF_EN_ES, pages: 9, seconds: 90 });
+
+    expect(getSecondsPerPage(PDF_EN_ES)).toEqual({ secondsPerPage: 12, sampleCount: 2, isExactMatch: true });
+  });
+
+  it('falls back to the file type in other language pairs, then to every job', () => {
+    recordThroughput({ fileType: 'pdf', fromLang: 'de', toLang: 'fr', pages: 2, seconds: 20 });
+    recordThroughput({ fileType: 'docx', fromLang: 'en', toLang: 'es', pages: 2, seconds: 60 });
+
+    expect(getSecondsPerPage(PDF_EN_ES)).toEqual({ secondsPerPage: 10, sampleCount: 1, isExactMatch: false });
+    expect(getSecondsPerPage({ fileType: 'epub', fromLang: 'en', toLang: 'es' }))
+      .toEqual({ secondsPerPage: 20, sampleCount: 2, isExactMatch: false });
+  });
+
+  it('keeps the 20 most recent jobs per file type and language pair', () => {
+    recordThroughput({ ...PDF_EN_ES, pages: 1, seconds: 1000 });
+    for (let job = 0; job < 20; job++) {
+      recordThroughput({ ...PDF_EN_ES, pages: 1, seconds: 10 });
+    }
+
+    expect(getSecondsPerPage(PDF_EN_ES)).toMatchObject({ secondsPerPage: 10, sampleCount: 20 });
+  });
+
+  it('ignores jobs without pages or time, and unreadable storage', () => {
+    recordThroughput({ ...PDF_EN_ES, pages: 0, seconds: 30 });
+    recordThroughput({ ...PDF_EN_ES, pages: 3, seconds: 0 });
+    expect(getSecondsPerPage(PDF_EN_ES)).toBeNull();
+
+    localStorage.setItem('translationThroughput', '{not json');
+    expect(getSecondsPerPage(PDF_EN_ES)).toBeNull();
+  });
+});
+
+describe('estimateDuration', () => {
+  it('multiplies the pages by the pace of earlier jobs', () => {
+    expect(estimateDuration(10, PDF_EN_ES)).toBeNull();
+
+    recordThroughput({ ...PDF_EN_ES, pages: 4, seconds: 50 });
+    expect(estimateDuration(10, PDF_EN_ES)).toMatchObject({ seconds: 125, isExactMatch: true });
+  });
+});
+
+describe('estimateRemaining', () => {
+  const now = 1_000_000;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+  });
+
+  it('uses the job\'s own pace once it has finished a few pages', () => {
+    expect(estimateRemaining({ currentPage: 4, totalPages: 10, startedAt: now - 40000, history: { secondsPerPage: 99 } }))
+      .toEqual({ pagesPerMinute: 6, secondsLeft: 60, source: 'live' });
+  });
+
+  it('uses earlier jobs\' pace before that', () => {
+    expect(estimateRemaining({ currentPage: 1, totalPages: 10, startedAt: now - 5000, history: { secondsPerPage: 20 } }))
+      .toEqual({ pagesPerMinute: 3, secondsLeft: 180, source: 'history' });
+  });
+
+  it('has no estimate without a page count or any pace', () => {
+    expect(estimateRemaining({ currentPage: 0, totalPages: 0, history: { secondsPerPage: 20 } })).toBeNull();
+    expect(estimateRemaining({ currentPage: 1, totalPages: 10, startedAt: now - 5000 })).toBeNull();
+  });
+});
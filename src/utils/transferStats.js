@@ -0,0 +1,50 @@
+// src/utils/transferStats.js - Upload speed/ETA measurement and formatting helpers
+
+const SPEED_WINDOW_MS = 5000; // Average speed over the last 5 seconds
+
+/**
+ * Track bytes sent for one transfer and derive speed and remaining time.
+ * update() returns a snapshot suitable for progress UIs.
+ */
+export const createTransferMeter = (totalBytes, initialBytes = 0) => {
+  let samples = [{ time: Date.now(), bytes: initialBytes }];
+
+  return {
+    update: (bytesSent) => {
+      const now = Date.now();
+      samples.push({ time: now, bytes: bytesSent });
+      samples = samples.filter(sample => now - sample.time <= SPEED_WINDOW_MS);
+
+      const oldest = samples[0];
+      const elapsedSeconds = (now - oldest.time) / 1000;
+      const bytesPerSecond = elapsedSeconds > 0 ? Math.max(0, (bytesSent - oldest.bytes) / elapsedSeconds) : 0;
+      const remainingBytes = Math.max(0, totalBytes - bytesSent);
+
+      return {
+        bytesSent,
+        totalBytes,
+        percent: totalBytes > 0 ? Math.min(100, (bytesSent / totalBytes) * 100) : 0,
+        bytesPerSecond,
+        etaSeconds: bytesPerSecond > 0 ? Math.ceil(remainingBytes / bytesPerSecond) : null
+      };
+    },
+
+    // Forget old samples, e.g. after waiting for the network to come back
+    reset: (bytesSent) => {
+      samples = [{ time: Date.now(), bytes: bytesSent }];
+    }
+  };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || !isFinite(seconds)) return '—';
+  if (seconds < 60) return `${Math.ceil(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.floor(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
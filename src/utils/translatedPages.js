@@ -0,0 +1,76 @@
+// src/utils/translatedPages.js - Split translation results into pages and derive each page's state
+
+// A page from the server (result `pages` entry or status stream event) as { pageNumber, status, html, error }
+export const normalizeResultPage = (page) => ({
+  pageNumber: Number(page.pageNumber),
+  status: page.status === 'failed' ? 'failed' : 'done',
+  html: page.html || '',
+  error: page.status === 'failed' ? page.error || 'This page could not be translated.' : null
+});
+
+const findPageWrappers = (root, selector) => [...root.querySelectorAll(selector)]
+  .filter(element => !element.parentElement.closest(selector));
+
+/**
+ * The page wrappers of a parsed document with their page numbers: its top-level
+ * [data-page-number] elements, or its .page blocks (id="page-N") as stored in the
+ * history. Empty when the HTML has no page wrappers.
+ */
+export const findPageElements = (root) => {
+  let wrappers = findPageWrappers(root, '[data-page-number]');
+  if (wrappers.length === 0) {
+    wrappers = findPageWrappers(root, '.page');
+  }
+  return wrappers.map((element, index) => ({
+    pageNumber: Number(element.dataset.pageNumber || /^page-(\d+)$/.exec(element.id)?.[1]) || index + 1,
+    element
+  }));
+};
+
+/**
+ * Split result HTML into pages at its page wrappers (see findPageElements).
+ * HTML without page wrappers is returned as a single page.
+ */
+export const splitTranslatedHtml = (html) => {
+  if (!html) return [];
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const pages = findPageElements(doc.body);
+
+  if (pages.length === 0) {
+    return [{ pageNumber: 1, status: 'done', html, error: null }];
+  }
+  return pages.map(({ pageNumber, element }) => ({
+    pageNumber,
+    status: 'done',
+    html: element.outerHTML,
+    error: null
+  }));
+};
+
+// Finished pages of a result response; older servers only send the combined HTML
+export const getResultPages = (result) => (
+  Array.isArray(result?.pages)
+    ? result.pages.map(normalizeResultPage)
+    : splitTranslatedHtml(result?.translatedText)
+);
+
+/**
+ * One entry per page of the document. Finished pages keep their state (done or
+ * failed); while the job runs, the first unfinished page is 'translating' and
+ * the ones after it 'waiting'.
+ */
+export const buildPageStates = (finishedPages, totalPages, isActive) => {
+  const byNumber = new Map(finishedPages.map(page => [page.pageNumber, page]));
+  const pageCount = Math.max(totalPages || 0, ...finishedPages.map(page => page.pageNumber));
+  let hasTranslatingPage = false;
+
+  return Array.from({ length: pageCount }, (_, index) => {
+    const pageNumber = index + 1;
+    if (byNumber.has(pageNumber)) return byNumber.get(pageNumber);
+
+    const status = isActive && !hasTranslatingPage ? 'translating' : 'waiting';
+    hasTranslatingPage = hasTranslatingPage || status === 'translating';
+    return { pageNumber, status, html: null, error: null };
+  });
+};
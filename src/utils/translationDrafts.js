@@ -0,0 +1,27 @@
+// src/utils/translationDrafts.js - Unsaved edits of translations, kept in localStorage until saved
+
+const getKey = (processId) => `translationDraft:${processId}`;
+
+// The draft for a translation as { html, savedAt }, or null
+export const getDraft = (processId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getKey(processId)));
+  } catch {
+    return null;
+  }
+};
+
+export const saveDraft = (processId, html) => {
+  const draft = { html, savedAt: Date.now() };
+  try {
+    localStorage.setItem(getKey(processId), JSON.stringify(draft));
+    return draft;
+  } catch (error) {
+    console.warn('⚠️ Could not save the translation draft:', error);
+    return null;
+  }
+};
+
+export const clearDraft = (processId) => {
+  localStorage.removeItem(getKey(processId));
+};